@@ -4,584 +4,351 @@ export const runtime = 'nodejs';
 export const maxDuration = 300; // keep slices under this; we chain more slices automatically
 
 import { NextResponse, after } from 'next/server';
-import { Redis } from '@upstash/redis';
 import { randomUUID } from 'crypto';
+import { redis } from '@/lib/redis';
+import { ensureCronAuth, ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { assertShopifyEnv, fetchProduct } from '@/lib/shopify';
+import { startCatalogExport, getBulkOperation, readCatalogProducts } from '@/lib/catalog-bulk';
+import { assertWaitlistEnv } from '@/lib/waitlist';
+import { evaluateProduct } from '@/lib/audit';
 
-/* ----------------- Env & Redis ----------------- */
-const redis = new Redis({
-  url: process.env.KV_REST_API_URL,
-  token: process.env.KV_REST_API_TOKEN,
-});
-
-const SHOPIFY_STORE       = process.env.SHOPIFY_STORE; // e.g. "yourstore.myshopify.com"
-const ADMIN_API_TOKEN     = process.env.SHOPIFY_ADMIN_API_KEY;
-const KLAVIYO_API_KEY     = process.env.KLAVIYO_API_KEY;
-const ALERT_LIST_ID       = process.env.KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID;
-const PUBLIC_STORE_DOMAIN = process.env.PUBLIC_STORE_DOMAIN || 'example.com';
-const CRON_SECRET         = process.env.CRON_SECRET || ''; // optional; if unset, no auth required
+/* ----------------- Env ----------------- */
+const CRON_SECRET = process.env.CRON_SECRET || ''; // optional; if unset, no auth required
 
 function assertEnv() {
-  const missing = [];
-  if (!SHOPIFY_STORE)   missing.push('SHOPIFY_STORE');
-  if (!ADMIN_API_TOKEN) missing.push('SHOPIFY_ADMIN_API_KEY');
-  if (!KLAVIYO_API_KEY) missing.push('KLAVIYO_API_KEY');
-  if (!ALERT_LIST_ID)   missing.push('KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID');
+  const missing = assertWaitlistEnv(assertShopifyEnv());
   if (missing.length) throw new Error(`Missing env: ${missing.join(', ')}`);
 }
 
-/* ----------------- Cron auth & locking ----------------- */
-function unauthorized() {
-  return NextResponse.json({ success: false, error: 'unauthorized' }, { status: 401 });
+/* ----------------- Locking ----------------- */
+// Dry runs get their own lock + cursor so they never block or disturb a live sweep
+const KEYS = {
+  live: {
+    lock: 'locks:audit-bundles',
+    cursor: 'audit:cursor',       // { runId, bulkOperationId, nextIndex, startedAt }
+    heartbeat: 'audit:heartbeat', // { runId, at, processed }
+    cancel: 'audit:cancel',       // runId an operator asked to stop
+  },
+  'dry-run': {
+    lock: 'locks:audit-bundles:dry-run',
+    cursor: 'audit:cursor:dry-run',
+    heartbeat: 'audit:heartbeat:dry-run',
+    cancel: 'audit:cancel:dry-run',
+  },
+};
+const LOCK_TTL_SECONDS = 15 * 60;   // 15 minutes
+// A holder that hasn't beaten for this long is presumed crashed and may be taken over
+const STALE_AFTER_MS = Number(process.env.AUDIT_STALE_AFTER_MS || 5 * 60 * 1000);
+const HEARTBEAT_EVERY = 10; // products between heartbeat + cancel checks
+const CANCEL_TTL_SECONDS = 60 * 60;
+const OPERATOR_ACTIONS = ['cancel', 'reset', 'resume', 'force-unlock'];
+
+async function beat(runId, keys, processed = 0) {
+  await redis.set(keys.heartbeat, { runId, at: new Date().toISOString(), processed }, { ex: LOCK_TTL_SECONDS });
 }
-async function ensureCronAuth(req) {
-  // Allow Vercel Cron (adds this header automatically)
-  if (req.headers.get('x-vercel-cron')) return true;
-  if (!CRON_SECRET) return true; // open if no secret configured
-  const auth = req.headers.get('authorization') || '';
-  if (auth === `Bearer ${CRON_SECRET}`) return true;
-  const url = new URL(req.url);
-  if (url.searchParams.get('token') === CRON_SECRET) return true; // optional query token
-  return false;
+async function isHolderStale(holder, keys) {
+  const hb = await redis.get(keys.heartbeat);
+  if (!hb || hb.runId !== holder) return true;
+  return Date.now() - Date.parse(hb.at || 0) > STALE_AFTER_MS;
 }
 
-const LOCK_KEY    = 'locks:audit-bundles';
-const CURSOR_KEY  = 'audit:cursor'; // { runId, pageUrl, nextIndex, startedAt }
-const LOCK_TTL_SECONDS = 15 * 60;   // 15 minutes
-
-async function acquireOrValidateLock(runId) {
-  const holder = await redis.get(LOCK_KEY);
+async function acquireOrValidateLock(runId, keys = KEYS.live) {
+  const holder = await redis.get(keys.lock);
   if (!holder) {
-    const res = await redis.set(LOCK_KEY, runId, { nx: true, ex: LOCK_TTL_SECONDS });
+    const res = await redis.set(keys.lock, runId, { nx: true, ex: LOCK_TTL_SECONDS });
+    if (res) await beat(runId, keys);
     return !!res;
   }
   if (holder === runId) {
-    await redis.expire(LOCK_KEY, LOCK_TTL_SECONDS);
+    await redis.expire(keys.lock, LOCK_TTL_SECONDS);
+    await beat(runId, keys);
+    return true;
+  }
+  if (await isHolderStale(holder, keys)) {
+    // Several slices can find the same dead holder; only the one that claims its takeover key wins
+    const took = await redis.set(`${keys.lock}:takeover:${holder}`, runId, { nx: true, ex: LOCK_TTL_SECONDS });
+    if (!took) return false;
+    console.warn(`⚠️ Audit lock holder ${holder} has no recent heartbeat — taking over as ${runId}`);
+    await redis.set(keys.lock, runId, { ex: LOCK_TTL_SECONDS });
+    await beat(runId, keys);
+    try { await finishRun(holder, 'abandoned'); } catch {}
     return true;
   }
   return false;
 }
-async function releaseLock(runId) {
+async function releaseLock(runId, keys = KEYS.live) {
   try {
-    const holder = await redis.get(LOCK_KEY);
-    if (holder === runId) await redis.del(LOCK_KEY);
+    const holder = await redis.get(keys.lock);
+    if (holder === runId) await redis.del(keys.lock, keys.heartbeat);
   } catch {}
 }
+async function isCancelled(runId, keys) {
+  return (await redis.get(keys.cancel)) === runId;
+}
 
 /* ----------------- Tunables ----------------- */
-// Shopify REST: ~2 rps. 500ms is safe.
-const MIN_DELAY_MS   = Number(process.env.SHOPIFY_THROTTLE_MS || 500);
 // Keep each slice well under 300s to avoid timeouts; chain slices as needed.
 const TIME_BUDGET_MS = Number(process.env.TIME_BUDGET_MS || 240000);
+// How often to poll a running catalog export within a slice
+const BULK_POLL_MS = Number(process.env.AUDIT_BULK_POLL_MS || 5000);
+// Past this age a live sweep re-reads each product's stock from Shopify before writing, so an
+// old snapshot can't overwrite newer levels (or the totals the inventory webhook keeps current)
+const SNAPSHOT_MAX_AGE_MS = Number(process.env.AUDIT_SNAPSHOT_MAX_AGE_MS || 10 * 60 * 1000);
 
-/* ----------------- Utils ----------------- */
-function toE164(raw) {
-  if (!raw) return null;
-  let v = String(raw).trim().replace(/[^\d+]/g, '');
-  if (v.startsWith('+')) return /^\+\d{8,15}$/.test(v) ? v : null; // strict E.164
-  if (/^0\d{10}$/.test(v)) return '+234' + v.slice(1);            // NG 0XXXXXXXXXX
-  if (/^(70|80|81|90|91)\d{8}$/.test(v)) return '+234' + v;        // NG 10-digit
-  if (/^\d{10}$/.test(v)) return '+1' + v;                         // US 10-digit
-  return null;
-}
-const emailKey = (e) => `email:${String(e || '').toLowerCase()}`;
-const productUrlFrom = (handle) => (handle ? `https://${PUBLIC_STORE_DOMAIN}/products/${handle}` : '');
-
-function hasBundleTag(tagsStr) {
-  return String(tagsStr || '')
-    .split(',')
-    .map(t => t.trim().toLowerCase())
-    .includes('bundle');
-}
-function extractStatusFromTags(tagsStr) {
-  const tags = String(tagsStr || '').split(',').map(t => t.trim().toLowerCase());
-  if (tags.includes('bundle-out-of-stock')) return 'out-of-stock';
-  if (tags.includes('bundle-understocked')) return 'understocked';
-  if (tags.includes('bundle-ok'))           return 'ok';
-  return null;
+/* ----------------- Cursor helpers ----------------- */
+async function loadCursor(runId, keys = KEYS.live) {
+  const cur = await redis.get(keys.cursor);
+  if (cur && cur.runId === runId) return cur;
+  return { runId, bulkOperationId: null, nextIndex: 0, startedAt: new Date().toISOString() };
 }
-const RANK = { ok: 0, understocked: 1, 'out-of-stock': 2 };
-function worstStatus(a = 'ok', b = 'ok') {
-  return (RANK[a] >= RANK[b]) ? a : b;
+async function saveCursor(cursor, keys = KEYS.live) {
+  await redis.set(keys.cursor, cursor, { ex: 60 * 60 }); // keep for 1h
 }
-
-/* ----------------- Klaviyo ----------------- */
-async function subscribeProfilesToList({ listId, email, phoneE164, sms }) {
-  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
-  if (!listId) throw new Error('listId missing');
-  if (!email) throw new Error('email missing');
-
-  const subscriptions = { email: { marketing: { consent: 'SUBSCRIBED' } } };
-  if (sms && phoneE164) subscriptions.sms = { marketing: { consent: 'SUBSCRIBED' } };
-
-  const payload = {
-    data: {
-      type: 'profile-subscription-bulk-create-job',
-      attributes: { profiles: { data: [ { type: 'profile', attributes: { email, ...(sms && phoneE164 ? { phone_number: phoneE164 } : {}), subscriptions } } ] } },
-      relationships: { list: { data: { type: 'list', id: listId } } },
-    },
-  };
-
-  const res = await fetch('https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      'accept': 'application/json',
-      'content-type': 'application/json',
-      'revision': '2023-10-15',
-    },
-    body: JSON.stringify(payload),
-  });
-  const body = await res.text();
-  if (!res.ok) throw new Error(`Klaviyo subscribe failed: ${res.status} ${res.statusText} :: ${body}`);
-  return { ok: true, status: res.status, body };
+async function clearCursor(keys = KEYS.live) {
+  try { await redis.del(keys.cursor); } catch {}
 }
 
-async function updateProfileProperties({ email, properties }) {
-  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
-  if (!email) throw new Error('email missing');
-
-  const filter = `equals(email,"${String(email).replace(/"/g, '\\"')}")`;
-  const listRes = await fetch(`https://a.klaviyo.com/api/profiles/?filter=${encodeURIComponent(filter)}&page[size]=1`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      'accept': 'application/json',
-      'revision': '2023-10-15',
-    },
-  });
-  if (!listRes.ok) {
-    const txt = await listRes.text();
-    throw new Error(`Profiles lookup failed: ${listRes.status} ${listRes.statusText} :: ${txt}`);
-  }
-  const listJson = await listRes.json();
-  const id = listJson?.data?.[0]?.id;
-  if (!id) return { ok: false, status: 404, body: 'profile_not_found', skipped: true };
-
-  const patchRes = await fetch(`https://a.klaviyo.com/api/profiles/${id}/`, {
-    method: 'PATCH',
-    headers: {
-      'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      'accept': 'application/json',
-      'content-type': 'application/json',
-      'revision': '2023-10-15',
-    },
-    body: JSON.stringify({ data: { type: 'profile', id, attributes: { properties } } }),
-  });
-  const txt = await patchRes.text();
-  if (!patchRes.ok) throw new Error(`Profile PATCH failed: ${patchRes.status} ${patchRes.statusText} :: ${txt}`);
-  return { ok: true, status: patchRes.status, body: txt };
-}
+/* ----------------- Dry-run report ----------------- */
+const REPORT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const REPORT_LATEST_KEY  = 'audit:report:latest';
+const reportKey      = (runId) => `audit:report:${runId}`;       // summary
+const reportItemsKey = (runId) => `audit:report:${runId}:items`; // one entry per product that would change
 
-async function trackKlaviyoEvent({ metricName, email, phoneE164, properties }) {
-  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
-  if (!metricName) throw new Error('metricName missing');
-
-  const body = {
-    data: {
-      type: 'event',
-      attributes: {
-        time: new Date().toISOString(),
-        properties: properties || {},
-        metric: { data: { type: 'metric', attributes: { name: metricName } } },
-        profile: { data: { type: 'profile', attributes: { email, ...(phoneE164 ? { phone_number: phoneE164 } : {}) } } },
-      },
-    },
+async function appendReport(runId, items, slice) {
+  const prev = (await redis.get(reportKey(runId))) || {
+    runId, startedAt: new Date().toISOString(), slices: 0, processed: 0,
+    statusChanges: 0, tagRewrites: 0, inventoryWrites: 0, notifications: 0,
   };
-
-  const res = await fetch('https://a.klaviyo.com/api/events/', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      'accept': 'application/json',
-      'content-type': 'application/json',
-      'revision': '2023-10-15',
-    },
-    body: JSON.stringify(body),
-  });
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Klaviyo event failed: ${res.status} ${res.statusText} :: ${txt}`);
-  return { ok: true, status: res.status, body: txt };
-}
-
-/* ----------------- Shopify (rate-limited) ----------------- */
-let lastApiCall = 0;
-async function rateLimitedDelay() {
-  const now = Date.now();
-  const dt = now - lastApiCall;
-  if (dt < MIN_DELAY_MS) await new Promise(r => setTimeout(r, MIN_DELAY_MS - dt));
-  lastApiCall = Date.now();
-}
-
-async function fetchShopify(endpointOrUrl, method = 'GET', body = null, raw = false) {
-  if (!endpointOrUrl || typeof endpointOrUrl !== 'string') {
-    throw new Error(`fetchShopify called with invalid endpoint: "${endpointOrUrl}"`);
-  }
-  await rateLimitedDelay();
-
-  const headers = {
-    'X-Shopify-Access-Token': String(ADMIN_API_TOKEN),
-    'Content-Type': 'application/json',
+  const summary = {
+    ...prev,
+    updatedAt: new Date().toISOString(),
+    done: !!slice.done,
+    slices: prev.slices + 1,
+    processed: prev.processed + slice.processed,
+    statusChanges:   prev.statusChanges   + items.filter(i => i.status).length,
+    tagRewrites:     prev.tagRewrites     + items.filter(i => i.tags).length,
+    inventoryWrites: prev.inventoryWrites + items.reduce((a, i) => a + i.inventory.length, 0),
+    notifications:   prev.notifications   + items.reduce((a, i) => a + i.notify.length, 0),
   };
-
-  const opts = { method, headers, ...(body ? { body: JSON.stringify(body) } : {}) };
-  const url = endpointOrUrl.startsWith('http')
-    ? endpointOrUrl
-    : `https://${SHOPIFY_STORE}/admin/api/2024-04/${endpointOrUrl.replace(/^\//, '')}`;
-
-  const res = await fetch(url, opts);
-  if (!res.ok) {
-    if (res.status === 429) {
-      await new Promise(r => setTimeout(r, 2000));
-      lastApiCall = Date.now();
-      const retry = await fetch(url, opts);
-      if (!retry.ok) {
-        const t = await retry.text();
-        throw new Error(`Shopify API error after retry: ${retry.status} ${retry.statusText} - ${t}`);
-      }
-      return raw ? retry : retry.json();
-    }
-    const t = await res.text();
-    throw new Error(`Shopify API error: ${res.status} ${res.statusText} - ${t}`);
+  if (items.length) {
+    await redis.rpush(reportItemsKey(runId), ...items);
+    await redis.expire(reportItemsKey(runId), REPORT_TTL_SECONDS);
   }
-  return raw ? res : res.json();
-}
-
-// Parse Shopify Link header; return absolute next URL or '' (none)
-function extractNextUrlFromLinkHeader(linkHeader) {
-  if (!linkHeader) return '';
-  const parts = linkHeader.split(',');
-  for (const p of parts) {
-    if (p.toLowerCase().includes('rel="next"')) {
-      const m = p.match(/<([^>]+)>/);
-      if (m && m[1]) return m[1];
-    }
-  }
-  return '';
-}
-
-// Fetch a single page of products (id,title,handle,tags,variants)
-async function fetchProductsPage(pageUrl) {
-  const fields = encodeURIComponent('id,title,handle,tags,variants');
-  const first = `products.json?limit=250&fields=${fields}`;
-
-  const res = await fetchShopify(pageUrl || first, 'GET', null, true); // raw Response
-  const json = await res.json();
-  const products = Array.isArray(json?.products) ? json.products : [];
-
-  const link = res.headers.get('link') || res.headers.get('Link');
-  const nextUrl = extractNextUrlFromLinkHeader(link);
-  return { products, nextUrl };
+  await redis.set(reportKey(runId), summary, { ex: REPORT_TTL_SECONDS });
+  await redis.set(REPORT_LATEST_KEY, runId, { ex: REPORT_TTL_SECONDS });
+  return summary;
 }
 
-async function getProductMetafields(productId) {
-  const res = await fetchShopify(`products/${productId}/metafields.json`);
-  if (!res || !Array.isArray(res.metafields)) return null;
-  return res.metafields.find((m) => m.namespace === 'custom' && m.key === 'bundle_structure');
+async function loadReport(runId, { offset = 0, limit = 500 } = {}) {
+  const summary = await redis.get(reportKey(runId));
+  if (!summary) return null;
+  const items = (await redis.lrange(reportItemsKey(runId), offset, offset + limit - 1)) || [];
+  return { ...summary, offset, limit, items };
 }
 
-async function updateProductTags(productId, currentTagsCSV, status) {
-  const cleaned = String(currentTagsCSV || '')
-    .split(',')
-    .map(t => t.trim())
-    .filter(tag => !['bundle-ok', 'bundle-understocked', 'bundle-out-of-stock'].includes(tag.toLowerCase()))
-    .concat([`bundle-${status}`]);
+/* ----------------- Run history ----------------- */
+const RUNS_KEY        = 'audit:runs'; // zset runId by start time (ms)
+const RUNS_KEEP       = 200;
+const RUN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const RUN_MAX_ERRORS  = 200;
+const runKey = (runId) => `audit:run:${runId}`;
 
-  await fetchShopify(`products/${productId}.json`, 'PUT', { product: { id: productId, tags: cleaned.join(', ') } });
+async function getRun(runId) {
+  return (await redis.get(runKey(runId))) || null;
 }
 
-// Fallback — when a component variant wasn’t on the current page
-async function fetchVariantQty(variantId) {
-  const res = await fetchShopify(`variants/${variantId}.json`);
-  return Number(res?.variant?.inventory_quantity ?? 0);
-}
-
-/* ----------------- Redis helpers (status + subscribers + inv totals) ----------------- */
-async function getStatus(productId) {
-  return (await redis.get(`status:${productId}`)) || null;
-}
-async function setStatus(productId, prevStatus, currStatus) {
-  await redis.set(`status:${productId}`, { previous: prevStatus, current: currStatus });
-}
+const newRun = (runId, mode, startedAt) => ({
+  runId, mode, startedAt, endedAt: null, status: 'running',
+  slices: 0, processed: 0, tagsUpdated: 0, inventoryUpdated: 0,
+  notificationsSent: 0, smsNotificationsSent: 0, notificationErrors: 0, profileUpdates: 0,
+  errorCount: 0, errors: [],
+});
 
-async function getPrevTotal(productId) {
-  const v = await redis.get(`inv_total:${productId}`);
-  if (v == null) return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-async function setCurrTotal(productId, total) {
-  await redis.set(`inv_total:${productId}`, total);
+/** Record the run before its first slice, so one that fails straight away still reaches history */
+async function startRun(runId, mode) {
+  if (await getRun(runId)) return;
+  await saveRun(newRun(runId, mode, new Date().toISOString()), true);
 }
 
-/** Read & merge subscribers saved under BOTH keys */
-async function getSubscribersForProduct(prod) {
-  const keys = [
-    `subscribers:${prod.id}`,
-    `subscribers_handle:${prod.handle || ''}`,
-  ];
-  const lists = await Promise.all(keys.map(async (k) => {
-    const v = await redis.get(k);
-    if (Array.isArray(v)) return v;
-    if (typeof v === 'string') {
-      try { return JSON.parse(v); } catch { return []; }
-    }
-    return [];
-  }));
-
-  const map = new Map();
-  const keyFor = (s) => toE164(s?.phone || '') || emailKey(s?.email);
-  const ts = (s) => Date.parse(s?.last_rearmed_at || s?.subscribed_at || 0);
-  for (const list of lists) {
-    for (const s of list) {
-      const k = keyFor(s);
-      if (!k) continue;
-      const prev = map.get(k);
-      if (!prev || ts(s) >= ts(prev)) map.set(k, s);
-    }
+/** Fold one slice's counts into the run record */
+async function recordSlice(runId, mode, slice) {
+  const now = new Date().toISOString();
+  const existing = await getRun(runId);
+  const prev = existing || newRun(runId, mode, slice.startedAt || now);
+  const run = {
+    ...prev,
+    updatedAt: now,
+    slices: prev.slices + 1,
+    processed: prev.processed + slice.processed,
+    tagsUpdated: prev.tagsUpdated + slice.tagsUpdated,
+    inventoryUpdated: prev.inventoryUpdated + slice.inventoryUpdated,
+    notificationsSent: prev.notificationsSent + slice.notificationsSent,
+    smsNotificationsSent: prev.smsNotificationsSent + slice.smsNotificationsSent,
+    notificationErrors: prev.notificationErrors + slice.notificationErrors,
+    profileUpdates: prev.profileUpdates + slice.profileUpdates,
+    errorCount: prev.errorCount + slice.errors.length,
+    errors: prev.errors.concat(slice.errors).slice(0, RUN_MAX_ERRORS),
+  };
+  if (slice.done) {
+    run.status = run.errorCount || run.notificationErrors ? 'completed_with_errors' : 'completed';
+    run.endedAt = now;
   }
-  const merged = Array.from(map.values());
-  return { merged, keysTried: keys };
+  await saveRun(run, !existing);
+  return run;
 }
 
-/** Persist updated subscribers back to BOTH keys */
-async function setSubscribersForProduct(prod, subs) {
-  await Promise.all([
-    redis.set(`subscribers:${prod.id}`, subs, { ex: 90 * 24 * 60 * 60 }),
-    redis.set(`subscribers_handle:${prod.handle || ''}`, subs, { ex: 90 * 24 * 60 * 60 }),
-  ]);
+async function finishRun(runId, status, extra = {}) {
+  const run = await getRun(runId);
+  if (!run) return null;
+  const next = { ...run, ...extra, status, endedAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+  await saveRun(next, false);
+  return next;
 }
 
-/* ----------------- Notification helper (writes back all subs) ----------------- */
-async function notifyPending({ allSubs, pending, keysTried, pid, title, handle, isBundle }) {
-  let notificationsSent = 0;
-  let smsNotificationsSent = 0;
-  let notificationErrors = 0;
-  let profileUpdates = 0;
-
-  const productUrl = productUrlFrom(handle);
-  console.log(`🔔 Back in stock — ${title} — notifying ${pending.length} pending subscribers (keys: ${JSON.stringify(keysTried)})`);
-  let processedSubs = 0;
-
-  for (const sub of pending) {
-    try {
-      const phoneE164 = toE164(sub.phone || '');
-      const smsConsent = !!sub.sms_consent && !!phoneE164;
-
-      // 1) Ensure on the ALERT list
-      await subscribeProfilesToList({ listId: String(ALERT_LIST_ID), email: sub.email, phoneE164, sms: smsConsent });
-
-      // 2) Stamp last back-in-stock props (best-effort)
-      const stampedTitle  = sub.product_title  || title || 'Unknown Product';
-      const stampedHandle = sub.product_handle || handle || '';
-      const stampedUrl    = sub.product_url    || productUrlFrom(stampedHandle) || productUrl;
-      const related_section_url = stampedUrl ? `${stampedUrl}#after-bis` : '';
-
-      try {
-        const out = await updateProfileProperties({
-          email: sub.email,
-          properties: {
-            last_back_in_stock_product_name: stampedTitle,
-            last_back_in_stock_product_url: stampedUrl,
-            last_back_in_stock_related_section_url: related_section_url,
-            last_back_in_stock_product_handle: stampedHandle,
-            last_back_in_stock_product_id: String(pid),
-            last_back_in_stock_notified_at: new Date().toISOString(),
-          },
-        });
-        if (out.ok) profileUpdates++;
-      } catch (e) {
-        console.warn('⚠️ Profile props write failed, continuing:', e?.message || e);
+async function saveRun(run, isNew) {
+  await redis.set(runKey(run.runId), run, { ex: RUN_TTL_SECONDS });
+  if (isNew) {
+    await redis.zadd(RUNS_KEY, { score: Date.parse(run.startedAt) || Date.now(), member: run.runId });
+    const size = await redis.zcard(RUNS_KEY);
+    if (size > RUNS_KEEP) {
+      const stale = await redis.zrange(RUNS_KEY, 0, size - RUNS_KEEP - 1);
+      if (stale.length) {
+        await redis.zrem(RUNS_KEY, ...stale);
+        await Promise.all(stale.map(id => redis.del(runKey(id))));
       }
-
-      // 3) Fire the event used by your flow
-      await trackKlaviyoEvent({
-        metricName: 'Back in Stock',
-        email: sub.email,
-        phoneE164,
-        properties: {
-          product_id: String(pid),
-          product_title: stampedTitle,
-          product_handle: stampedHandle,
-          product_url: stampedUrl,
-          related_section_url,
-          sms_consent: !!smsConsent,
-          source: isBundle ? 'bundle audit (catalog slice)' : 'catalog slice',
-        },
-      });
-
-      // 4) Mark notified + gentle pacing
-      sub.notified = true;
-      notificationsSent++;
-      if (smsConsent) smsNotificationsSent++;
-      if (++processedSubs % 5 === 0) await new Promise(r => setTimeout(r, 250));
-    } catch (e) {
-      notificationErrors++;
-      console.error(`❌ Notify failed for ${sub?.email || '(unknown)'}:`, e?.message || e);
     }
   }
-
-  await setSubscribersForProduct({ id: pid, handle }, allSubs);
-  return { notificationsSent, smsNotificationsSent, notificationErrors, profileUpdates };
 }
 
-/* ----------------- Cursor helpers ----------------- */
-async function loadCursor(runId) {
-  const cur = await redis.get(CURSOR_KEY);
-  if (cur && cur.runId === runId) return cur;
-  return { runId, pageUrl: '', nextIndex: 0, startedAt: new Date().toISOString() };
-}
-async function saveCursor(cursor) {
-  await redis.set(CURSOR_KEY, cursor, { ex: 60 * 60 }); // keep for 1h
-}
-async function clearCursor() {
-  try { await redis.del(CURSOR_KEY); } catch {}
+/** Newest first; errors trimmed to a count so the list stays small */
+async function listRuns(limit = 20) {
+  const ids = (await redis.zrange(RUNS_KEY, 0, limit - 1, { rev: true })) || [];
+  const runs = await Promise.all(ids.map(getRun));
+  return runs.filter(Boolean).map(({ errors, ...r }) => r);
 }
 
 /* ----------------- Time-bounded catalog slice ----------------- */
-async function runCatalogSlice({ runId, verbose = false }) {
+// Phase 1: start (or keep polling) a bulk export of the catalog until Shopify finishes it.
+// Phase 2: stream the JSONL snapshot from cursor.nextIndex on and evaluate products as they arrive.
+// Both phases persist progress in the cursor, so either may span several invocations.
+async function runCatalogSlice({ runId, verbose = false, dryRun = false }) {
+  const keys = dryRun ? KEYS['dry-run'] : KEYS.live;
   assertEnv();
   const t0 = Date.now();
   let processed = 0;
   let tagsUpdated = 0;
+  let inventoryUpdated = 0;
   let notificationsSent = 0;
   let smsNotificationsSent = 0;
   let notificationErrors = 0;
   let profileUpdates = 0;
+  const errors = [];
 
-  let cursor = await loadCursor(runId);
-  if (verbose) console.log(`🔎 Slice start runId=${runId} pageUrl=${cursor.pageUrl || '(first)'} idx=${cursor.nextIndex}`);
+  const reportItems = [];
+  let cancelled = false;
+  let waiting = false;
 
-  let page = { products: [], nextUrl: '' };
-  let products = [];
-  let i = cursor.nextIndex || 0;
+  let cursor = await loadCursor(runId, keys);
+  if (verbose) console.log(`🔎 Slice start runId=${runId} export=${cursor.bulkOperationId || '(none)'} idx=${cursor.nextIndex}`);
 
-  // fetch the current page
-  ({ products, nextUrl: page.nextUrl } = await fetchProductsPage(cursor.pageUrl));
-
-  // process until time budget is spent
-  while (true) {
-    if (i >= products.length) {
-      // move to next page
-      if (!page.nextUrl) break; // no more pages => done
-      cursor = { ...cursor, pageUrl: page.nextUrl, nextIndex: 0 };
-      await saveCursor(cursor);
-      ({ products, nextUrl: page.nextUrl } = await fetchProductsPage(cursor.pageUrl));
-      i = 0;
-      if (verbose) console.log(`📥 Next page: ${products.length} products`);
-      if (!products.length) break;
-    }
+  // ---- Phase 1: bulk export ----
+  if (!cursor.bulkOperationId) {
+    const op = await startCatalogExport();
+    cursor = { ...cursor, bulkOperationId: op.id };
+    await saveCursor(cursor, keys);
+    console.log(`📦 Catalog export started: ${op.id}`);
+  }
+  let op = await getBulkOperation(cursor.bulkOperationId);
+  while (op && ['CREATED', 'RUNNING'].includes(op.status)) {
+    await beat(runId, keys, 0);
+    if (await isCancelled(runId, keys)) { cancelled = true; break; }
+    if (Date.now() - t0 + BULK_POLL_MS > TIME_BUDGET_MS) { waiting = true; break; }
+    await new Promise(r => setTimeout(r, BULK_POLL_MS));
+    op = await getBulkOperation(cursor.bulkOperationId);
+  }
+  if (!op || !['CREATED', 'RUNNING', 'COMPLETED'].includes(op.status)) {
+    // Failed/cancelled/expired export: drop the cursor so the next run starts a fresh one
+    await clearCursor(keys);
+    throw new Error(`Catalog export ${cursor.bulkOperationId} ${op?.status || 'not found'}${op?.errorCode ? ` (${op.errorCode})` : ''}`);
+  }
 
-    const product = products[i++];
-    try {
-      const pid = Number(product.id);
-      const title = product.title;
-      const handle = product.handle;
-      const tagsCSV = String(product.tags || '');
-
-      // Inventory total across variants
-      const total = (product.variants || []).reduce((acc, v) => acc + Number(v?.inventory_quantity ?? 0), 0);
-      const prevTotal = await getPrevTotal(pid);
-      const increased = prevTotal == null ? false : total > prevTotal;
-      await setCurrTotal(pid, total);
-
-      const isBundle = hasBundleTag(tagsCSV);
-
-      if (isBundle) {
-        // ----- compute bundle status -----
-        let componentsStatus = 'ok';
-        const mf = await getProductMetafields(pid);
-        if (mf?.value) {
-          let comps = [];
-          try { comps = JSON.parse(mf.value); } catch { comps = []; }
-          const under = [], out = [];
-          for (const c of comps) {
-            if (!c?.variant_id) continue;
-            const vLocal = (product.variants || []).find(v => String(v.id) === String(c.variant_id));
-            let qty = vLocal ? Number(vLocal?.inventory_quantity ?? 0) : await fetchVariantQty(Number(c.variant_id));
-            const req = Number(c?.required_quantity ?? 1);
-            if (qty === 0) out.push(c.variant_id);
-            else if (qty < req) under.push(c.variant_id);
+  let i = cursor.nextIndex || 0;
+  let exhausted = false;
+  if (!cancelled && !waiting) {
+    if (verbose) console.log(`📥 Catalog export ${op.status}: ${op.objectCount} objects`);
+    const snapshotAgeMs = Date.now() - (Date.parse(op.completedAt) || Date.now());
+    const reread = !dryRun && snapshotAgeMs > SNAPSHOT_MAX_AGE_MS;
+    if (reread && verbose) console.log(`⏳ Snapshot is ${Math.round(snapshotAgeMs / 60000)} min old — re-reading stock live`);
+
+    // ---- Phase 2: evaluate from the snapshot until time budget is spent (or an operator cancels) ----
+    exhausted = true;
+    for await (const { index, product: snap } of readCatalogProducts(op.url, { from: i })) {
+      i = index + 1;
+      try {
+        // Live product (snapshot structure kept); gone since the export → nothing to do
+        const live = reread ? await fetchProduct(snap.id) : null;
+        const product = reread ? live && { ...live, bundle_structure: snap.bundle_structure } : snap;
+        if (product) {
+          const out = await evaluateProduct(product, { verbose, dryRun });
+          if (dryRun) {
+            const c = out.changes;
+            if (c.status || c.tags || c.inventory.length || c.notify.length) {
+              reportItems.push({ productId: String(product.id), title: product.title, handle: product.handle, isBundle: out.isBundle, ...c });
+            }
           }
-          if (out.length) componentsStatus = 'out-of-stock';
-          else if (under.length) componentsStatus = 'understocked';
+          tagsUpdated          += out.tagsUpdated;
+          inventoryUpdated     += out.inventoryUpdated;
+          notificationsSent    += out.notificationsSent;
+          smsNotificationsSent += out.smsNotificationsSent;
+          notificationErrors   += out.notificationErrors;
+          profileUpdates       += out.profileUpdates;
         }
 
-        const qtys = (product.variants || []).map(v => Number(v?.inventory_quantity ?? 0));
-        const ownTotal = qtys.reduce((a, b) => a + b, 0);
-        const anyNeg  = qtys.some(q => q < 0);
-        const allZero = (product.variants || []).length > 0 && qtys.every(q => q === 0);
-        const ownStatus =
-          allZero ? 'out-of-stock'
-          : (anyNeg || ownTotal < 0) ? 'understocked'
-          : 'ok';
-
-        const finalStatus = worstStatus(componentsStatus, ownStatus);
-
-        const prevObj = await getStatus(pid);
-        const prevStatus = (prevObj?.current ?? extractStatusFromTags(tagsCSV)) || null;
-        await setStatus(pid, prevStatus, finalStatus);
-
-        await updateProductTags(pid, tagsCSV, finalStatus);
-        tagsUpdated++;
-
-        if (verbose) {
-          console.log(`📊 ${title} — bundle comp=${componentsStatus} own=${ownStatus} ⇒ ${finalStatus}; total=${total} (prev=${prevTotal ?? 'n/a'}, Δ+? ${increased})`);
-        }
+        processed++;
+      } catch (e) {
+        console.error(`❌ Error on product "${snap?.title || snap?.id}":`, e?.message || e);
+        errors.push({ productId: String(snap?.id ?? ''), title: snap?.title || '', error: e?.message || String(e), at: new Date().toISOString() });
+      }
 
-        // Notify bundles only when back to OK + pending + (flip to ok OR increased)
-        const { merged: allSubs, keysTried } = await getSubscribersForProduct({ id: pid, handle });
-        const pending = allSubs.filter(s => !s?.notified);
-        const prevWasOk = (prevObj?.previous ?? extractStatusFromTags(tagsCSV)) === 'ok';
-        const shouldNotify = (finalStatus === 'ok') && pending.length > 0 && (!prevWasOk || increased);
-
-        if (shouldNotify) {
-          const counts = await notifyPending({ allSubs, pending, keysTried, pid, title, handle, isBundle: true });
-          notificationsSent    += counts.notificationsSent;
-          smsNotificationsSent += counts.smsNotificationsSent;
-          notificationErrors   += counts.notificationErrors;
-          profileUpdates       += counts.profileUpdates;
-        }
-      } else {
-        if (verbose) console.log(`📊 ${title} — non-bundle; total=${total} (prev=${prevTotal ?? 'n/a'}, Δ+? ${increased})`);
-        // Notify non-bundles on increase > 0
-        const { merged: allSubs, keysTried } = await getSubscribersForProduct({ id: pid, handle });
-        const pending = allSubs.filter(s => !s?.notified);
-        const shouldNotify = (pending.length > 0) && increased && total > 0;
-        if (shouldNotify) {
-          const counts = await notifyPending({ allSubs, pending, keysTried, pid, title, handle, isBundle: false });
-          notificationsSent    += counts.notificationsSent;
-          smsNotificationsSent += counts.smsNotificationsSent;
-          notificationErrors   += counts.notificationErrors;
-          profileUpdates       += counts.profileUpdates;
+      // heartbeat + cancellation checkpoint; a live run also saves its resume point so a crashed
+      // slice doesn't redo everything since it started. A dry run's report items are only
+      // written at the end of the slice, so its cursor has to move with them.
+      if ((processed + errors.length) % HEARTBEAT_EVERY === 0) {
+        await beat(runId, keys, processed);
+        if (!dryRun) await saveCursor({ ...cursor, nextIndex: i }, keys);
+        if (await isCancelled(runId, keys)) {
+          cancelled = true;
+          console.warn(`🛑 Audit ${runId} cancelled by operator — stopping slice`);
+          exhausted = false;
+          break;
         }
       }
 
-      processed++;
-    } catch (e) {
-      console.error(`❌ Error on product "${product?.title || product?.id}":`, e?.message || e);
+      // time budget guard
+      if (Date.now() - t0 > TIME_BUDGET_MS) { exhausted = false; break; }
     }
-
-    // time budget guard
-    if (Date.now() - t0 > TIME_BUDGET_MS) break;
   }
 
   // save resume point
-  const pageConsumed = i >= products.length;
-  const nextCursor = pageConsumed
-    ? { ...cursor, pageUrl: page.nextUrl, nextIndex: 0 }
-    : { ...cursor, nextIndex: i };
-
-  await saveCursor(nextCursor);
+  const nextCursor = { ...cursor, nextIndex: i };
+  await saveCursor(nextCursor, keys);
 
-  const done = pageConsumed && !page.nextUrl;
+  const done = !cancelled && !waiting && exhausted;
+  const report = dryRun ? await appendReport(runId, reportItems, { done, processed }) : null;
   return {
     done,
+    cancelled,
+    waiting,
+    report,
     processed,
     tagsUpdated,
+    inventoryUpdated,
     notificationsSent,
     smsNotificationsSent,
     notificationErrors,
     profileUpdates,
+    errors,
+    startedAt: cursor.startedAt,
     nextCursor: { ...nextCursor, runId },
     sliceMs: Date.now() - t0,
   };
@@ -596,64 +363,169 @@ export async function GET(req) {
   const verbose = ['1','true','yes'].includes((url.searchParams.get('verbose') || '').toLowerCase());
   const loop    = ['1','true','yes'].includes((url.searchParams.get('loop') || '').toLowerCase());
   const action  = (url.searchParams.get('action') || '').toLowerCase();
+  const mode    = (url.searchParams.get('mode') || 'live').toLowerCase();
+  if (!KEYS[mode]) return NextResponse.json({ success: false, error: `unknown mode "${mode}"` }, { status: 400 });
+  const dryRun  = mode === 'dry-run';
+  const keys    = KEYS[mode];
+
+  // The report lists the subscribers each product would notify — operator secret only
+  if (action === 'report') {
+    if (!(await ensureOperatorAuth(req))) return unauthorized();
+    const id = url.searchParams.get('runId') || (await redis.get(REPORT_LATEST_KEY));
+    const offset = Math.max(Number(url.searchParams.get('offset') || 0), 0);
+    const limit  = Math.min(Math.max(Number(url.searchParams.get('limit') || 500), 1), 5000);
+    const report = id ? await loadReport(id, { offset, limit }) : null;
+    if (!report) return NextResponse.json({ success: false, error: 'no dry-run report found' }, { status: 404 });
+    return NextResponse.json({ success: true, report });
+  }
 
   // Use caller's runId if provided; otherwise reuse cursor's runId or mint one
   let runId = url.searchParams.get('runId');
   if (!runId) {
-    const cur = await redis.get(CURSOR_KEY);
+    const cur = await redis.get(keys.cursor);
     runId = cur?.runId || randomUUID();
   }
 
+  if (action === 'history') {
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 20), 1), RUNS_KEEP);
+    return NextResponse.json({ success: true, runs: await listRuns(limit) });
+  }
+
+  if (action === 'run') {
+    const id = url.searchParams.get('runId');
+    if (!id) return NextResponse.json({ success: false, error: 'runId required' }, { status: 400 });
+    const run = await getRun(id);
+    if (!run) return NextResponse.json({ success: false, error: 'run not found' }, { status: 404 });
+    return NextResponse.json({ success: true, run });
+  }
+
   if (action === 'status') {
-    const ttl = await redis.ttl(LOCK_KEY);
-    const holder = await redis.get(LOCK_KEY);
-    const cursor = await redis.get(CURSOR_KEY);
-    return NextResponse.json({ locked: ttl > 0, ttl, holder, cursor });
+    const ttl = await redis.ttl(keys.lock);
+    const holder = await redis.get(keys.lock);
+    const cursor = await redis.get(keys.cursor);
+    const heartbeat = await redis.get(keys.heartbeat);
+    const cancelRequested = await redis.get(keys.cancel);
+    const stale = holder ? await isHolderStale(holder, keys) : false;
+    return NextResponse.json({ mode, locked: ttl > 0, ttl, holder, cursor, heartbeat, stale, cancelRequested });
+  }
+
+  /* ---- Operator controls (require the operator secret, never the cron header) ---- */
+  if (OPERATOR_ACTIONS.includes(action)) {
+    if (!(await ensureOperatorAuth(req))) return unauthorized();
+    const holder = await redis.get(keys.lock);
+    const cursor = await redis.get(keys.cursor);
+
+    if (action === 'cancel') {
+      const target = url.searchParams.get('runId') || holder || cursor?.runId;
+      if (!target) return NextResponse.json({ success: false, error: 'nothing to cancel' }, { status: 404 });
+      await redis.set(keys.cancel, target, { ex: CANCEL_TTL_SECONDS });
+      // Nothing is executing → settle it now instead of waiting for a slice that won't come
+      if (!holder || holder !== target) await finishRun(target, 'cancelled');
+      console.warn(`🛑 Cancel requested for audit ${target} (${mode})`);
+      return NextResponse.json({ success: true, mode, action, runId: target, running: holder === target });
+    }
+
+    if (action === 'force-unlock') {
+      await redis.del(keys.lock, keys.heartbeat);
+      if (holder) await finishRun(holder, 'abandoned');
+      console.warn(`🔓 Audit lock force-released (${mode}); previous holder ${holder || '(none)'}`);
+      return NextResponse.json({ success: true, mode, action, previousHolder: holder, cursor });
+    }
+
+    if (action === 'reset') {
+      await redis.del(keys.lock, keys.heartbeat, keys.cancel, keys.cursor);
+      const stopped = [...new Set([holder, cursor?.runId].filter(Boolean))];
+      for (const id of stopped) {
+        const run = await getRun(id);
+        if (run?.status === 'running') await finishRun(id, 'reset');
+      }
+      console.warn(`♻️ Audit state reset (${mode}); stopped ${stopped.join(', ') || '(none)'}`);
+      return NextResponse.json({ success: true, mode, action, stopped });
+    }
+
+    // resume — continue the saved cursor from where a cancelled/abandoned run stopped
+    if (!cursor?.runId) return NextResponse.json({ success: false, error: 'no saved cursor to resume' }, { status: 404 });
+    // Any live holder — including the cursor's own run still mid-slice — means someone is executing
+    if (holder && !(await isHolderStale(holder, keys))) {
+      return NextResponse.json({ success: false, error: 'audit already running', holder }, { status: 423 });
+    }
+    if (holder) await redis.del(keys.lock, keys.heartbeat); // confirmed dead above
+    await redis.del(keys.cancel);
+    runId = cursor.runId;
+    const run = await getRun(runId);
+    if (run && run.status !== 'running') await saveRun({ ...run, status: 'running', endedAt: null }, false);
+    console.log(`▶️ Resuming audit ${runId} (${mode}) at export ${cursor.bulkOperationId || '(not started)'} idx=${cursor.nextIndex}`);
+  }
+
+  // A chained slice of a run that was cancelled meanwhile stops here
+  if (await isCancelled(runId, keys)) {
+    await releaseLock(runId, keys);
+    const run = await getRun(runId);
+    if (run?.status === 'running') await finishRun(runId, 'cancelled');
+    return NextResponse.json({ success: true, runId, mode, cancelled: true, message: 'Run was cancelled; not continuing' });
   }
 
   // Acquire or validate the lock for this runId
-  const ok = await acquireOrValidateLock(runId);
+  const ok = await acquireOrValidateLock(runId, keys);
   if (!ok) return NextResponse.json({ success: false, error: 'audit already running' }, { status: 423 });
 
   try {
-    const slice = await runCatalogSlice({ runId, verbose });
-
-    // If more work and loop=1, re-invoke ourselves in the background
-    if (!slice.done && loop) {
+    await startRun(runId, mode);
+    const slice = await runCatalogSlice({ runId, verbose, dryRun });
+    await recordSlice(runId, mode, slice);
+
+    if (slice.cancelled) {
+      // keep the cursor so action=resume can pick up from here
+      await finishRun(runId, 'cancelled');
+      await releaseLock(runId, keys);
+    } else if (!slice.done && (loop || action === 'resume')) {
+      // If more work and loop=1, re-invoke ourselves in the background
       const resumeUrl =
         `${url.origin}/api/audit-bundles?loop=1&runId=${encodeURIComponent(runId)}` +
-        (verbose ? '&verbose=1' : '');
+        (verbose ? '&verbose=1' : '') +
+        (dryRun ? '&mode=dry-run' : '');
       const headers = CRON_SECRET ? { authorization: `Bearer ${CRON_SECRET}` } : undefined;
       after(() => fetch(resumeUrl, { cache: 'no-store', headers }).catch(() => {}));
       // Keep the lock alive for the next slice
-      await redis.expire(LOCK_KEY, LOCK_TTL_SECONDS);
+      await redis.expire(keys.lock, LOCK_TTL_SECONDS);
     } else if (slice.done) {
-      await clearCursor();
-      await releaseLock(runId);
+      await clearCursor(keys);
+      await releaseLock(runId, keys);
     } else {
       // no loop: leave the cursor saved so caller can resume manually
-      await redis.expire(LOCK_KEY, LOCK_TTL_SECONDS);
+      await redis.expire(keys.lock, LOCK_TTL_SECONDS);
     }
 
     return NextResponse.json({
       success: true,
       runId,
+      mode,
       done: slice.done,
+      cancelled: slice.cancelled,
+      waitingForExport: slice.waiting,
       processedInThisSlice: slice.processed,
       tagsUpdatedInThisSlice: slice.tagsUpdated,
+      inventoryUpdatedInThisSlice: slice.inventoryUpdated,
       notificationsSentInThisSlice: slice.notificationsSent,
       smsNotificationsSentInThisSlice: slice.smsNotificationsSent,
       notificationErrorsInThisSlice: slice.notificationErrors,
+      errorsInThisSlice: slice.errors.length,
       profileUpdatesInThisSlice: slice.profileUpdates,
       sliceMs: slice.sliceMs,
       nextCursor: slice.nextCursor,
-      message: slice.done
+      ...(dryRun ? { report: slice.report } : {}),
+      message: slice.cancelled
+        ? 'Run cancelled; cursor kept (action=resume to continue)'
+        : slice.done
         ? 'Catalog sweep complete (resumable)'
-        : (loop ? 'Slice complete; another slice scheduled (resumable)' : 'Slice complete; call again to resume'),
+        : slice.waiting
+        ? `Catalog export still running; ${loop || action === 'resume' ? 'polling again in the next slice' : 'call again to keep polling'}`
+        : (loop || action === 'resume' ? 'Slice complete; another slice scheduled (resumable)' : 'Slice complete; call again to resume'),
     });
   } catch (error) {
     // On error, free the lock so you’re not bricked
-    await releaseLock(runId);
+    await releaseLock(runId, keys);
+    try { await finishRun(runId, 'failed', { fatalError: error?.message || String(error) }); } catch {}
     return NextResponse.json(
       {
         success: false,
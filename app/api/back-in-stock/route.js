@@ -1,18 +1,25 @@
 // app/api/back-in-stock/route.js — WAITLIST signup (Subscribe Profiles + Redis + product props + event)
+// Signups are per product, or per variant when variant_id is sent (no variant = any variant).
+// With WAITLIST_DOUBLE_OPT_IN on, a first signup is stored unconfirmed and only gets a
+// "Confirm Back in Stock Signup" event; list consent waits for /api/waitlist-confirm.
+// Abuse protection (rate limits, honeypot, challenge, caps) lives in lib/signup-guard.js.
 import { NextResponse } from 'next/server';
-import { Redis } from '@upstash/redis';
-
-/* ----------------- Redis ----------------- */
-const redis = new Redis({
-  url: process.env.KV_REST_API_URL,
-  token: process.env.KV_REST_API_TOKEN,
-  retry: { retries: 3, retryDelayOnFailover: 100 },
-});
+import { redis } from '@/lib/redis';
+import { subscribeProfilesToList, updateProfileProperties, trackEvent } from '@/lib/klaviyo';
+import {
+  toE164, normalizeVariantId, upsertSubscriber, countSubscribers, getSubscribersForProduct, manageLinksFor,
+  DOUBLE_OPT_IN, confirmLinkFor, hasConfirmedSignup, productUrlFrom,
+} from '@/lib/waitlist';
+import { tokensEnabled } from '@/lib/waitlist-token';
+import {
+  clientIp, readBoundedJson, oversizedField, honeypotTripped, verifyChallenge,
+  limitIp, limitSignup, capExceeded, recordRejection,
+} from '@/lib/signup-guard';
+import { recordConsent, consentContext } from '@/lib/consent-ledger';
 
 /* ----------------- Env ----------------- */
 const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;     // required
 const WAITLIST_LIST_ID = process.env.KLAVIYO_LIST_ID;    // required (BIS form list)
-const PUBLIC_STORE_DOMAIN = process.env.PUBLIC_STORE_DOMAIN || 'armadillotough.com';
 
 /* ----------------- CORS allowlist ----------------- */
 const ALLOW_ORIGINS = [
@@ -33,15 +40,6 @@ function cors(resp, origin = '*') {
   resp.headers.set('Vary', 'Origin');
   return resp;
 }
-function toE164(raw) {
-  if (!raw) return null;
-  let v = String(raw).trim().replace(/[^\d+]/g, '');
-  if (v.startsWith('+')) return /^\+\d{8,15}$/.test(v) ? v : null; // strict E.164
-  if (/^0\d{10}$/.test(v)) return '+234' + v.slice(1);            // NG local 0XXXXXXXXXX
-  if (/^(70|80|81|90|91)\d{8}$/.test(v)) return '+234' + v;        // NG 10-digit
-  if (/^\d{10}$/.test(v)) return '+1' + v;                         // US 10-digit
-  return null;
-}
 function splitName(full) {
   const s = String(full || '').trim();
   if (!s) return { first_name: '', last_name: '' };
@@ -51,8 +49,6 @@ function splitName(full) {
   const last_name = parts.join(' ');
   return { first_name, last_name };
 }
-const findIdxByEmail = (arr, email) =>
-  arr.findIndex(s => String(s?.email || '').toLowerCase() === String(email || '').toLowerCase());
 
 const normalizeProductId = (raw) => {
   if (!raw) return '';
@@ -61,8 +57,14 @@ const normalizeProductId = (raw) => {
   const m = n.match(/(\d{5,})$/);
   return m ? m[1] : n.replace(/[^\d]/g, '') || n;
 };
-const productUrlFrom = (handle) =>
-  handle ? `https://${PUBLIC_STORE_DOMAIN}/products/${handle}` : '';
+
+// Counted in the rejection metrics; Retry-After when a rate limit tripped
+async function reject(origin, { reason, ip, error, status, retryAfter }) {
+  await recordRejection(reason, { ip });
+  const resp = cors(NextResponse.json({ success: false, error, reason }, { status }), origin);
+  if (retryAfter) resp.headers.set('Retry-After', String(retryAfter));
+  return resp;
+}
 
 /* ----------------- CORS preflight ----------------- */
 export async function OPTIONS(request) {
@@ -83,19 +85,50 @@ export async function POST(request) {
         origin
       );
     }
+    if (DOUBLE_OPT_IN && !tokensEnabled) {
+      return cors(
+        NextResponse.json(
+          { success: false, error: 'Server misconfigured: WAITLIST_DOUBLE_OPT_IN needs WAITLIST_TOKEN_SECRET' },
+          { status: 500 }
+        ),
+        origin
+      );
+    }
+
+    // Cheapest checks first: IP window, body size, honeypot — before Redis writes or Klaviyo
+    const ip = clientIp(request);
+    const ipLimited = await limitIp(ip);
+    if (ipLimited) return reject(origin, { ...ipLimited, ip, error: 'Too many requests. Please try again later.', status: 429 });
+
+    const parsed = await readBoundedJson(request);
+    if (parsed.error) return reject(origin, { reason: parsed.status === 413 ? 'body_too_large' : 'bad_body', ip, error: parsed.error, status: parsed.status });
+    const body = parsed.body;
+
+    // Bots fill every field; answer like a success so they don't learn to skip it
+    if (honeypotTripped(body)) {
+      await recordRejection('honeypot', { ip });
+      return cors(NextResponse.json({ success: true, message: 'Successfully subscribed to the back-in-stock waitlist' }), origin);
+    }
+
+    const tooLong = oversizedField(body);
+    if (tooLong) return reject(origin, { reason: 'invalid_field', ip, error: `Invalid ${tooLong}`, status: 400 });
 
-    const body = await request.json();
     let {
       email,
       phone,
       product_id,
       product_title,
       product_handle,
+      variant_id,
+      variant_title,
       first_name,
       last_name,
       full_name,
       sms_consent = false,
       source = 'BIS modal',
+      consent_text,       // the opt-in language shown next to the form, verbatim
+      consent_version,
+      page_url,
     } = body || {};
 
     // required
@@ -110,6 +143,11 @@ export async function POST(request) {
       return cors(NextResponse.json({ success: false, error: 'Invalid email format' }, { status: 400 }), origin);
     }
 
+    const challenge = await verifyChallenge(body.challenge_token || request.headers.get('x-challenge-token'), { ip });
+    if (!challenge.ok) {
+      return reject(origin, { reason: challenge.reason, ip, error: 'Verification failed. Please try again.', status: 403 });
+    }
+
     // names
     if ((!first_name && !last_name) && full_name) {
       const spl = splitName(full_name);
@@ -124,7 +162,8 @@ export async function POST(request) {
     // product identity
     const pid = normalizeProductId(product_id);
     const handle = String(product_handle || '').trim();
-    const product_url = productUrlFrom(handle);
+    const vid = normalizeVariantId(variant_id);
+    const product_url = productUrlFrom(handle, vid);
     const related_section_url = product_url ? `${product_url}#after-bis` : '';
 
 
@@ -136,82 +175,85 @@ export async function POST(request) {
       );
     }
 
-    const idKey = `subscribers:${pid}`;
-    const handleKey = handle ? `subscribers_handle:${handle}` : null;
-
-    const readList = async (key) => {
-      if (!key) return [];
-      const v = await redis.get(key);
-      if (Array.isArray(v)) return v;
-      if (typeof v === 'string') { try { return JSON.parse(v); } catch { return []; } }
-      return [];
-    };
-
-    // read both keys and merge by email (latest re-arm wins)
-    const [byId, byHandle] = await Promise.all([readList(idKey), readList(handleKey)]);
-    const mergedMap = new Map();
-    const stamp = (x) => {
-      const k = String(x?.email || '').toLowerCase();
-      const prev = mergedMap.get(k);
-      if (!prev) mergedMap.set(k, x);
-      else {
-        const a = Date.parse(x?.last_rearmed_at || x?.subscribed_at || 0);
-        const b = Date.parse(prev?.last_rearmed_at || prev?.subscribed_at || 0);
-        mergedMap.set(k, a >= b ? x : prev);
-      }
-    };
-    [...byId, ...byHandle].forEach(stamp);
-    const subscribers = Array.from(mergedMap.values());
-
-    const idx = findIdxByEmail(subscribers, email);
-    const prior = idx !== -1 ? (subscribers[idx] || {}) : null;
+    const limited = await limitSignup({ email, pid });
+    if (limited) return reject(origin, { ...limited, ip, error: 'Too many requests. Please try again later.', status: 429 });
+    const capped = await capExceeded({ pid, email, variantId: vid });
+    if (capped) {
+      const error = capped.reason === 'cap_email'
+        ? 'You are on the maximum number of waitlists. Leave one to join another.'
+        : 'This waitlist is full.';
+      return reject(origin, { ...capped, ip, error, status: 409 });
+    }
 
     const now = new Date().toISOString();
+    // Once an email has confirmed any signup, its later signups don't ask again
+    const needsConfirmation = DOUBLE_OPT_IN && !(await hasConfirmedSignup(email));
 
-    const upserted = {
-      ...(prior || {}),
+    // One record per email + variant, updated in place: blanks never wipe what we already have
+    const upserted = await upsertSubscriber({ id: pid, handle }, {
       email,
-      phone: phoneE164 || prior?.phone || '',
-      first_name: first_name || prior?.first_name || '',
-      last_name: last_name || prior?.last_name || '',
-      sms_consent: smsAllowed ? true : !!prior?.sms_consent,
+      phone: phoneE164 || undefined,
+      first_name: first_name || undefined,
+      last_name: last_name || undefined,
+      sms_consent: smsAllowed ? true : undefined,
       product_id: String(pid),
-      product_title: product_title || prior?.product_title || 'Unknown Product',
-      product_handle: handle || prior?.product_handle || '',
-      product_url: product_url || prior?.product_url || '',
+      product_title: product_title || undefined,
+      product_handle: handle || undefined,
+      product_url: product_url || undefined,
+      ...(vid ? { variant_id: vid, variant_title: variant_title || undefined } : {}),
       // 🔑 Re-arm on every submit so they’re eligible for the next OK flip
       notified: false,
       last_rearmed_at: now,
-      rearm_count: (prior?.rearm_count || 0) + 1,
-      subscribed_at: prior?.subscribed_at || now,
-      ip_address:
-        request.headers.get('x-forwarded-for') ||
-        request.headers.get('x-real-ip') ||
-        prior?.ip_address ||
-        'unknown',
+      ip_address: ip !== 'unknown' ? ip : undefined,
       last_source: source,
-    };
-
-    if (idx !== -1) subscribers[idx] = upserted;
-    else subscribers.push(upserted);
-
-    // write to BOTH keys (90d TTL)
-    const writes = [redis.set(idKey, subscribers, { ex: 90 * 24 * 60 * 60 })];
-    if (handleKey) writes.push(redis.set(handleKey, subscribers, { ex: 90 * 24 * 60 * 60 }));
-    await Promise.all(writes);
+      // Always written: a re-signup that no longer needs confirming clears an older pending one
+      pending_confirmation: needsConfirmation,
+      confirm_requested_at: needsConfirmation ? now : '',
+    }, {
+      defaults: {
+        phone: '', first_name: '', last_name: '', sms_consent: false,
+        product_title: 'Unknown Product', product_handle: '', product_url: '',
+        ...(vid ? { variant_title: '' } : {}),
+        subscribed_at: now, ip_address: 'unknown',
+      },
+      increments: { rearm_count: 1 },
+    });
+    const subscriber_count = await countSubscribers(pid);
 
-    // 1) Subscribe to WAITLIST list (records consent properly)
+    // Consent ledger: what they agreed to, where, and from which browser
+    await recordConsent({
+      action: upserted.rearm_count > 1 ? 'rearm' : 'signup',
+      email,
+      phone: phoneE164,
+      email_consent: !needsConfirmation,
+      sms_consent: smsAllowed ? true : null,
+      pending_confirmation: needsConfirmation,
+      consent_text,
+      consent_version,
+      product_id: pid,
+      variant_id: vid,
+      source,
+      ...consentContext(request, { ip, page_url }),
+    });
+    // Self-service links go out only through Klaviyo (to the inbox), never in this response
+    const links = manageLinksFor(email, { productId: pid, variantId: vid });
+
+    // 1) Subscribe to WAITLIST list (records consent properly) — after confirmation under double opt-in
     let klaviyo_success = false, klaviyo_status = 0, klaviyo_body = '';
-    try {
-      const out = await subscribeProfilesToList({
-        listId: WAITLIST_LIST_ID,
-        email,
-        phoneE164,
-        sms: smsAllowed,
-      });
-      klaviyo_success = out.ok; klaviyo_status = out.status; klaviyo_body = out.body;
-    } catch (e) {
-      klaviyo_success = false; klaviyo_status = 0; klaviyo_body = e?.message || String(e);
+    if (needsConfirmation) {
+      klaviyo_body = 'deferred until confirmed';
+    } else {
+      try {
+        const out = await subscribeProfilesToList({
+          listId: WAITLIST_LIST_ID,
+          email,
+          phoneE164,
+          sms: smsAllowed,
+        });
+        klaviyo_success = out.ok; klaviyo_status = out.status; klaviyo_body = out.body;
+      } catch (e) {
+        klaviyo_success = false; klaviyo_status = 0; klaviyo_body = e?.message || String(e);
+      }
     }
 
     // 2) Stamp product props onto the profile so flows can use {{ profile.* }}
@@ -226,6 +268,9 @@ export async function POST(request) {
 
           last_waitlist_product_handle: upserted.product_handle,
           last_waitlist_product_id: upserted.product_id,
+          last_waitlist_variant_id: upserted.variant_id || '',
+          last_waitlist_variant_title: upserted.variant_title || '',
+          ...(links.manage_url ? { waitlist_manage_url: links.manage_url } : {}),
           last_waitlist_subscribed_at: upserted.subscribed_at,
         },
       });
@@ -235,11 +280,11 @@ export async function POST(request) {
       profile_update_success = false; profile_update_status = 0; profile_update_body = e?.message || String(e);
     }
 
-    // 3) Fire an event your signup flow can trigger on
+    // 3) Fire an event your signup flow can trigger on (or the confirmation email's flow)
     let event_success = false, event_status = 0, event_body = '';
     try {
-      const out = await trackKlaviyoEvent({
-        metricName: 'Back in Stock Subscriptions',
+      const out = await trackEvent({
+        metricName: needsConfirmation ? 'Confirm Back in Stock Signup' : 'Back in Stock Subscriptions',
         email,
         phoneE164,
         properties: {
@@ -248,6 +293,10 @@ export async function POST(request) {
           product_handle: upserted.product_handle,
           product_url: upserted.product_url,
           related_section_url: related_section_url,
+          ...(vid ? { variant_id: vid, variant_title: upserted.variant_title } : {}),
+          ...links,
+          // Like the manage links, the confirm link only ever reaches the inbox
+          ...(needsConfirmation ? { confirm_url: confirmLinkFor(email) } : {}),
 
           sms_consent: !!smsAllowed,
           source,
@@ -261,9 +310,13 @@ export async function POST(request) {
     return cors(
       NextResponse.json({
         success: true,
-        message: 'Successfully subscribed to the back-in-stock waitlist',
+        message: needsConfirmation
+          ? 'Check your inbox to confirm your back-in-stock signup'
+          : 'Successfully subscribed to the back-in-stock waitlist',
+        confirmation_required: needsConfirmation,
         rearmed: true,
-        subscriber_count: subscribers.length,
+        variant_id: vid || null,
+        subscriber_count,
         klaviyo_success,
         klaviyo_status,
         klaviyo_body,
@@ -293,7 +346,7 @@ export async function POST(request) {
   }
 }
 
-/* ----------------- GET — check if a given email is on the waitlist (by id OR handle) ----------------- */
+/* ----------------- GET — check if a given email is on the waitlist (by id OR handle [+ variant_id]) ----------------- */
 export async function GET(request) {
   const origin = pickOrigin(request);
   try {
@@ -301,6 +354,7 @@ export async function GET(request) {
     const email = searchParams.get('email');
     const product_id_raw = searchParams.get('product_id');
     const product_handle = searchParams.get('product_handle');
+    const vid = normalizeVariantId(searchParams.get('variant_id'));
 
     if (!email || (!product_id_raw && !product_handle)) {
       return cors(
@@ -311,21 +365,13 @@ export async function GET(request) {
 
     await redis.ping();
     const pid = product_id_raw ? normalizeProductId(product_id_raw) : null;
-    const idKey = pid ? `subscribers:${pid}` : null;
-    const handleKey = product_handle ? `subscribers_handle:${product_handle}` : null;
-
-    const readList = async (key) => {
-      if (!key) return [];
-      const v = await redis.get(key);
-      if (Array.isArray(v)) return v;
-      if (typeof v === 'string') { try { return JSON.parse(v); } catch { return []; } }
-      return [];
-    };
-
-    const [byId, byHandle] = await Promise.all([readList(idKey), readList(handleKey)]);
-    const merged = [...byId, ...byHandle];
+    const { merged, keysTried } = await getSubscribersForProduct({ id: pid, handle: product_handle });
 
-    const sub = merged.find(s => String(s?.email || '').toLowerCase() === String(email).toLowerCase());
+    // With a variant: that variant's entry, else a product-level one (which covers it)
+    const mine = merged.filter(s => String(s?.email || '').toLowerCase() === String(email).toLowerCase());
+    const sub = vid
+      ? mine.find(s => String(s?.variant_id || '') === vid) || mine.find(s => !s?.variant_id)
+      : mine[0];
     return cors(
       NextResponse.json({
         success: true,
@@ -334,12 +380,16 @@ export async function GET(request) {
         subscription_details: sub ? {
           subscribed_at: sub.subscribed_at,
           notified: sub.notified,
+          pending_confirmation: !!sub.pending_confirmation,
           sms_consent: !!sub.sms_consent,
           product_title: sub.product_title,
           product_handle: sub.product_handle,
           product_url: sub.product_url,
+          variant_id: sub.variant_id || null,
+          variant_title: sub.variant_title || null,
         } : null,
-        keys_checked: [idKey, handleKey].filter(Boolean),
+        variants_waiting: mine.filter(s => s?.variant_id).map(s => String(s.variant_id)),
+        keys_checked: keysTried,
       }),
       origin
     );
@@ -347,139 +397,3 @@ export async function GET(request) {
     return cors(NextResponse.json({ success: false, error: error?.message || 'Error' }, { status: 500 }), origin);
   }
 }
-
-/* ----------------- Klaviyo helpers ----------------- */
-async function subscribeProfilesToList({ listId, email, phoneE164, sms }) {
-  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
-  if (!listId) throw new Error('List ID missing');
-  if (!email) throw new Error('Email missing');
-
-  const subscriptions = { email: { marketing: { consent: 'SUBSCRIBED' } } };
-  if (sms && phoneE164) subscriptions.sms = { marketing: { consent: 'SUBSCRIBED' } };
-
-  const payload = {
-    data: {
-      type: 'profile-subscription-bulk-create-job',
-      attributes: {
-        profiles: { data: [
-          {
-            type: 'profile',
-            attributes: {
-              email,
-              ...(sms && phoneE164 ? { phone_number: phoneE164 } : {}),
-              subscriptions,
-            },
-          },
-        ]},
-      },
-      relationships: { list: { data: { type: 'list', id: listId } } },
-    },
-  };
-
-  const res = await fetch('https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/', {
-    method: 'POST',
-    headers: {
-      Authorization: `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      accept: 'application/json',
-      'content-type': 'application/json',
-      revision: '2023-10-15',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const body = await res.text();
-  if (!res.ok) throw new Error(`Subscribe Profiles failed: ${res.status} ${res.statusText} :: ${body}`);
-  return { ok: true, status: res.status, body };
-}
-
-/** Upsert custom properties on the profile (GET by email → PATCH by id) */
-async function updateProfileProperties({ email, properties }) {
-  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
-  if (!email) throw new Error('Email missing');
-
-  // 1) Find profile id by email
-  const filter = `equals(email,"${String(email).replace(/"/g, '\\"')}")`;
-  const listRes = await fetch(
-    `https://a.klaviyo.com/api/profiles/?filter=${encodeURIComponent(filter)}&page[size]=1`,
-    {
-      method: 'GET',
-      headers: {
-        Authorization: `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-        accept: 'application/json',
-        revision: '2023-10-15',
-      },
-    }
-  );
-
-  if (!listRes.ok) {
-    const txt = await listRes.text();
-    throw new Error(`Profiles lookup failed: ${listRes.status} ${listRes.statusText} :: ${txt}`);
-  }
-
-  const listJson = await listRes.json();
-  const id = listJson?.data?.[0]?.id;
-
-  // If we can’t see the profile yet (subscribe job is async), skip gracefully.
-  if (!id) {
-    return { ok: false, status: 404, body: 'profile_not_found', skipped: true };
-  }
-
-  // 2) Patch properties on the profile
-  const patchRes = await fetch(`https://a.klaviyo.com/api/profiles/${id}/`, {
-    method: 'PATCH',
-    headers: {
-      Authorization: `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      accept: 'application/json',
-      'content-type': 'application/json',
-      revision: '2023-10-15',
-    },
-    body: JSON.stringify({
-      data: {
-        type: 'profile',
-        id,
-        attributes: { properties },
-      },
-    }),
-  });
-
-  const txt = await patchRes.text();
-  if (!patchRes.ok) {
-    throw new Error(`Profile PATCH failed: ${patchRes.status} ${patchRes.statusText} :: ${txt}`);
-  }
-  return { ok: true, status: patchRes.status, body: txt };
-}
-
-/** Send a Klaviyo metric event with product context */
-async function trackKlaviyoEvent({ metricName, email, phoneE164, properties }) {
-  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
-  if (!metricName) throw new Error('metricName missing');
-
-  const body = {
-    data: {
-      type: 'event',
-      attributes: {
-        time: new Date().toISOString(),
-        properties: properties || {},
-        metric: { data: { type: 'metric', attributes: { name: metricName } } },
-        profile: {
-          data: { type: 'profile', attributes: { email, ...(phoneE164 ? { phone_number: phoneE164 } : {}) } }
-        }
-      }
-    }
-  };
-
-  const res = await fetch('https://a.klaviyo.com/api/events/', {
-    method: 'POST',
-    headers: {
-      Authorization: `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-      accept: 'application/json',
-      'content-type': 'application/json',
-      revision: '2023-10-15'
-    },
-    body: JSON.stringify(body)
-  });
-
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Klaviyo event failed: ${res.status} ${res.statusText} :: ${txt}`);
-  return { ok: true, status: res.status, body: txt };
-}
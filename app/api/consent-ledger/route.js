@@ -0,0 +1,37 @@
+// app/api/consent-ledger/route.js — look up or export one contact's consent history
+import { NextResponse } from 'next/server';
+import { ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { getConsentHistory, consentToCsv } from '@/lib/consent-ledger';
+import { toE164 } from '@/lib/waitlist';
+
+export const runtime = 'nodejs';
+
+// GET ?email=&phone=[&format=csv]  — operator secret required (this is personal data).
+// Either or both contacts; events that name both appear once. CSV downloads as a file.
+export async function GET(req) {
+  if (!(await ensureOperatorAuth(req))) return unauthorized();
+
+  try {
+    const url = new URL(req.url);
+    const email = (url.searchParams.get('email') || '').trim().toLowerCase();
+    const rawPhone = url.searchParams.get('phone');
+    const phone = rawPhone ? toE164(rawPhone) : null;
+    if (rawPhone && !phone) return NextResponse.json({ success: false, error: 'Invalid phone number' }, { status: 400 });
+    if (!email && !phone) return NextResponse.json({ success: false, error: 'email or phone required' }, { status: 400 });
+
+    const entries = await getConsentHistory({ email, phone });
+    if ((url.searchParams.get('format') || '').toLowerCase() === 'csv') {
+      const name = `consent-${(email || phone).replace(/[^\w.@+-]/g, '_')}.csv`;
+      return new NextResponse(consentToCsv(entries), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${name}"`,
+          'Cache-Control': 'no-store',
+        },
+      });
+    }
+    return NextResponse.json({ success: true, email: email || null, phone, count: entries.length, entries });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
@@ -1,32 +1,15 @@
+import { fetchShopify, fetchVariant, getProductMetafields } from '@/lib/shopify';
+
 export async function GET() {
     try {
-      const bundlesResponse = await fetch(`https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/products.json?limit=250&fields=id,title,handle,tags`, {
-        headers: {
-          "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-          "Content-Type": "application/json",
-        },
-      });
-      const bundlesData = await bundlesResponse.json();
+      const bundlesData = await fetchShopify('products.json?limit=250&fields=id,title,handle,tags');
   
       const bundleProducts = bundlesData.products.filter((p) =>
         p.tags.toLowerCase().includes('bundle')
       );
   
       for (const product of bundleProducts) {
-        const metafieldsResponse = await fetch(
-          `https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/products/${product.id}/metafields.json`,
-          {
-            headers: {
-              "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-              "Content-Type": "application/json",
-            },
-          }
-        );
-  
-        const metafieldsData = await metafieldsResponse.json();
-        const componentsField = metafieldsData.metafields?.find(
-          (m) => m.namespace === "custom" && m.key === "bundle_structure"
-        );
+        const componentsField = await getProductMetafields(product.id);
   
         if (!componentsField) continue;
   
@@ -34,23 +17,13 @@ export async function GET() {
         let shouldNotify = true;
   
         for (const component of bundleComponents) {
-          const variantResponse = await fetch(
-            `https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/variants/${component.variant_id}.json`,
-            {
-              headers: {
-                "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-                "Content-Type": "application/json",
-              },
-            }
-          );
-  
-          const variantData = await variantResponse.json();
-          if (!variantData || !variantData.variant) {
+          const variant = await fetchVariant(component.variant_id).catch(() => null);
+          if (!variant) {
             shouldNotify = false;
             break;
           }
   
-          const inventoryQty = variantData.variant.inventory_quantity;
+          const inventoryQty = variant.inventory_quantity;
           if (inventoryQty < component.required_quantity) {
             shouldNotify = false;
             break;
@@ -1,142 +1,106 @@
-export async function POST(req) {
-  try {
-    const body = await req.json();
-    const inventoryItemId = body.inventory_item_id;
-    const availableQty = body.available;
+// app/api/inventory-update/route.js — inventory_levels/update webhook → real-time waitlist notifications
+import { NextResponse, after } from 'next/server';
+import { verifyShopifyWebhook, webhookRejected } from '@/lib/shopify-webhook';
+import { claimWebhook, runClaimedWebhook } from '@/lib/webhook-ledger';
+import { assertShopifyEnv, fetchProduct, resolveInventoryItem } from '@/lib/shopify';
+import { assertWaitlistEnv } from '@/lib/waitlist';
+import { evaluateProduct } from '@/lib/audit';
+import { bundlesForVariant } from '@/lib/bundle-index';
+import { isSellableLocation } from '@/lib/inventory';
+import { queueReevaluation } from '@/lib/reevaluate';
 
-    const inventoryResponse = await fetch(`https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/inventory_items/${inventoryItemId}.json`, {
-      headers: {
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
-    const inventoryItem = await inventoryResponse.json();
-    const variantId = inventoryItem.inventory_item.admin_graphql_api_id.split("/").pop();
+export const runtime = 'nodejs';
+export const maxDuration = 120; // evaluation runs after the acknowledgement
 
-    const variantResponse = await fetch(`https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/variants/${variantId}.json`, {
-      headers: {
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
-    const variantData = await variantResponse.json();
-    const productId = variantData.variant.product_id;
+const CRON_SECRET = process.env.CRON_SECRET || '';
 
-    const productResponse = await fetch(`https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/products/${productId}.json`, {
-      headers: {
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
-    const productData = await productResponse.json();
-    const product = productData.product;
-    const isBundle = product.tags.includes('bundle');
+// Shopify gives a delivery 5s, and evaluating a restock (lookups, tag and inventory writes) can
+// take longer: verify and claim, acknowledge, then evaluate in after(). Restocks only queue their
+// notification jobs here and wake /api/notify-jobs to send them, so no Klaviyo job is waited on.
+// Shopify won't retry a delivery it already got a 200 for, so a failure is recorded in the webhook
+// ledger (/api/webhook-deliveries) and the product queued for /api/notify-jobs to re-evaluate.
+export async function POST(req) {
+  try {
+    const verified = await verifyShopifyWebhook(req);
+    if (!verified.ok) return webhookRejected(verified);
 
-    let shouldNotify = false;
-    let bundleComponents = [];
+    // Misconfiguration is worth a Shopify retry, so it's reported before acknowledging
+    const missing = assertWaitlistEnv(assertShopifyEnv());
+    if (missing.length) throw new Error(`Missing env: ${missing.join(', ')}`);
 
-    if (isBundle) {
-      const metafieldsResponse = await fetch(`https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/products/${productId}/metafields.json`, {
-        headers: {
-          "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-          "Content-Type": "application/json",
-        },
-      });
-      const metafieldsData = await metafieldsResponse.json();
-      const componentsField = metafieldsData.metafields.find((m) => m.namespace === "custom" && m.key === "bundle_structure");
-      bundleComponents = componentsField ? JSON.parse(componentsField.value) : [];
+    const claim = await claimWebhook(verified);
+    if (claim.duplicate) {
+      console.log(`⏭️ Duplicate webhook ${claim.webhookId} (${verified.topic}) — skipping`);
+      return NextResponse.json({ success: true, duplicate: true, webhookId: claim.webhookId, result: null });
     }
 
-    if (isBundle && bundleComponents.length > 0) {
-      for (const component of bundleComponents) {
-        const variantResponse = await fetch(`https://${process.env.SHOPIFY_STORE}/admin/api/2023-01/variants/${component.variant_id}.json`, {
-          headers: {
-            "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_KEY,
-            "Content-Type": "application/json",
-          },
-        });
-
-        const variantData = await variantResponse.json();
-        const inventoryQty = variantData.variant.inventory_quantity;
-
-        if (inventoryQty < component.required_quantity) {
-          shouldNotify = false;
-          break;
-        } else {
-          shouldNotify = true;
+    const origin = new URL(req.url).origin;
+    after(async () => {
+      const ctx = {};
+      try {
+        const result = await runClaimedWebhook(claim, () => handleInventoryLevel(verified.payload, ctx));
+        if (result?.notified || result?.bundles?.some(b => b.notified)) {
+          const headers = CRON_SECRET ? { authorization: `Bearer ${CRON_SECRET}` } : undefined;
+          await fetch(`${origin}/api/notify-jobs?loop=1`, { cache: 'no-store', headers }).catch(() => {});
         }
+      } catch (e) {
+        console.error(`❌ inventory-update ${claim.webhookId} failed:`, e?.message || e);
+        await queueReevaluation({ productId: ctx.productId, inventoryItemId: verified.payload?.inventory_item_id })
+          .catch(err => console.error('❌ Re-evaluation queue write failed:', err?.message || err));
       }
-    } else {
-      shouldNotify = availableQty > 0;
-    }
+    });
+    return NextResponse.json({ success: true, duplicate: false, webhookId: claim.webhookId, queued: true });
+  } catch (error) {
+    console.error('❌ inventory-update failed:', error?.message || error);
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
 
-    if (shouldNotify) {
-      if (isBundle) {
-        const klaviyoResponse = await fetch(`https://a.klaviyo.com/api/profiles/?filter=properties[productHandle]=${product.handle}`, {
-          headers: {
-            "Authorization": "Klaviyo-API-Key " + process.env.KLAVIYO_API_KEY,
-            "Content-Type": "application/json",
-          },
-        });
-        const profilesData = await klaviyoResponse.json();
-        const emailsToNotify = profilesData.data.map(profile => profile.attributes.email);
+/**
+ * Resolve the product behind the inventory item and run it through the same
+ * evaluation the catalog audit uses (status, tags, waitlist notifications), then
+ * re-evaluate only the bundles that list this variant as a component. ctx.productId is set once
+ * the item is resolved, so a failure can queue the product rather than the item.
+ */
+async function handleInventoryLevel(body, ctx = {}) {
+  const inventoryItemId = body?.inventory_item_id;
+  if (!inventoryItemId) return { skipped: 'no inventory_item_id' };
+  // Stock moving at a location that can't ship never makes anything buyable again
+  if (body?.location_id && !isSellableLocation(body.location_id)) {
+    return { inventoryItemId, locationId: body.location_id, skipped: 'non-sellable location' };
+  }
 
-        for (const email of emailsToNotify) {
-          await fetch("https://a.klaviyo.com/api/events/", {
-            method: "POST",
-            headers: {
-              "Authorization": "Klaviyo-API-Key " + process.env.KLAVIYO_API_KEY,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              data: {
-                type: "event",
-                attributes: {
-                  profile: { email },
-                  metric: { name: "Restock Notification" },
-                  properties: { product: product.handle },
-                  time: new Date().toISOString()
-                },
-              },
-            }),
-          });
-        }
-      } else {
-        const klaviyoResponse = await fetch(`https://a.klaviyo.com/api/profiles/?filter=properties[variantId]=${variantId}`, {
-          headers: {
-            "Authorization": "Klaviyo-API-Key " + process.env.KLAVIYO_API_KEY,
-            "Content-Type": "application/json",
-          },
-        });
-        const profilesData = await klaviyoResponse.json();
-        const emailsToNotify = profilesData.data.map(profile => profile.attributes.email);
+  const resolved = await resolveInventoryItem(inventoryItemId);
+  if (!resolved?.productId) {
+    console.warn(`⚠️ inventory item ${inventoryItemId} has no variant/product — ignoring`);
+    return { inventoryItemId, skipped: 'unresolved inventory item' };
+  }
 
-        for (const email of emailsToNotify) {
-          await fetch("https://a.klaviyo.com/api/events/", {
-            method: "POST",
-            headers: {
-              "Authorization": "Klaviyo-API-Key " + process.env.KLAVIYO_API_KEY,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              data: {
-                type: "event",
-                attributes: {
-                  profile: { email },
-                  metric: { name: "Restock Notification" },
-                  properties: { variantId },
-                  time: new Date().toISOString()
-                },
-              },
-            }),
-          });
-        }
-      }
-    }
+  ctx.productId = resolved.productId;
+  const product = await fetchProduct(resolved.productId);
+  if (!product) return { inventoryItemId, ...resolved, skipped: 'product not found' };
 
-    return new Response(JSON.stringify({ success: true }), { status: 200 });
-  } catch (error) {
-    console.error(error);
-    return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500 });
+  const out = await evaluateProduct(product, { source: 'inventory webhook', notifyInline: false });
+  console.log(
+    `📦 Inventory webhook — ${product.title} (${product.id}) item=${inventoryItemId} available=${body?.available ?? 'n/a'} ` +
+    `status=${out.status ?? 'n/a'} total=${out.total} notifyQueued=${out.notified}`
+  );
+
+  const bundleIds = (await bundlesForVariant(resolved.variantId)).filter(id => id !== String(product.id));
+  const bundles = [];
+  for (const bundleId of bundleIds) {
+    try {
+      const bundle = await fetchProduct(bundleId);
+      if (!bundle) continue;
+      const b = await evaluateProduct(bundle, { source: 'inventory webhook (component)', notifyInline: false });
+      bundles.push({ id: bundleId, status: b.status, notified: b.notified });
+    } catch (e) {
+      // one broken bundle shouldn't fail the whole delivery; it gets its own retry
+      console.error(`❌ Bundle ${bundleId} re-evaluation failed:`, e?.message || e);
+      bundles.push({ id: bundleId, error: e?.message || String(e), requeued: await queueReevaluation({ productId: bundleId }).catch(() => false) });
+    }
   }
+  if (bundles.length) console.log(`🧩 Component ${resolved.variantId} → re-evaluated ${bundles.length} bundle(s)`);
+
+  return { inventoryItemId, ...resolved, ...out, bundles };
 }
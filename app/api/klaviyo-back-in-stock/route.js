@@ -1,4 +1,6 @@
 import { NextResponse } from 'next/server';
+import { trackEvent } from '@/lib/klaviyo';
+import { toE164 } from '@/lib/waitlist';
 
 export async function OPTIONS() {
   return new NextResponse(null, {
@@ -16,35 +18,16 @@ export async function POST(req) {
     const body = await req.json();
     const { email, phone, variant_id, variant_title, product_handle } = body;
 
-    const klaviyoRes = await fetch('https://a.klaviyo.com/api/events/', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Klaviyo-API-Key ${process.env.KLAVIYO_API_KEY}`,
+    const data = await trackEvent({
+      metricName: 'Back-in-Stock Request',
+      email,
+      phoneE164: toE164(phone),
+      properties: {
+        variant_id,
+        variant_title,
+        product_handle,
       },
-      body: JSON.stringify({
-        data: {
-          type: 'event',
-          attributes: {
-            profile: {
-              email: email,
-              phone_number: phone,
-            },
-            metric: {
-              name: 'Back-in-Stock Request',
-            },
-            properties: {
-              variant_id,
-              variant_title,
-              product_handle,
-            },
-            time: new Date().toISOString(),
-          },
-        },
-      }),
     });
-
-    const data = await klaviyoRes.json();
     return new NextResponse(JSON.stringify(data), {
       status: 200,
       headers: {
@@ -54,11 +37,11 @@ export async function POST(req) {
       },
     });
   } catch (error) {
-    console.error('Klaviyo API Error:', error);
+    console.error('Klaviyo API Error:', error?.message || error);
     return new NextResponse(
-      JSON.stringify({ success: false, error: error.message }),
+      JSON.stringify({ success: false, error: error.message, status: error.status, code: error.code }),
       {
-        status: 500,
+        status: error.status ? 502 : 500,
         headers: {
           'Access-Control-Allow-Origin': 'https://armadillotough.com',
           'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
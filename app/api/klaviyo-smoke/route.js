@@ -1,5 +1,7 @@
 // app/api/klaviyo-smoke/route.js
 import { NextResponse } from 'next/server';
+import { subscribeProfilesToList } from '@/lib/klaviyo';
+import { toE164 } from '@/lib/waitlist';
 
 const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;
 const LIST_ID = process.env.KLAVIYO_LIST_ID || process.env.KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID;
@@ -23,22 +25,19 @@ export async function POST(req) {
     if (!lid) return cors(
       NextResponse.json({ ok:false, error:'List ID missing' }, { status:400 }), origin);
 
-    const payload = { profiles:[{ email, ...(phone_number?{ phone_number, sms_consent:!!sms_consent }:{} ) }] };
-
-    const res = await fetch(`https://a.klaviyo.com/api/v2/list/${lid}/subscribe`, {
-      method:'POST',
-      headers:{ 'Authorization':`Klaviyo-API-Key ${KLAVIYO_API_KEY}`, 'Content-Type':'application/json' },
-      body: JSON.stringify(payload)
+    const out = await subscribeProfilesToList({
+      listId: lid,
+      email,
+      phoneE164: toE164(phone_number),
+      sms: !!sms_consent,
     });
-
-    const text = await res.text();
     return cors(
-      new NextResponse(JSON.stringify({ ok: res.ok, status: res.status, body: text }), {
+      new NextResponse(JSON.stringify({ ok: out.ok, status: out.status, body: out.body }), {
         status: 200, headers: { 'Content-Type': 'application/json' }
       }), origin);
 
   } catch (e) {
     return cors(
-      NextResponse.json({ ok:false, error: e?.message || String(e) }, { status:500 }), origin);
+      NextResponse.json({ ok:false, status: e?.status || 0, code: e?.code || null, error: e?.message || String(e) }, { status:500 }), origin);
   }
 }
@@ -0,0 +1,45 @@
+// app/api/notify-dead-letters/route.js — inspect, requeue or discard notifications that ran out of retries
+import { NextResponse } from 'next/server';
+import { ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { listDeadLetters, requeueDeadLetter, discardDeadLetter } from '@/lib/notify-outbox';
+
+export const runtime = 'nodejs';
+
+// GET ?offset=&limit=   → dead letters, newest first (subscriber, product, attempts, lastError) —
+//                         operator secret required (subscribers' contact details)
+export async function GET(req) {
+  if (!(await ensureOperatorAuth(req))) return unauthorized();
+
+  try {
+    const url = new URL(req.url);
+    const offset = Math.max(Number(url.searchParams.get('offset') || 0), 0);
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 50), 1), 500);
+    return NextResponse.json({ success: true, ...(await listDeadLetters({ offset, limit })) });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
+
+// POST { action: "requeue" | "discard", ids: [...] }  — operator secret required.
+// Requeued messages go straight back to the outbox; the next /api/notify-jobs run delivers them.
+export async function POST(req) {
+  if (!(await ensureOperatorAuth(req))) return unauthorized();
+
+  try {
+    const { action, ids } = await req.json().catch(() => ({}));
+    if (!['requeue', 'discard'].includes(action)) {
+      return NextResponse.json({ success: false, error: 'action must be "requeue" or "discard"' }, { status: 400 });
+    }
+    if (!Array.isArray(ids) || !ids.length) {
+      return NextResponse.json({ success: false, error: 'ids required' }, { status: 400 });
+    }
+
+    const apply = action === 'requeue' ? requeueDeadLetter : discardDeadLetter;
+    const results = [];
+    for (const id of ids.map(String)) results.push({ id, ok: await apply(id) });
+    console.log(`🧹 Dead letters ${action}d: ${results.filter(r => r.ok).length}/${results.length}`);
+    return NextResponse.json({ success: true, action, results });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,73 @@
+// app/api/notify-jobs/route.js — drain (and inspect) resumable back-in-stock notification jobs
+
+export const runtime = 'nodejs';
+export const maxDuration = 300;
+
+import { NextResponse, after } from 'next/server';
+import { ensureCronAuth, unauthorized } from '@/lib/cron-auth';
+import { assertWaitlistEnv } from '@/lib/waitlist';
+import { drainNotifyJobs, getNotifyJob, listNotifyJobs } from '@/lib/notify-jobs';
+import { drainReevaluations } from '@/lib/reevaluate';
+
+const CRON_SECRET = process.env.CRON_SECRET || '';
+// Same slice budget as the audit: well under maxDuration
+const TIME_BUDGET_MS = Number(process.env.TIME_BUDGET_MS || 240000);
+
+// GET ?action=status[&limit=]       → queued jobs (oldest first) with progress
+// GET ?action=job&pid=              → one product's job
+// GET [?loop=1]                     → re-run failed inventory evaluations, retry due outbox
+//                                      messages, then work queued jobs until the time budget;
+//                                      loop=1 chains slices until empty
+export async function GET(req) {
+  if (!(await ensureCronAuth(req))) return unauthorized();
+
+  const url = new URL(req.url);
+  const action = (url.searchParams.get('action') || '').toLowerCase();
+  const loop = ['1', 'true', 'yes'].includes((url.searchParams.get('loop') || '').toLowerCase());
+
+  try {
+    if (action === 'status') {
+      const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 50), 1), 500);
+      return NextResponse.json({ success: true, ...(await listNotifyJobs(limit)) });
+    }
+    if (action === 'job') {
+      const pid = url.searchParams.get('pid');
+      if (!pid) return NextResponse.json({ success: false, error: 'pid required' }, { status: 400 });
+      const job = await getNotifyJob(pid);
+      if (!job) return NextResponse.json({ success: false, error: 'no job for product' }, { status: 404 });
+      return NextResponse.json({ success: true, job });
+    }
+
+    const missing = assertWaitlistEnv();
+    if (missing.length) throw new Error(`Missing env: ${missing.join(', ')}`);
+
+    const t0 = Date.now();
+    // First, so the notification jobs they queue are worked in this same slice
+    const reevaluations = await drainReevaluations({ deadline: t0 + TIME_BUDGET_MS });
+    const { results, retries, remaining } = await drainNotifyJobs({ deadline: t0 + TIME_BUDGET_MS });
+
+    // Only chain when this slice made progress, so a job that keeps failing doesn't spin
+    const progressed = retries.notificationsSent > 0 || results.some(r => r.notificationsSent > 0 || r.done);
+    if (remaining && loop && progressed) {
+      const headers = CRON_SECRET ? { authorization: `Bearer ${CRON_SECRET}` } : undefined;
+      after(() => fetch(`${url.origin}/api/notify-jobs?loop=1`, { cache: 'no-store', headers }).catch(() => {}));
+    }
+
+    const sum = (k) => results.reduce((a, r) => a + (r[k] || 0), 0);
+    return NextResponse.json({
+      success: true,
+      jobsWorked: results.length,
+      jobsCompleted: results.filter(r => r.done).length,
+      notificationsSent: sum('notificationsSent'),
+      smsNotificationsSent: sum('smsNotificationsSent'),
+      notificationErrors: sum('notificationErrors'),
+      retries,
+      reevaluations,
+      remaining,
+      sliceMs: Date.now() - t0,
+      results,
+    });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+// app/api/privacy-requests/route.js — reports for Shopify privacy webhooks (customers/data_request,
+// customers/redact, shop/redact) and the data bundles to hand over for data requests
+import { NextResponse } from 'next/server';
+import { ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { listPrivacyRequests, getPrivacyRequest } from '@/lib/privacy';
+
+export const runtime = 'nodejs';
+
+// GET ?offset=&limit=   → reports, newest first (counts only, no personal data)
+// GET ?id=              → one report, with its data bundle for data requests (personal data —
+//                          operator secret required, like everything here)
+export async function GET(req) {
+  if (!(await ensureOperatorAuth(req))) return unauthorized();
+
+  try {
+    const url = new URL(req.url);
+    const id = url.searchParams.get('id');
+    if (id) {
+      const request = await getPrivacyRequest(id);
+      if (!request) return NextResponse.json({ success: false, error: 'no such privacy request' }, { status: 404 });
+      return NextResponse.json({ success: true, ...request });
+    }
+
+    const offset = Math.max(Number(url.searchParams.get('offset') || 0), 0);
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 50), 1), 500);
+    return NextResponse.json({ success: true, ...(await listPrivacyRequests({ offset, limit })) });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
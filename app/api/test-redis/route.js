@@ -1,68 +1,29 @@
 // app/api/test-notifications/route.js - Test back-in-stock notifications without touching inventory
 import { NextResponse } from 'next/server';
-import { Redis } from '@upstash/redis';
-
-const redis = new Redis({
-  url: process.env.KV_REST_API_URL,
-  token: process.env.KV_REST_API_TOKEN,
-});
+import { upsertProfile, addProfilesToList } from '@/lib/klaviyo';
+import { toE164, entryKey, getSubscribersForProduct, upsertSubscriber, updateSubscriber } from '@/lib/waitlist';
 
 const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;
 const SHOPIFY_STORE = process.env.SHOPIFY_STORE;
 
-// === Copy the EXACT same functions from your working back-in-stock API ===
+// === Same Klaviyo client the back-in-stock routes use ===
 async function createOrGetProfileForNotification(email, firstName, lastName, phone) {
   try {
-    const profileData = {
-      data: {
-        type: 'profile',
-        attributes: {
-          email,
-          first_name: firstName || '',
-          last_name: lastName || '',
-          properties: {
-            'Back in Stock Subscriber': true,
-            'Phone Number': phone || '',
-            'Profile Ensured for Notification': new Date().toISOString(),
-            'Test Notification': true // Mark as test
-          }
-        }
+    const out = await upsertProfile({
+      email,
+      phoneE164: phone || null,
+      first_name: firstName || '',
+      last_name: lastName || '',
+      properties: {
+        'Back in Stock Subscriber': true,
+        'Phone Number': phone || '',
+        'Profile Ensured for Notification': new Date().toISOString(),
+        'Test Notification': true // Mark as test
       }
-    };
-
-    const profileResponse = await fetch('https://a.klaviyo.com/api/profiles/', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-        'Content-Type': 'application/json',
-        'revision': '2024-10-15'
-      },
-      body: JSON.stringify(profileData)
     });
-
-    if (profileResponse.ok) {
-      const result = await profileResponse.json();
-      return result.data.id;
-    } else if (profileResponse.status === 409) {
-      // Profile exists, get the ID
-      const getProfileResponse = await fetch(`https://a.klaviyo.com/api/profiles/?filter=equals(email,"${email}")`, {
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-          'revision': '2024-10-15'
-        }
-      });
-
-      if (getProfileResponse.ok) {
-        const result = await getProfileResponse.json();
-        if (result.data && result.data.length > 0) {
-          return result.data[0].id;
-        }
-      }
-    }
-    
-    return null;
+    return out.id;
   } catch (error) {
-    console.error('❌ Profile creation error for notification:', error);
+    console.error('❌ Profile creation error for notification:', error?.message || error);
     return null;
   }
 }
@@ -76,59 +37,19 @@ async function addToBackInStockAlertList(email, firstName, lastName, phone, prod
   try {
     console.log(`📋 [TEST] Adding ${email} to back-in-stock alert list for ${productName}...`);
 
-    // Format phone number
-    let formattedPhone = null;
-    if (phone && phone.length > 0) {
-      let cleanPhone = phone.replace(/\D/g, '');
-      
-      if (cleanPhone.startsWith('234')) {
-        formattedPhone = '+' + cleanPhone;
-      } else if (cleanPhone.startsWith('0') && cleanPhone.length === 11) {
-        formattedPhone = '+234' + cleanPhone.substring(1);
-      } else if (cleanPhone.length === 10 && (cleanPhone.startsWith('90') || cleanPhone.startsWith('80') || cleanPhone.startsWith('70'))) {
-        formattedPhone = '+234' + cleanPhone;
-      } else if (cleanPhone.length === 10) {
-        formattedPhone = '+1' + cleanPhone;
-      } else {
-        formattedPhone = '+' + cleanPhone;
-      }
-    }
-
-    const profileId = await createOrGetProfileForNotification(email, firstName, lastName, formattedPhone);
+    const profileId = await createOrGetProfileForNotification(email, firstName, lastName, toE164(phone));
     
     if (profileId) {
-      const addToListData = {
-        data: [{
-          type: 'profile',
-          id: profileId
-        }]
-      };
-
-      const response = await fetch(`https://a.klaviyo.com/api/lists/${alertListId}/relationships/profiles/`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
-          'Content-Type': 'application/json',
-          'revision': '2024-10-15'
-        },
-        body: JSON.stringify(addToListData)
-      });
-      
-      if (response.ok || response.status === 204) {
-        console.log(`✅ [TEST] Added ${email} to back-in-stock alert list for ${productName}`);
-        return true;
-      } else {
-        const errorText = await response.text();
-        console.error(`❌ [TEST] Failed to add ${email} to alert list:`, errorText);
-        return false;
-      }
+      await addProfilesToList(alertListId, [profileId]);
+      console.log(`✅ [TEST] Added ${email} to back-in-stock alert list for ${productName}`);
+      return true;
     } else {
       console.error(`❌ [TEST] Could not create/get profile for ${email}`);
       return false;
     }
     
   } catch (error) {
-    console.error(`❌ [TEST] Alert list error for ${email}:`, error);
+    console.error(`❌ [TEST] Alert list error for ${email}:`, error?.message || error);
     return false;
   }
 }
@@ -148,16 +69,7 @@ async function testNotifications(productId, testEmail) {
   try {
     // Step 1: Check if we have subscribers for this product
     results.steps.push("1. Checking Redis for subscribers...");
-    const subs = await redis.get(`subscribers:${productId}`);
-    
-    let subscribers = [];
-    if (subs) {
-      if (typeof subs === 'string') {
-        subscribers = JSON.parse(subs);
-      } else if (Array.isArray(subs)) {
-        subscribers = subs;
-      }
-    }
+    let { merged: subscribers } = await getSubscribersForProduct({ id: productId });
 
     console.log(`📊 Found ${subscribers.length} subscribers for product ${productId}`);
     results.steps.push(`   Found ${subscribers.length} subscribers`);
@@ -185,8 +97,7 @@ async function testNotifications(productId, testEmail) {
         ip_address: 'test'
       };
       
-      subscribers = [testSubscriber];
-      await redis.set(`subscribers:${productId}`, subscribers, { ex: 24 * 60 * 60 }); // 24 hours
+      subscribers = [await upsertSubscriber({ id: productId }, testSubscriber, { ttlSeconds: 24 * 60 * 60 })]; // 24 hours
       results.steps.push("   Test subscriber created");
     }
 
@@ -216,6 +127,7 @@ async function testNotifications(productId, testEmail) {
         
         if (success) {
           sub.notified = true;
+          await updateSubscriber(String(productId), entryKey(sub), { notified: true });
           results.notificationsSent++;
           results.steps.push(`   ✅ Success for ${sub.email}`);
         } else {
@@ -227,10 +139,8 @@ async function testNotifications(productId, testEmail) {
       }
     }
 
-    // Step 4: Update Redis (mark as notified)
-    results.steps.push("4. Updating subscriber status...");
-    await redis.set(`subscribers:${productId}`, subscribers, { ex: 24 * 60 * 60 });
-    results.steps.push("   ✅ Subscriber status updated");
+    // Step 4: Each subscriber was marked notified as it succeeded
+    results.steps.push("4. Subscriber status updated");
 
     results.success = true;
     results.steps.push("🎉 Test completed successfully!");
@@ -289,16 +199,7 @@ export async function GET(request) {
       }, { status: 400 });
     }
 
-    const subs = await redis.get(`subscribers:${product_id}`);
-    let subscribers = [];
-    
-    if (subs) {
-      if (typeof subs === 'string') {
-        subscribers = JSON.parse(subs);
-      } else if (Array.isArray(subs)) {
-        subscribers = subs;
-      }
-    }
+    const { merged: subscribers } = await getSubscribersForProduct({ id: product_id });
 
     return NextResponse.json({
       success: true,
@@ -1,30 +1,15 @@
 import { NextResponse } from 'next/server';
-
-const SHOPIFY_DOMAIN = process.env.SHOPIFY_STORE;
-const ADMIN_API_KEY = process.env.SHOPIFY_ADMIN_API_KEY;
-
-const shopifyHeaders = {
-  'X-Shopify-Access-Token': ADMIN_API_KEY,
-  'Content-Type': 'application/json',
-};
+import { fetchShopify } from '@/lib/shopify';
 
 export async function GET() {
   try {
     // 1️⃣ Get all bundle products
-    const productsResponse = await fetch(
-      `https://${SHOPIFY_DOMAIN}/admin/api/2024-04/products.json?fields=id,tags&limit=250`,
-      { headers: shopifyHeaders }
-    );
-    const productsData = await productsResponse.json();
+    const productsData = await fetchShopify('products.json?fields=id,tags&limit=250');
     const bundleProducts = productsData.products.filter((p) => p.tags.includes('bundle'));
 
     // 2️⃣ Loop through bundles and process components
     for (const bundle of bundleProducts) {
-      const metafieldsResponse = await fetch(
-        `https://${SHOPIFY_DOMAIN}/admin/api/2024-04/products/${bundle.id}/metafields.json`,
-        { headers: shopifyHeaders }
-      );
-      const metafieldsData = await metafieldsResponse.json();
+      const metafieldsData = await fetchShopify(`products/${bundle.id}/metafields.json`);
       const componentsField = metafieldsData.metafields.find(
         (m) => m.namespace === 'custom' && m.key === 'bundle_components'
       );
@@ -35,11 +20,7 @@ export async function GET() {
       let stockStatus = 'in_stock';
 
       for (const component of components) {
-        const inventoryResponse = await fetch(
-          `https://${SHOPIFY_DOMAIN}/admin/api/2024-04/inventory_levels.json?inventory_item_ids=${component.inventory_item_id}`,
-          { headers: shopifyHeaders }
-        );
-        const inventoryData = await inventoryResponse.json();
+        const inventoryData = await fetchShopify(`inventory_levels.json?inventory_item_ids=${component.inventory_item_id}`);
         const available = inventoryData.inventory_levels[0]?.available ?? 0;
 
         if (available === 0) {
@@ -51,23 +32,16 @@ export async function GET() {
       }
 
       // 3️⃣ Update metafield with bundle stock status
-      await fetch(
-        `https://${SHOPIFY_DOMAIN}/admin/api/2024-04/metafields.json`,
-        {
-          method: 'POST',
-          headers: shopifyHeaders,
-          body: JSON.stringify({
-            metafield: {
-              namespace: 'custom',
-              key: 'bundle_stock_status',
-              type: 'single_line_text_field',
-              value: stockStatus,
-              owner_resource: 'product',
-              owner_id: bundle.id,
-            },
-          }),
-        }
-      );
+      await fetchShopify('metafields.json', 'POST', {
+        metafield: {
+          namespace: 'custom',
+          key: 'bundle_stock_status',
+          type: 'single_line_text_field',
+          value: stockStatus,
+          owner_resource: 'product',
+          owner_id: bundle.id,
+        },
+      });
     }
 
     return NextResponse.json({ success: true });
@@ -0,0 +1,29 @@
+// app/api/waitlist-archive/route.js — waitlists of deleted products, kept read-only for admins
+import { NextResponse } from 'next/server';
+import { ensureCronAuth, ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { listArchivedWaitlists, getArchivedWaitlist } from '@/lib/waitlist';
+
+export const runtime = 'nodejs';
+
+// GET ?offset=&limit=   → archived waitlists, newest first (product, reason, archivedAt, count)
+// GET ?pid=             → one archived waitlist with its subscribers (operator secret required —
+//                          this is their contact details)
+export async function GET(req) {
+  const url = new URL(req.url);
+  const pid = url.searchParams.get('pid');
+  if (!(await (pid ? ensureOperatorAuth(req) : ensureCronAuth(req)))) return unauthorized();
+
+  try {
+    if (pid) {
+      const waitlist = await getArchivedWaitlist(pid);
+      if (!waitlist) return NextResponse.json({ success: false, error: 'no archived waitlist for product' }, { status: 404 });
+      return NextResponse.json({ success: true, waitlist });
+    }
+
+    const offset = Math.max(Number(url.searchParams.get('offset') || 0), 0);
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 50), 1), 500);
+    return NextResponse.json({ success: true, ...(await listArchivedWaitlists({ offset, limit })) });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,123 @@
+// app/api/waitlist-confirm/route.js — double opt-in: the storefront confirm page POSTs the token
+// from the "Confirm Back in Stock Signup" email; every unconfirmed signup for that email goes live.
+import { NextResponse } from 'next/server';
+import { verifyConfirmToken } from '@/lib/waitlist-token';
+import { subscribeProfilesToList, trackEvent } from '@/lib/klaviyo';
+import { confirmSubscriptionsForEmail, getSubscriptionsForEmail, manageLinksFor, toE164 } from '@/lib/waitlist';
+import { clientIp } from '@/lib/signup-guard';
+import { recordConsent, consentContext } from '@/lib/consent-ledger';
+
+export const runtime = 'nodejs';
+
+/* ----------------- Env ----------------- */
+const WAITLIST_LIST_ID = process.env.KLAVIYO_LIST_ID;    // BIS form list
+
+/* ----------------- CORS allowlist ----------------- */
+const ALLOW_ORIGINS = [
+  'https://armadillotough.com',
+  'https://www.armadillotough.com',
+  'https://armadillotough.myshopify.com',
+];
+const pickOrigin = (req) => {
+  const o = req.headers.get('origin');
+  return ALLOW_ORIGINS.includes(o) ? o : ALLOW_ORIGINS[0];
+};
+
+/* ----------------- utils ----------------- */
+function cors(resp, origin = '*') {
+  resp.headers.set('Access-Control-Allow-Origin', origin);
+  resp.headers.set('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  resp.headers.set('Access-Control-Allow-Headers', 'Content-Type');
+  resp.headers.set('Vary', 'Origin');
+  resp.headers.set('Cache-Control', 'no-store');
+  return resp;
+}
+const json = (origin, body, status = 200) => cors(NextResponse.json(body, { status }), origin);
+
+/* ----------------- CORS preflight ----------------- */
+export async function OPTIONS(request) {
+  return cors(new NextResponse(null, { status: 204 }), pickOrigin(request));
+}
+
+/* ----------------- POST { token } — confirm ----------------- */
+export async function POST(request) {
+  const origin = pickOrigin(request);
+  const body = await request.json().catch(() => ({}));
+  const token = verifyConfirmToken(body?.token);
+  if (!token.ok) return json(origin, { success: false, error: 'Invalid or expired link', reason: token.reason }, 401);
+
+  try {
+    const confirmed = await confirmSubscriptionsForEmail(token.email);
+    if (!confirmed.length) {
+      // Clicked twice, or the signup was purged before it was confirmed
+      const live = await getSubscriptionsForEmail(token.email);
+      if (!live.length) return json(origin, { success: false, error: 'Nothing to confirm — please sign up again' }, 404);
+      return json(origin, { success: true, confirmed: 0, already_confirmed: true });
+    }
+    console.log(`✅ Waitlist signup confirmed — ${token.email} (${confirmed.length} entr${confirmed.length === 1 ? 'y' : 'ies'})`);
+    const context = consentContext(request, { ip: clientIp(request) });
+    for (const s of confirmed) {
+      await recordConsent({
+        action: 'confirm', email: token.email, phone: s.phone || null,
+        email_consent: true, sms_consent: s.sms_consent ? true : null,
+        product_id: s.product_id, variant_id: s.variant_id, source: 'double opt-in link', ...context,
+      });
+    }
+
+    // What the signup route deferred: list consent, then the usual signup event per entry (best-effort)
+    const withPhone = confirmed.find(s => s.sms_consent && toE164(s.phone || ''));
+    const phoneE164 = toE164(withPhone?.phone || confirmed.find(s => s.phone)?.phone || '');
+    let klaviyo_success = false;
+    try {
+      const out = await subscribeProfilesToList({
+        listId: WAITLIST_LIST_ID, email: token.email, phoneE164, sms: !!withPhone,
+      });
+      klaviyo_success = !!out.ok;
+    } catch (e) {
+      console.warn('⚠️ Klaviyo subscribe after confirmation failed:', e?.message || e);
+    }
+
+    let events_sent = 0;
+    for (const s of confirmed) {
+      const variantId = s.variant_id ? String(s.variant_id) : '';
+      try {
+        const out = await trackEvent({
+          metricName: 'Back in Stock Subscriptions',
+          email: token.email,
+          phoneE164,
+          properties: {
+            product_id: s.product_id,
+            product_title: s.product_title,
+            product_handle: s.product_handle,
+            product_url: s.product_url,
+            related_section_url: s.product_url ? `${s.product_url}#after-bis` : '',
+            ...(variantId ? { variant_id: variantId, variant_title: s.variant_title || '' } : {}),
+            ...manageLinksFor(token.email, { productId: s.product_id, variantId }),
+            sms_consent: !!s.sms_consent && !!phoneE164,
+            source: s.last_source || 'double opt-in',
+            confirmed: true,
+          },
+        });
+        if (out.ok) events_sent++;
+      } catch (e) {
+        console.warn(`⚠️ Signup event after confirmation failed for ${s.product_id}:`, e?.message || e);
+      }
+    }
+
+    return json(origin, {
+      success: true,
+      confirmed: confirmed.length,
+      waitlists: confirmed.map(s => ({
+        product_id: s.product_id,
+        product_title: s.product_title,
+        product_url: s.product_url,
+        variant_id: s.variant_id || null,
+        variant_title: s.variant_title || null,
+      })),
+      klaviyo_success,
+      events_sent,
+    });
+  } catch (error) {
+    return json(origin, { success: false, error: error?.message || 'Error' }, 500);
+  }
+}
@@ -0,0 +1,184 @@
+// app/api/waitlist-manage/route.js — self-service for subscribers, authorized only by the signed
+// token from their emails (lib/waitlist-token.js): list their waitlists, leave one or all, update contact.
+import { NextResponse } from 'next/server';
+import { verifyManageToken } from '@/lib/waitlist-token';
+import {
+  toE164, normalizeVariantId, getSubscriptionsForEmail, removeSubscriptionsForEmail, updateContactForEmail,
+} from '@/lib/waitlist';
+import { upsertProfile, unsubscribeProfile } from '@/lib/klaviyo';
+import { clientIp } from '@/lib/signup-guard';
+import { recordConsent, consentContext } from '@/lib/consent-ledger';
+
+export const runtime = 'nodejs';
+
+const WAITLIST_LIST_ID = process.env.KLAVIYO_LIST_ID; // BIS form list
+
+/* ----------------- CORS allowlist ----------------- */
+const ALLOW_ORIGINS = [
+  'https://armadillotough.com',
+  'https://www.armadillotough.com',
+  'https://armadillotough.myshopify.com',
+];
+const pickOrigin = (req) => {
+  const o = req.headers.get('origin');
+  return ALLOW_ORIGINS.includes(o) ? o : ALLOW_ORIGINS[0];
+};
+
+/* ----------------- utils ----------------- */
+function cors(resp, origin = '*') {
+  resp.headers.set('Access-Control-Allow-Origin', origin);
+  resp.headers.set('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  resp.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  resp.headers.set('Vary', 'Origin');
+  resp.headers.set('Cache-Control', 'no-store');
+  return resp;
+}
+const json = (origin, body, status = 200) => cors(NextResponse.json(body, { status }), origin);
+
+const maskPhone = (p) => (p ? `${'•'.repeat(Math.max(String(p).length - 4, 0))}${String(p).slice(-4)}` : '');
+
+// Only what the subscriber entered or needs to recognise the product — no IPs or internals
+const publicView = (s) => ({
+  product_id: s.product_id,
+  product_title: s.product_title,
+  product_url: s.product_url,
+  variant_id: s.variant_id || null,
+  variant_title: s.variant_title || null,
+  subscribed_at: s.subscribed_at,
+  notified: !!s.notified,
+  sms_consent: !!s.sms_consent,
+  phone: maskPhone(s.phone),
+});
+
+/**
+ * Withdraw the revoked channels in Klaviyo too, so the profile can't still be emailed or texted
+ * from the signup list. Never fails the request; resolves what happened, for the consent ledger.
+ */
+async function withdrawInKlaviyo({ email, phone, channels }) {
+  const wanted = channels.filter(c => c !== 'sms' || phone);
+  if (!wanted.length) return null;
+  try {
+    await unsubscribeProfile({ listId: WAITLIST_LIST_ID, email, phoneE164: phone, channels: wanted });
+    return `unsubscribed ${wanted.join('+')}`;
+  } catch (e) {
+    console.warn(`⚠️ Klaviyo unsubscribe (${wanted.join('+')}) failed for ${email}:`, e?.message || e);
+    return `failed ${wanted.join('+')}: ${e?.message || e}`;
+  }
+}
+
+function tokenFrom(req, body) {
+  const auth = req.headers.get('authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return body?.token || new URL(req.url).searchParams.get('token') || '';
+}
+
+/* ----------------- CORS preflight ----------------- */
+export async function OPTIONS(request) {
+  return cors(new NextResponse(null, { status: 204 }), pickOrigin(request));
+}
+
+/* ----------------- GET — the token holder's waitlists ----------------- */
+export async function GET(request) {
+  const origin = pickOrigin(request);
+  const token = verifyManageToken(tokenFrom(request));
+  if (!token.ok) return json(origin, { success: false, error: 'Invalid or expired link', reason: token.reason }, 401);
+
+  try {
+    const subs = await getSubscriptionsForEmail(token.email);
+    return json(origin, { success: true, email: token.email, expires_at: token.expiresAt, waitlists: subs.map(publicView) });
+  } catch (error) {
+    return json(origin, { success: false, error: error?.message || 'Error' }, 500);
+  }
+}
+
+/* ----------------- POST — change the token holder's waitlists ----------------- */
+// { token, action: "remove", product_id, variant_id? }  → leave one product (or one variant of it)
+// { token, action: "remove_all" }                       → leave every waitlist
+// { token, action: "update", phone?, sms_consent? }     → contact details on every waitlist
+export async function POST(request) {
+  const origin = pickOrigin(request);
+  const body = await request.json().catch(() => ({}));
+  const token = verifyManageToken(tokenFrom(request, body));
+  if (!token.ok) return json(origin, { success: false, error: 'Invalid or expired link', reason: token.reason }, 401);
+
+  try {
+    const { action } = body;
+    const context = consentContext(request, { ip: clientIp(request) });
+    // The number on file, so a revocation also shows up when the ledger is searched by phone
+    const phoneOnFile = async (productId = null) => (await getSubscriptionsForEmail(token.email))
+      .find(s => s.phone && (!productId || s.product_id === productId))?.phone || null;
+    if (action === 'remove') {
+      const productId = String(body.product_id || '').match(/(\d+)$/)?.[1];
+      if (!productId) return json(origin, { success: false, error: 'product_id required' }, 400);
+      const phone = await phoneOnFile(productId);
+      const removed = await removeSubscriptionsForEmail(token.email, {
+        productId, variantId: normalizeVariantId(body.variant_id) || null,
+      });
+      console.log(`👋 Waitlist self-service — ${token.email} left product ${productId} (${removed} entr${removed === 1 ? 'y' : 'ies'})`);
+      if (removed) {
+        // Leaving the last waitlist withdraws consent altogether
+        const lastOne = !(await getSubscriptionsForEmail(token.email)).length;
+        const klaviyo_sync = lastOne ? await withdrawInKlaviyo({ email: token.email, phone, channels: ['email', 'sms'] }) : null;
+        await recordConsent({
+          action: 'unsubscribe', email: token.email, phone, email_consent: false, sms_consent: false,
+          product_id: productId, variant_id: normalizeVariantId(body.variant_id), source: 'waitlist manage link', ...context,
+          klaviyo_sync,
+        });
+      }
+      return json(origin, { success: true, action, removed });
+    }
+
+    if (action === 'remove_all') {
+      const phone = await phoneOnFile();
+      const removed = await removeSubscriptionsForEmail(token.email);
+      console.log(`👋 Waitlist self-service — ${token.email} left all waitlists (${removed} entr${removed === 1 ? 'y' : 'ies'})`);
+      if (removed) {
+        const klaviyo_sync = await withdrawInKlaviyo({ email: token.email, phone, channels: ['email', 'sms'] });
+        await recordConsent({
+          action: 'unsubscribe', email: token.email, phone, email_consent: false, sms_consent: false,
+          source: 'waitlist manage link (all)', ...context, klaviyo_sync,
+        });
+      }
+      return json(origin, { success: true, action, removed });
+    }
+
+    if (action === 'update') {
+      const fields = {};
+      if (body.phone !== undefined) {
+        const phoneE164 = body.phone ? toE164(body.phone) : '';
+        if (body.phone && !phoneE164) return json(origin, { success: false, error: 'Invalid phone number' }, 400);
+        fields.phone = phoneE164;
+        if (!phoneE164) fields.sms_consent = false;
+      }
+      if (body.sms_consent !== undefined) fields.sms_consent = !!body.sms_consent;
+      if (fields.sms_consent && fields.phone === undefined) {
+        const current = await getSubscriptionsForEmail(token.email);
+        if (!current.some(s => s.phone)) return json(origin, { success: false, error: 'A phone number is required for SMS' }, 400);
+      }
+      if (!Object.keys(fields).length) return json(origin, { success: false, error: 'Nothing to update' }, 400);
+      const previousPhone = await phoneOnFile();
+
+      const updated = await updateContactForEmail(token.email, fields);
+      if (updated) {
+        // SMS withdrawn (or the number removed): stop Klaviyo texting the number it has
+        const klaviyo_sync = fields.sms_consent === false
+          ? await withdrawInKlaviyo({ email: token.email, phone: previousPhone, channels: ['sms'] })
+          : null;
+        await recordConsent({
+          action: 'contact_update', email: token.email, phone: fields.phone || previousPhone,
+          sms_consent: fields.sms_consent ?? null, source: 'waitlist manage link', ...context, klaviyo_sync,
+        });
+      }
+      // Keep the Klaviyo profile's number in step (best-effort; consent itself follows the waitlist)
+      if (fields.phone) {
+        try { await upsertProfile({ email: token.email, phoneE164: fields.phone }); }
+        catch (e) { console.warn('⚠️ Klaviyo phone update failed, continuing:', e?.message || e); }
+      }
+      return json(origin, { success: true, action, updated });
+    }
+
+    return json(origin, { success: false, error: 'action must be "remove", "remove_all" or "update"' }, 400);
+  } catch (error) {
+    return json(origin, { success: false, error: error?.message || 'Error' }, 500);
+  }
+}
@@ -0,0 +1,78 @@
+// app/api/waitlist-migrate/route.js — move subscribers from the old whole-array keys
+// (subscribers:{id}, subscribers_handle:{handle}) into per-subscriber records (lib/waitlist.js)
+import { NextResponse } from 'next/server';
+import { redis } from '@/lib/redis';
+import { ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { importLegacySubscriber, resolveProductId, SUBSCRIBER_TTL_SECONDS } from '@/lib/waitlist';
+
+export const runtime = 'nodejs';
+export const maxDuration = 300;
+
+const ID_PREFIX = 'subscribers:';
+const HANDLE_PREFIX = 'subscribers_handle:';
+
+const readList = (v) => {
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'string') { try { return JSON.parse(v); } catch { return []; } }
+  return [];
+};
+
+// POST { cursor?, count?, dryRun?, deleteLegacy? }  — operator secret required.
+// Migrates one SCAN page of legacy keys; call again with the returned cursor until done.
+// Safe to re-run: an entry already in the new store is only replaced by a later re-arm, and
+// notified / rearm_count / timestamps carry over as they were. Each entry keeps what was left
+// of its old key's TTL. deleteLegacy drops a legacy key once all of its entries are placed.
+export async function POST(req) {
+  if (!(await ensureOperatorAuth(req))) return unauthorized();
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const cursor = String(body.cursor ?? '0');
+    const count = Math.min(Math.max(Number(body.count || 100), 1), 1000);
+    const dryRun = !!body.dryRun;
+    const deleteLegacy = !!body.deleteLegacy && !dryRun;
+
+    const [next, scanned] = await redis.scan(cursor, { match: 'subscribers*', count });
+    const keys = scanned.filter(k => k.startsWith(ID_PREFIX) || k.startsWith(HANDLE_PREFIX));
+
+    const stats = { keys: keys.length, subscribers: 0, created: 0, updated: 0, kept: 0, unplaced: 0, legacyKeysDeleted: 0 };
+    const unplaced = [];
+    for (const key of keys) {
+      const list = readList(await redis.get(key));
+      const ttl = await redis.ttl(key);
+      const expiresAt = Date.now() + (ttl > 0 ? ttl : SUBSCRIBER_TTL_SECONDS) * 1000;
+      const keyPid = key.startsWith(ID_PREFIX) ? key.slice(ID_PREFIX.length) : null;
+      const keyHandle = key.startsWith(HANDLE_PREFIX) ? key.slice(HANDLE_PREFIX.length) : '';
+
+      let placedAll = true;
+      for (const sub of list) {
+        if (!sub?.email && !sub?.phone) continue;
+        stats.subscribers++;
+        const handle = sub.product_handle || keyHandle;
+        const pid = keyPid
+          || String(sub.product_id || '').match(/(\d+)$/)?.[1]
+          || await resolveProductId({ handle });
+        if (!pid) {
+          stats.unplaced++;
+          placedAll = false;
+          unplaced.push({ key, email: sub.email || null });
+          continue;
+        }
+        if (dryRun) { stats.created++; continue; }
+        stats[await importLegacySubscriber({ id: pid, handle }, sub, { expiresAt })]++;
+      }
+
+      if (deleteLegacy && placedAll) {
+        await redis.del(key);
+        stats.legacyKeysDeleted++;
+      }
+    }
+
+    const done = String(next) === '0';
+    console.log(`🚚 Waitlist migration${dryRun ? ' (dry run)' : ''} — ${stats.keys} key(s), ${stats.subscribers} subscriber(s): ` +
+      `${stats.created} created, ${stats.updated} updated, ${stats.kept} kept, ${stats.unplaced} unplaced${done ? ' — done' : ''}`);
+    return NextResponse.json({ success: true, dryRun, cursor: String(next), done, ...stats, unplacedSample: unplaced.slice(0, 20) });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
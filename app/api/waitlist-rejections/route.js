@@ -0,0 +1,19 @@
+// app/api/waitlist-rejections/route.js — how many waitlist signups were turned away, and why
+import { NextResponse } from 'next/server';
+import { ensureCronAuth, unauthorized } from '@/lib/cron-auth';
+import { getRejectionMetrics } from '@/lib/signup-guard';
+
+export const runtime = 'nodejs';
+
+// GET [?days=7]  → per-day counts by reason (rate_limited_ip|email|product, honeypot, challenge_*,
+//                  cap_email, cap_product, body_too_large, bad_body, invalid_field) and totals
+export async function GET(req) {
+  if (!(await ensureCronAuth(req))) return unauthorized();
+
+  try {
+    const days = Math.min(Math.max(Number(new URL(req.url).searchParams.get('days') || 7), 1), 30);
+    return NextResponse.json({ success: true, ...(await getRejectionMetrics(days)) });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,24 @@
+// app/api/waitlist-unconfirmed/route.js — scheduled purge of double opt-in signups nobody confirmed
+import { NextResponse } from 'next/server';
+import { ensureCronAuth, unauthorized } from '@/lib/cron-auth';
+import { purgeUnconfirmed } from '@/lib/waitlist';
+import { CONFIRM_WINDOW_SECONDS } from '@/lib/waitlist-token';
+
+export const runtime = 'nodejs';
+export const maxDuration = 300;
+
+// GET [?limit=]  → remove signups still unconfirmed after WAITLIST_CONFIRM_WINDOW_HOURS (default 48),
+//                  oldest first; `remaining` > 0 means call again
+export async function GET(req) {
+  if (!(await ensureCronAuth(req))) return unauthorized();
+
+  try {
+    const url = new URL(req.url);
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 500), 1), 5000);
+    const out = await purgeUnconfirmed({ olderThanSeconds: CONFIRM_WINDOW_SECONDS, limit });
+    if (out.purged) console.log(`🧹 Purged ${out.purged} unconfirmed waitlist signup(s)${out.remaining ? ` — ${out.remaining} more due` : ''}`);
+    return NextResponse.json({ success: true, windowHours: CONFIRM_WINDOW_SECONDS / 3600, ...out });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+// app/api/webhook-deliveries/route.js — inspect the webhook idempotency ledger
+import { NextResponse } from 'next/server';
+import { ensureCronAuth, unauthorized } from '@/lib/cron-auth';
+import { getDelivery, recentDeliveries } from '@/lib/webhook-ledger';
+
+export const runtime = 'nodejs';
+
+// GET ?id=<X-Shopify-Webhook-Id>             → one delivery record
+// GET ?outcome=processed|duplicate|failed&topic=&limit= → recent ledger events (newest first)
+export async function GET(req) {
+  if (!(await ensureCronAuth(req))) return unauthorized();
+
+  try {
+    const url = new URL(req.url);
+    const id = url.searchParams.get('id');
+    if (id) {
+      const delivery = await getDelivery(id);
+      if (!delivery) return NextResponse.json({ success: false, error: 'not found' }, { status: 404 });
+      return NextResponse.json({ success: true, delivery });
+    }
+
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 100), 1), 1000);
+    const outcome = (url.searchParams.get('outcome') || '').toLowerCase();
+    const topic = url.searchParams.get('topic') || '';
+    const { counts, deliveries } = await recentDeliveries({ limit, outcome, topic });
+    return NextResponse.json({ success: true, counts, deliveries });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
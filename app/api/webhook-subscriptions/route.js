@@ -0,0 +1,143 @@
+// app/api/webhook-subscriptions/route.js — reconcile Shopify webhook subscriptions with the declared set
+import { NextResponse } from 'next/server';
+import { ensureCronAuth, ensureOperatorAuth, unauthorized } from '@/lib/cron-auth';
+import { API_VERSION, assertShopifyEnv, fetchShopify } from '@/lib/shopify';
+
+export const runtime = 'nodejs';
+
+/* ----------------- Env ----------------- */
+// optional; defaults to this deployment's origin. Never taken from the request: the customer/order
+// topics carry personal data, so where they're delivered is config only.
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || '';
+
+/* ----------------- Declared subscriptions ----------------- */
+// topic → path on this deployment. GDPR topics are Shopify's mandatory compliance
+// webhooks; apps configured through the Partner dashboard may have them rejected
+// by the Admin API, in which case the failure is reported per topic.
+const DECLARED = [
+  { topic: 'inventory_levels/update', path: '/api/inventory-update' },
+  { topic: 'products/update',         path: '/api/webhooks' },
+  { topic: 'products/delete',         path: '/api/webhooks' },
+  { topic: 'orders/create',           path: '/api/webhooks' },
+  { topic: 'customers/data_request',  path: '/api/webhooks' },
+  { topic: 'customers/redact',        path: '/api/webhooks' },
+  { topic: 'shop/redact',             path: '/api/webhooks' },
+];
+
+/* ----------------- Shopify ----------------- */
+async function listWebhooks() {
+  const res = await fetchShopify('webhooks.json?limit=250');
+  return Array.isArray(res?.webhooks) ? res.webhooks : [];
+}
+
+/* ----------------- Planning ----------------- */
+function resolveBaseUrl(req) {
+  return String(WEBHOOK_BASE_URL || new URL(req.url).origin).replace(/\/+$/, '');
+}
+
+/**
+ * Diff existing subscriptions against DECLARED:
+ *  - create: declared topic with no subscription
+ *  - update: declared topic whose (first) subscription points elsewhere
+ *  - delete: undeclared topics, and extra subscriptions for a declared topic
+ */
+function planChanges(existing, baseUrl) {
+  const plan = { create: [], update: [], delete: [], unchanged: [] };
+  const byTopic = new Map();
+  for (const w of existing) {
+    if (!byTopic.has(w.topic)) byTopic.set(w.topic, []);
+    byTopic.get(w.topic).push(w);
+  }
+
+  for (const { topic, path } of DECLARED) {
+    const address = `${baseUrl}${path}`;
+    const subs = byTopic.get(topic) || [];
+    byTopic.delete(topic);
+
+    if (!subs.length) {
+      plan.create.push({ topic, address });
+      continue;
+    }
+    const exact = subs.find(w => w.address === address);
+    const keep = exact || subs[0];
+    if (exact) plan.unchanged.push({ id: keep.id, topic, address });
+    else plan.update.push({ id: keep.id, topic, from: keep.address, address });
+    for (const w of subs) {
+      if (w.id !== keep.id) plan.delete.push({ id: w.id, topic, address: w.address, reason: 'duplicate' });
+    }
+  }
+
+  for (const subs of byTopic.values()) {
+    for (const w of subs) plan.delete.push({ id: w.id, topic: w.topic, address: w.address, reason: 'undeclared' });
+  }
+  return plan;
+}
+
+async function applyPlan(plan) {
+  const results = [];
+  const run = async (op, item, fn) => {
+    try {
+      await fn();
+      results.push({ op, ...item, ok: true });
+    } catch (e) {
+      console.error(`❌ Webhook ${op} failed for ${item.topic}:`, e?.message || e);
+      results.push({ op, ...item, ok: false, error: e?.message || String(e) });
+    }
+  };
+
+  for (const item of plan.create) {
+    await run('create', item, () =>
+      fetchShopify('webhooks.json', 'POST', { webhook: { topic: item.topic, address: item.address, format: 'json' } }));
+  }
+  for (const item of plan.update) {
+    await run('update', item, () =>
+      fetchShopify(`webhooks/${item.id}.json`, 'PUT', { webhook: { id: item.id, address: item.address } }));
+  }
+  for (const item of plan.delete) {
+    await run('delete', item, () => fetchShopify(`webhooks/${item.id}.json`, 'DELETE'));
+  }
+  return results;
+}
+
+/* ----------------- Handlers ----------------- */
+async function handle(req, { apply, auth }) {
+  if (!(await auth(req))) return unauthorized();
+  const missing = assertShopifyEnv();
+  if (missing.length) {
+    return NextResponse.json(
+      { success: false, error: `Server misconfigured: missing ${missing.join(', ')}` },
+      { status: 500 }
+    );
+  }
+
+  try {
+    const baseUrl = resolveBaseUrl(req);
+    const existing = await listWebhooks();
+    const plan = planChanges(existing, baseUrl);
+    const drift = plan.create.length + plan.update.length + plan.delete.length;
+
+    if (!apply || !drift) {
+      return NextResponse.json({ success: true, dryRun: !apply, baseUrl, apiVersion: API_VERSION, drift, existing, plan });
+    }
+
+    const results = await applyPlan(plan);
+    const failed = results.filter(r => !r.ok).length;
+    return NextResponse.json(
+      { success: failed === 0, dryRun: false, baseUrl, apiVersion: API_VERSION, drift, plan, results, webhooks: await listWebhooks() },
+      { status: failed ? 207 : 200 }
+    );
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
+
+// GET — list existing subscriptions and the planned changes (always a dry run)
+export async function GET(req) {
+  return handle(req, { apply: false, auth: ensureCronAuth });
+}
+
+// POST — reconcile (operator secret required); ?dry_run=1 reports the plan without applying it
+export async function POST(req) {
+  const dry = ['1', 'true', 'yes'].includes((new URL(req.url).searchParams.get('dry_run') || '').toLowerCase());
+  return handle(req, { apply: !dry, auth: ensureOperatorAuth });
+}
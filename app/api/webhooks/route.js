@@ -0,0 +1,58 @@
+// app/api/webhooks/route.js — shared receiver for Shopify webhook topics without a dedicated route
+import { NextResponse } from 'next/server';
+import { verifyShopifyWebhook, webhookRejected } from '@/lib/shopify-webhook';
+import { processWebhookOnce } from '@/lib/webhook-ledger';
+import { hasBundleTag } from '@/lib/audit';
+import { refreshBundleIndex, unindexBundle } from '@/lib/bundle-index';
+import { syncProductDetails, archiveWaitlist } from '@/lib/waitlist';
+import { cancelNotifyJob } from '@/lib/notify-jobs';
+import { handleDataRequest, handleCustomerRedact, handleShopRedact } from '@/lib/privacy';
+
+export const runtime = 'nodejs';
+
+/* ----------------- Topic handlers ----------------- */
+const privacySummary = (report) => ({ privacyRequest: report.id, privacy: report.result });
+
+// topic → async (payload, verified) => summary. Topics without a handler are
+// acknowledged (200) and recorded in the ledger so Shopify stops retrying.
+const HANDLERS = {
+  // Keep the component → bundle index current when bundle_structure or the bundle tag changes,
+  // and the waitlist's title / handle / URLs current across renames
+  'products/update': async (product) => ({
+    index: await refreshBundleIndex(product?.id, hasBundleTag(product?.tags)),
+    waitlist: await syncProductDetails(product),
+  }),
+  // Payload is just { id }: archive the waitlist and stop anything still queued for it
+  'products/delete': async ({ id }) => ({
+    index: await unindexBundle(id),
+    waitlist: await archiveWaitlist(id),
+    jobCancelled: await cancelNotifyJob(String(id)),
+  }),
+  // Mandatory privacy topics: the full report (and any data bundle) is kept under
+  // /api/privacy-requests; only its id and counts go into the webhook ledger
+  'customers/data_request': async (payload, verified) => privacySummary(await handleDataRequest(payload, verified)),
+  'customers/redact': async (payload, verified) => privacySummary(await handleCustomerRedact(payload, verified)),
+  'shop/redact': async (payload, verified) => privacySummary(await handleShopRedact(payload, verified)),
+};
+
+export async function POST(req) {
+  const verified = await verifyShopifyWebhook(req);
+  if (!verified.ok) return webhookRejected(verified);
+
+  const topic = verified.topic;
+  const handler = HANDLERS[topic];
+
+  try {
+    const { duplicate, webhookId, result } = await processWebhookOnce(verified, async () => {
+      if (!handler) {
+        console.log(`📭 Webhook ${verified.webhookId || '?'} — no handler for "${topic}", acknowledged`);
+        return { handled: false };
+      }
+      return { handled: true, ...(await handler(verified.payload, verified)) };
+    });
+    return NextResponse.json({ success: true, topic, webhookId, duplicate, result });
+  } catch (error) {
+    console.error(`❌ Webhook ${verified.webhookId || '?'} (${topic}) failed:`, error?.message || error);
+    return NextResponse.json({ success: false, error: error?.message || String(error) }, { status: 500 });
+  }
+}
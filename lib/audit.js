@@ -0,0 +1,313 @@
+// lib/audit.js — bundle/non-bundle stock rules + per-product evaluation (audit sweep & inventory webhook)
+import { redis } from '@/lib/redis';
+import {
+  getProductMetafields, updateProductTags, bundleTagsFor, fetchVariant,
+  getPrimaryLocationId, setInventoryLevel, setProductMetafield,
+} from '@/lib/shopify';
+import { getSubscribersForProduct, awaitsNotification } from '@/lib/waitlist';
+import { enqueueNotifyJob, runNotifyJob, orderForNotify, waveSize, inScope } from '@/lib/notify-jobs';
+import { indexBundle, parseBundleStructure, unindexBundle } from '@/lib/bundle-index';
+import {
+  SELLABLE_LOCATION_IDS, locationAware, isSellableLocation,
+  attachSellableStock, sellableQty, sumLevels,
+} from '@/lib/inventory';
+
+/* ----------------- Status rules ----------------- */
+export function hasBundleTag(tagsStr) {
+  return String(tagsStr || '')
+    .split(',')
+    .map(t => t.trim().toLowerCase())
+    .includes('bundle');
+}
+export function extractStatusFromTags(tagsStr) {
+  const tags = String(tagsStr || '').split(',').map(t => t.trim().toLowerCase());
+  if (tags.includes('bundle-out-of-stock')) return 'out-of-stock';
+  if (tags.includes('bundle-understocked')) return 'understocked';
+  if (tags.includes('bundle-ok'))           return 'ok';
+  return null;
+}
+const RANK = { ok: 0, understocked: 1, 'out-of-stock': 2 };
+export function worstStatus(a = 'ok', b = 'ok') {
+  return (RANK[a] >= RANK[b]) ? a : b;
+}
+
+/* ----------------- Tunables ----------------- */
+// Write buildable bundle quantity back to Shopify (set BUNDLE_INVENTORY_SYNC=off to only tag)
+const BUNDLE_INVENTORY_SYNC = (process.env.BUNDLE_INVENTORY_SYNC || 'on').toLowerCase() !== 'off';
+// Location that holds bundle inventory; defaults to the shop's primary location
+const BUNDLE_LOCATION_ID = process.env.BUNDLE_INVENTORY_LOCATION_ID || '';
+// How long an evaluation works a restock's notification job before leaving the rest to /api/notify-jobs
+const NOTIFY_INLINE_BUDGET_MS = Number(process.env.NOTIFY_INLINE_BUDGET_MS || 20000);
+
+const sameTags = (a, b) => {
+  const norm = (csv) => String(csv || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean).sort().join(',');
+  return norm(a) === norm(b);
+};
+
+/* ----------------- Redis state (status + inv totals) ----------------- */
+export async function getStatus(productId) {
+  return (await redis.get(`status:${productId}`)) || null;
+}
+export async function setStatus(productId, prevStatus, currStatus, locations = null) {
+  await redis.set(`status:${productId}`, { previous: prevStatus, current: currStatus, ...(locations ? { locations } : {}) });
+}
+
+export async function getPrevTotal(productId) {
+  const v = await redis.get(`inv_total:${productId}`);
+  if (v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+export async function setCurrTotal(productId, total) {
+  await redis.set(`inv_total:${productId}`, total);
+}
+
+/** Last seen sellable quantity per variant: { [variantId]: qty } */
+export async function getPrevVariantQtys(productId) {
+  return (await redis.hgetall(`inv_variants:${productId}`)) || {};
+}
+export async function setVariantQtys(productId, qtyByVariant) {
+  if (Object.keys(qtyByVariant).length) await redis.hset(`inv_variants:${productId}`, qtyByVariant);
+}
+
+/* ----------------- Per-product evaluation ----------------- */
+/** Components status + buildable count for one stock view (qtyOf: variant → quantity) */
+function rateComponents(resolved, qtyOf) {
+  if (!resolved.length) return { componentsStatus: 'ok', buildable: null }; // no bundle_structure
+  const under = [], out = [];
+  let buildable = null;
+  for (const { c, v } of resolved) {
+    const qty = qtyOf(v);
+    const req = Number(c?.required_quantity ?? 1);
+    if (qty === 0) out.push(c.variant_id);
+    else if (qty < req) under.push(c.variant_id);
+    const canBuild = Math.floor(Math.max(qty, 0) / Math.max(req, 1));
+    buildable = buildable == null ? canBuild : Math.min(buildable, canBuild);
+  }
+  const componentsStatus = out.length ? 'out-of-stock' : under.length ? 'understocked' : 'ok';
+  return { componentsStatus, buildable };
+}
+
+/**
+ * Publish buildable quantity (min over components of floor(qty / required_quantity)) as the
+ * bundle's sellable stock. Tracked variants get inventory levels set — per sellable location
+ * when location-aware (unless BUNDLE_INVENTORY_LOCATION_ID pins one), otherwise at the bundle
+ * location. Untracked ones get custom.buildable_quantity on the product instead.
+ * Returns the writes made (or, in dry-run, the writes that would be made).
+ */
+async function publishBundleQuantity(product, buildable, byLocation, { dryRun = false } = {}) {
+  const writes = [];
+  if (!BUNDLE_INVENTORY_SYNC || buildable == null) return writes;
+
+  const variants = product.variants || [];
+  const tracked = variants.filter(v => v?.inventory_management === 'shopify' && v?.inventory_item_id);
+  if (tracked.length) {
+    const targets = (byLocation && !BUNDLE_LOCATION_ID)
+      ? Object.entries(byLocation).map(([locationId, r]) => [locationId, r.buildable ?? 0])
+      : [[BUNDLE_LOCATION_ID || await getPrimaryLocationId(), buildable]];
+    if (!targets.length || !targets[0][0]) throw new Error('No location for bundle inventory (set BUNDLE_INVENTORY_LOCATION_ID)');
+
+    for (const v of tracked) {
+      for (const [locationId, qty] of targets) {
+        const current = v.sellable_by_location
+          ? Number(v.sellable_by_location[locationId] ?? 0)
+          : Number(v?.inventory_quantity ?? 0);
+        if (current === qty) continue;
+        writes.push({ type: 'inventory_level', variantId: String(v.id), locationId: String(locationId), from: current, to: qty });
+        if (!dryRun) await setInventoryLevel(v.inventory_item_id, locationId, qty);
+        // in-memory either way, so a dry run evaluates status against the stock it would publish
+        if (v.sellable_by_location && isSellableLocation(locationId)) v.sellable_by_location[locationId] = qty;
+        else v.inventory_quantity = qty;
+      }
+      v.sellable_quantity = v.sellable_by_location ? sumLevels(v.sellable_by_location) : Number(v.inventory_quantity ?? 0);
+    }
+  }
+
+  if (tracked.length < variants.length || !variants.length) {
+    const key = `bundle_qty:${product.id}`;
+    const prev = await redis.get(key);
+    if (prev == null || Number(prev) !== buildable) {
+      writes.push({ type: 'metafield', key: 'custom.buildable_quantity', from: prev == null ? null : Number(prev), to: buildable });
+      if (!dryRun) {
+        await setProductMetafield(product.id, { namespace: 'custom', key: 'buildable_quantity', type: 'number_integer', value: buildable });
+        await redis.set(key, buildable);
+      }
+    }
+  }
+  return writes;
+}
+
+/**
+ * Expects product.variants already stamped by attachSellableStock. A catalog snapshot
+ * (lib/catalog-bulk.js) supplies the structure; components on other products are always read
+ * live, since their stock drives absolute inventory writes.
+ */
+async function computeBundleStatus(product, { dryRun = false } = {}) {
+  const mf = 'bundle_structure' in product ? product.bundle_structure : await getProductMetafields(Number(product.id));
+  const comps = parseBundleStructure(mf);
+  // Keep the component → bundle reverse index in step with every audit
+  if (!dryRun) await indexBundle(product.id, comps);
+
+  const resolved = [];
+  const fetched = [];
+  for (const c of comps) {
+    if (!c?.variant_id) continue;
+    const vid = String(c.variant_id).split('/').pop();
+    let v = (product.variants || []).find(v => String(v.id) === vid);
+    if (!v) {
+      v = (await fetchVariant(Number(vid))) || { id: vid, inventory_quantity: 0 };
+      fetched.push(v);
+    }
+    resolved.push({ c, v });
+  }
+  await attachSellableStock(fetched);
+
+  const { componentsStatus, buildable } = rateComponents(resolved, sellableQty);
+  const byLocation = locationAware
+    ? Object.fromEntries(SELLABLE_LOCATION_IDS.map(l => {
+        const r = rateComponents(resolved, v => Number(v?.sellable_by_location?.[l] ?? 0));
+        return [l, { status: r.componentsStatus, buildable: r.buildable }];
+      }))
+    : null;
+
+  // Publish first so own status (and the caller's inventory total) see the new sellable stock
+  const inventoryWrites = await publishBundleQuantity(product, buildable, byLocation, { dryRun });
+
+  // Untracked bundle variants carry no stock of their own once buildable is derived from components
+  const ownVariants = (product.variants || []).filter(v =>
+    buildable == null || !BUNDLE_INVENTORY_SYNC || v?.inventory_management === 'shopify');
+  const qtys = ownVariants.map(sellableQty);
+  const ownTotal = qtys.reduce((a, b) => a + b, 0);
+  const anyNeg  = qtys.some(q => q < 0);
+  const allZero = ownVariants.length > 0 && qtys.every(q => q === 0);
+  const ownStatus =
+    allZero ? 'out-of-stock'
+    : (anyNeg || ownTotal < 0) ? 'understocked'
+    : 'ok';
+
+  return {
+    componentsStatus, ownStatus, finalStatus: worstStatus(componentsStatus, ownStatus),
+    buildable, byLocation, inventoryWrites,
+  };
+}
+
+/**
+ * Re-evaluate one product (REST shape: id,title,handle,tags,variants): track its inventory
+ * total, re-tag bundles, and notify pending waitlist subscribers when the restock rules match.
+ *  - bundles notify when back to OK + pending + (flip to ok OR increased)
+ *  - non-bundles notify on increase with total > 0
+ * Product-level signups ("any variant") follow the product total; variant signups follow the
+ * same rules applied to their own variant's stock.
+ * dryRun: read-only — no tags, Redis state, inventory or notifications; `changes` describes
+ * what a live run would have done.
+ * notifyInline: false only queues a restock's notification job (for /api/notify-jobs to send).
+ */
+export async function evaluateProduct(product, { verbose = false, source, dryRun = false, notifyInline = true } = {}) {
+  const counts = { tagsUpdated: 0, inventoryUpdated: 0, notificationsSent: 0, smsNotificationsSent: 0, notificationErrors: 0, profileUpdates: 0 };
+
+  const pid = Number(product.id);
+  const title = product.title;
+  const handle = product.handle;
+  const tagsCSV = String(product.tags || '');
+
+  // Sellable stock only: locations that can't ship don't count toward status or restocks
+  await attachSellableStock(product.variants);
+
+  // Bundles first: publishing buildable quantity may change their own variant stock
+  const isBundle = hasBundleTag(tagsCSV);
+  const bundle = isBundle ? await computeBundleStatus(product, { dryRun }) : null;
+
+  // Inventory total across variants (sellable locations)
+  const total = (product.variants || []).reduce((acc, v) => acc + sellableQty(v), 0);
+  const prevTotal = await getPrevTotal(pid);
+  const increased = prevTotal == null ? false : total > prevTotal;
+
+  // Per-variant stock, so someone waiting on XL doesn't hear about S
+  const qtyByVariant = Object.fromEntries((product.variants || []).map(v => [String(v.id), sellableQty(v)]));
+  const prevByVariant = await getPrevVariantQtys(pid);
+  const increasedVariants = Object.keys(qtyByVariant)
+    .filter(id => prevByVariant[id] != null && qtyByVariant[id] > Number(prevByVariant[id]));
+  if (!dryRun) {
+    await setCurrTotal(pid, total);
+    await setVariantQtys(pid, qtyByVariant);
+  }
+
+  const changes = { status: null, tags: null, inventory: [], notify: [] };
+  let status = null;
+  let shouldNotify = false;
+  let allSubs = [], pending = [], scope = null;
+
+  if (isBundle) {
+    const { componentsStatus, ownStatus, finalStatus, buildable, byLocation } = bundle;
+    status = finalStatus;
+    if (!dryRun) counts.inventoryUpdated += bundle.inventoryWrites.length;
+    changes.inventory = bundle.inventoryWrites;
+    counts.buildable = buildable;
+    if (byLocation) counts.locations = byLocation;
+
+    const prevObj = await getStatus(pid);
+    const prevStatus = (prevObj?.current ?? extractStatusFromTags(tagsCSV)) || null;
+    if (prevStatus !== finalStatus) changes.status = { from: prevStatus, to: finalStatus };
+    const nextTags = bundleTagsFor(tagsCSV, finalStatus);
+    if (!sameTags(tagsCSV, nextTags)) changes.tags = { from: tagsCSV, to: nextTags };
+
+    if (!dryRun) {
+      await setStatus(pid, prevStatus, finalStatus, byLocation);
+      await updateProductTags(pid, tagsCSV, finalStatus);
+      counts.tagsUpdated++;
+    }
+
+    if (verbose) {
+      console.log(`📊 ${title} — bundle comp=${componentsStatus} own=${ownStatus} ⇒ ${finalStatus}; buildable=${buildable ?? 'n/a'}; total=${total} (prev=${prevTotal ?? 'n/a'}, Δ+? ${increased})`);
+    }
+
+    ({ merged: allSubs } = await getSubscribersForProduct({ id: pid, handle }));
+    pending = allSubs.filter(awaitsNotification);
+    const prevWasOk = (prevObj?.previous ?? extractStatusFromTags(tagsCSV)) === 'ok';
+    const isOk = finalStatus === 'ok';
+    scope = {
+      anyVariant: isOk && (!prevWasOk || increased),
+      variantIds: isOk
+        ? Object.keys(qtyByVariant).filter(id => qtyByVariant[id] > 0 && (!prevWasOk || increasedVariants.includes(id)))
+        : [],
+    };
+  } else {
+    if (!dryRun) await unindexBundle(pid);
+    if (verbose) console.log(`📊 ${title} — non-bundle; total=${total} (prev=${prevTotal ?? 'n/a'}, Δ+? ${increased})`);
+    ({ merged: allSubs } = await getSubscribersForProduct({ id: pid, handle }));
+    pending = allSubs.filter(awaitsNotification);
+    scope = {
+      anyVariant: increased && total > 0,
+      variantIds: increasedVariants.filter(id => qtyByVariant[id] > 0),
+    };
+  }
+
+  const eligible = pending.filter(s => inScope(scope, s));
+  shouldNotify = eligible.length > 0;
+  const available = scope.anyVariant ? total : scope.variantIds.reduce((a, id) => a + qtyByVariant[id], 0);
+
+  if (shouldNotify && dryRun) {
+    // First wave only when the wave policy is on (waveSize is Infinity otherwise)
+    changes.notify = orderForNotify(eligible).slice(0, waveSize(available))
+      .map(s => ({ email: s?.email || '', variant_id: s?.variant_id || null, sms: !!s?.sms_consent && !!s?.phone }));
+  } else if (shouldNotify) {
+    // Fan-out is a resumable job: start it here, and whatever doesn't fit is drained later
+    await enqueueNotifyJob({
+      pid, title, handle, isBundle, available, scope,
+      source: source || (isBundle ? 'bundle audit (catalog slice)' : 'catalog slice'),
+    });
+    const sent = notifyInline ? await runNotifyJob(pid, { deadline: Date.now() + NOTIFY_INLINE_BUDGET_MS }) : null;
+    if (sent) {
+      counts.notificationsSent    += sent.notificationsSent;
+      counts.smsNotificationsSent += sent.smsNotificationsSent;
+      counts.notificationErrors   += sent.notificationErrors;
+      counts.profileUpdates       += sent.profileUpdates;
+    }
+  }
+
+  return {
+    pid, isBundle, status, total, prevTotal, increased, restockedVariants: scope.variantIds,
+    pending: pending.length, notified: shouldNotify, ...counts,
+    ...(dryRun ? { changes } : {}),
+  };
+}
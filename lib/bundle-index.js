@@ -0,0 +1,58 @@
+// lib/bundle-index.js — reverse index: component variant_id → bundle product IDs (custom.bundle_structure)
+import { redis } from '@/lib/redis';
+import { getProductMetafields } from '@/lib/shopify';
+
+const variantKey = (variantId) => `bundle_index:variant:${variantId}`;
+const bundleKey  = (bundleId)  => `bundle_index:bundle:${bundleId}`;
+
+const normalizeId = (raw) => String(raw ?? '').split('/').pop().trim();
+
+/** Parse custom.bundle_structure → [{ variant_id, required_quantity, ... }] (invalid JSON → []) */
+export function parseBundleStructure(mf) {
+  if (!mf?.value) return [];
+  try {
+    const comps = JSON.parse(mf.value);
+    return Array.isArray(comps) ? comps : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Replace a bundle's entries: drop variants it no longer uses, add the current ones */
+export async function indexBundle(bundleId, components) {
+  const bid = normalizeId(bundleId);
+  const next = new Set(components.map(c => normalizeId(c?.variant_id)).filter(Boolean));
+  const prev = new Set((await redis.smembers(bundleKey(bid))) || []);
+
+  const removed = [...prev].filter(v => !next.has(v));
+  const added   = [...next].filter(v => !prev.has(v));
+  await Promise.all([
+    ...removed.map(v => redis.srem(variantKey(v), bid)),
+    ...[...next].map(v => redis.sadd(variantKey(v), bid)),
+  ]);
+  await redis.del(bundleKey(bid));
+  if (next.size) await redis.sadd(bundleKey(bid), ...next);
+  return { bundleId: bid, components: next.size, added: added.length, removed: removed.length };
+}
+
+/** Remove a product from the index entirely (no longer a bundle, or deleted) */
+export async function unindexBundle(bundleId) {
+  const bid = normalizeId(bundleId);
+  const prev = (await redis.smembers(bundleKey(bid))) || [];
+  if (!prev.length) return { bundleId: bid, removed: 0 };
+  await Promise.all(prev.map(v => redis.srem(variantKey(v), bid)));
+  await redis.del(bundleKey(bid));
+  return { bundleId: bid, removed: prev.length };
+}
+
+/** Bundle product IDs that list variantId as a component */
+export async function bundlesForVariant(variantId) {
+  return ((await redis.smembers(variantKey(normalizeId(variantId)))) || []).map(String);
+}
+
+/** Re-read the bundle_structure metafield for a product and update the index accordingly */
+export async function refreshBundleIndex(productId, isBundle) {
+  if (!isBundle) return unindexBundle(productId);
+  const comps = parseBundleStructure(await getProductMetafields(Number(productId)));
+  return indexBundle(productId, comps);
+}
@@ -0,0 +1,163 @@
+// lib/catalog-bulk.js — full-catalog snapshot via a Shopify GraphQL bulk operation (products,
+// variants, stock and custom.bundle_structure in one export, parsed from the JSONL result)
+import { shopifyGraphQL } from '@/lib/shopify';
+import { SELLABLE_LOCATION_IDS, locationAware, isSellableLocation, sumLevels } from '@/lib/inventory';
+
+const gidId = (gid) => String(gid ?? '').split('/').pop();
+
+/* ----------------- Export query ----------------- */
+// Per-location levels are only exported when the audit actually needs them
+const LEVELS = locationAware
+  ? `inventoryLevels { edges { node { location { id } quantities(names: ["available"]) { name quantity } } } }`
+  : '';
+
+export const CATALOG_QUERY = `
+{
+  products {
+    edges {
+      node {
+        id
+        title
+        handle
+        tags
+        bundleStructure: metafield(namespace: "custom", key: "bundle_structure") { value }
+        variants {
+          edges {
+            node {
+              id
+              inventoryQuantity
+              inventoryItem { id tracked ${LEVELS} }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const OPERATION_FIELDS = 'id status errorCode objectCount url partialDataUrl createdAt completedAt query';
+
+/* ----------------- Operation lifecycle ----------------- */
+/**
+ * Start the catalog export. Only one bulk query may run per shop, so an export that is already
+ * running with the same query (e.g. started by the other audit mode) is adopted instead.
+ */
+export async function startCatalogExport() {
+  const data = await shopifyGraphQL(
+    `mutation($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { ${OPERATION_FIELDS} }
+        userErrors { field message }
+      }
+    }`,
+    { query: CATALOG_QUERY }
+  );
+  const { bulkOperation, userErrors } = data?.bulkOperationRunQuery || {};
+  if (bulkOperation) return bulkOperation;
+
+  const current = await currentBulkOperation();
+  if (current && ['CREATED', 'RUNNING'].includes(current.status) && current.query?.trim() === CATALOG_QUERY.trim()) {
+    console.log(`♻️ Adopting catalog export already in progress: ${current.id}`);
+    return current;
+  }
+  throw new Error(`Bulk export not started: ${(userErrors || []).map(e => e?.message).join('; ') || 'unknown error'}`);
+}
+
+export async function currentBulkOperation() {
+  const data = await shopifyGraphQL(`{ currentBulkOperation(type: QUERY) { ${OPERATION_FIELDS} } }`);
+  return data?.currentBulkOperation || null;
+}
+
+export async function getBulkOperation(id) {
+  const data = await shopifyGraphQL(
+    `query($id: ID!) { node(id: $id) { ... on BulkOperation { ${OPERATION_FIELDS} } } }`,
+    { id }
+  );
+  return data?.node || null;
+}
+
+/* ----------------- JSONL result ----------------- */
+/** Records of a JSONL document, one at a time; stopping early cancels the download */
+export async function* readJsonl(url) {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok || !res.body) throw new Error(`Bulk result download failed: ${res.status} ${res.statusText}`);
+
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of res.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  buf += decoder.decode();
+  if (buf.trim()) yield JSON.parse(buf);
+}
+
+/**
+ * Products of a completed export, in file order, as { index, product } — REST-shaped (what
+ * evaluateProduct expects), with:
+ *  - product.bundle_structure: the metafield ({ value }) or null, so no metafields call is needed
+ *  - variant.sellable_quantity / sellable_by_location already stamped from the export
+ * Products before `from` are skipped without being built, and each product is handed over as
+ * soon as the next one starts (Shopify writes children after their parent), so a slice holds one
+ * product at a time and can stop reading wherever its budget runs out.
+ */
+export async function* readCatalogProducts(url, { from = 0 } = {}) {
+  if (!url) return; // empty catalog: Shopify returns no file
+
+  let index = -1;
+  let current = null;   // product being assembled (null while before `from`)
+  let currentGid = null;
+  const variantsByGid = new Map(); // current product's variant gid and inventory item gid → variant
+
+  const finish = (p) => {
+    for (const v of p.variants) {
+      v.sellable_quantity = v.sellable_by_location ? sumLevels(v.sellable_by_location) : v.inventory_quantity;
+    }
+    return { index, product: p };
+  };
+
+  for await (const rec of readJsonl(url)) {
+    const type = String(rec.id || '').split('/')[3] || (rec.location ? 'InventoryLevel' : '');
+    if (type === 'Product') {
+      if (current) yield finish(current);
+      index++;
+      variantsByGid.clear();
+      currentGid = rec.id;
+      current = index < from ? null : {
+        id: gidId(rec.id),
+        title: rec.title,
+        handle: rec.handle,
+        tags: (rec.tags || []).join(', '),
+        bundle_structure: rec.bundleStructure || null,
+        variants: [],
+      };
+    } else if (!current) {
+      continue;
+    } else if (type === 'ProductVariant') {
+      if (rec.__parentId !== currentGid) continue;
+      const v = {
+        id: gidId(rec.id),
+        product_id: gidId(rec.__parentId),
+        inventory_quantity: Number(rec.inventoryQuantity ?? 0),
+        inventory_item_id: gidId(rec.inventoryItem?.id),
+        inventory_management: rec.inventoryItem?.tracked ? 'shopify' : null,
+      };
+      if (locationAware) v.sellable_by_location = Object.fromEntries(SELLABLE_LOCATION_IDS.map(l => [l, 0]));
+      current.variants.push(v);
+      variantsByGid.set(rec.id, v);
+      if (rec.inventoryItem?.id) variantsByGid.set(rec.inventoryItem.id, v);
+    } else if (type === 'InventoryLevel') {
+      const v = variantsByGid.get(rec.__parentId);
+      const loc = gidId(rec.location?.id);
+      if (!v?.sellable_by_location || !isSellableLocation(loc)) continue;
+      const available = (rec.quantities || []).find(q => q?.name === 'available');
+      v.sellable_by_location[loc] = Number(available?.quantity ?? 0);
+    }
+  }
+  if (current) yield finish(current);
+}
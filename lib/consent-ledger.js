@@ -0,0 +1,129 @@
+// lib/consent-ledger.js — append-only record of every waitlist consent event (signup, re-arm,
+// confirmation, unsubscribe, contact change) per contact, for TCPA / GDPR disputes.
+import { randomUUID } from 'crypto';
+import { redis } from '@/lib/redis';
+
+/* ----------------- Storage ----------------- */
+// Each event is pushed onto every contact it names, so it can be found by email or by phone:
+//   consent:email:{email}    list  oldest first
+//   consent:phone:{e164}     list  oldest first
+// Entries are never edited or trimmed; a change of mind is a new entry.
+const emailLog = (email) => `consent:email:${String(email).trim().toLowerCase()}`;
+const phoneLog = (phone) => `consent:phone:${String(phone).trim()}`;
+
+const MAX_TEXT = { consent_text: 1500, page_url: 1000, user_agent: 500 };
+const clip = (v, n) => (v == null || v === '' ? null : String(v).slice(0, n));
+
+/** Request context worth keeping with a consent event */
+export function consentContext(req, { ip, page_url } = {}) {
+  return {
+    ip: ip || null,
+    user_agent: clip(req.headers.get('user-agent'), MAX_TEXT.user_agent),
+    page_url: clip(page_url || req.headers.get('referer'), MAX_TEXT.page_url),
+  };
+}
+
+/**
+ * Append one event. `action`: signup | rearm | confirm | unsubscribe | contact_update.
+ * email_consent / sms_consent are the state after the event for that waitlist entry (null =
+ * that channel wasn't touched); pending_confirmation marks a double opt-in signup not yet
+ * confirmed; klaviyo_sync says how a withdrawal was passed on to Klaviyo. Resolves the stored entry.
+ */
+export async function appendConsent({
+  action, email, phone, email_consent = null, sms_consent = null, pending_confirmation = false,
+  consent_text, consent_version, product_id, variant_id, source, ip, user_agent, page_url, klaviyo_sync,
+}) {
+  const entry = {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    email: email ? String(email).trim().toLowerCase() : null,
+    phone: phone || null,
+    email_consent,
+    sms_consent,
+    pending_confirmation: !!pending_confirmation,
+    consent_text: clip(consent_text, MAX_TEXT.consent_text),
+    consent_version: clip(consent_version, 50),
+    product_id: product_id ? String(product_id) : null,
+    variant_id: variant_id ? String(variant_id) : null,
+    source: clip(source, 100),
+    ip: ip || null,
+    user_agent: clip(user_agent, MAX_TEXT.user_agent),
+    page_url: clip(page_url, MAX_TEXT.page_url),
+    klaviyo_sync: clip(klaviyo_sync, 500),
+  };
+
+  const tx = redis.multi();
+  if (entry.email) tx.rpush(emailLog(entry.email), entry);
+  if (entry.phone) tx.rpush(phoneLog(entry.phone), entry);
+  await tx.exec();
+  return entry;
+}
+
+/** Best-effort append for request handlers: a ledger hiccup is logged, never fails the request */
+export async function recordConsent(event) {
+  try {
+    return await appendConsent(event);
+  } catch (e) {
+    console.error(`❌ Consent ledger write failed (${event?.action} ${event?.email || event?.phone || ''}):`, e?.message || e);
+    return null;
+  }
+}
+
+/** Every event for an email and/or phone, oldest first (events naming both appear once) */
+export async function getConsentHistory({ email, phone } = {}) {
+  const lists = await Promise.all([
+    email ? redis.lrange(emailLog(email), 0, -1) : [],
+    phone ? redis.lrange(phoneLog(phone), 0, -1) : [],
+  ]);
+  const byId = new Map();
+  for (const e of lists.flat()) if (e?.id && !byId.has(e.id)) byId.set(e.id, e);
+  return [...byId.values()].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+/**
+ * Erase a contact's logs (customers/redact / shop erasure overrides "append-only"). Events that
+ * named both contacts go with either. Resolves how many entries were removed.
+ */
+export async function eraseConsentHistory({ email, phone } = {}) {
+  const e = email ? String(email).trim().toLowerCase() : null;
+  const history = await getConsentHistory({ email: e, phone });
+  const keys = [e && emailLog(e), phone && phoneLog(phone)].filter(Boolean);
+  if (keys.length) await redis.del(...keys);
+
+  // Events that also named someone else stay in that contact's log — with our half blanked out
+  const others = new Set();
+  for (const entry of history) {
+    if (entry.email && entry.email !== e) others.add(emailLog(entry.email));
+    if (entry.phone && entry.phone !== phone) others.add(phoneLog(entry.phone));
+  }
+  for (const key of others) {
+    const log = (await redis.lrange(key, 0, -1)) || [];
+    const scrubbed = log.map(entry => ({
+      ...entry,
+      ...(e && entry.email === e ? { email: null } : {}),
+      ...(phone && entry.phone === phone ? { phone: null } : {}),
+    }));
+    const tx = redis.multi();
+    tx.del(key);
+    if (scrubbed.length) tx.rpush(key, ...scrubbed);
+    await tx.exec();
+  }
+  return history.length;
+}
+
+/* ----------------- Export ----------------- */
+const CSV_COLUMNS = [
+  'at', 'action', 'email', 'phone', 'email_consent', 'sms_consent', 'pending_confirmation', 'consent_text', 'consent_version',
+  'product_id', 'variant_id', 'source', 'ip', 'user_agent', 'page_url', 'klaviyo_sync', 'id',
+];
+const csvCell = (v) => {
+  if (v == null) return '';
+  // Submitted text can't turn into a spreadsheet formula (E.164 numbers are left alone)
+  const s = /^[=+\-@\t\r]/.test(String(v)) && !/^\+\d+$/.test(String(v)) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function consentToCsv(entries) {
+  return [CSV_COLUMNS.join(','), ...entries.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','))].join('\r\n') + '\r\n';
+}
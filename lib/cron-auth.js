@@ -0,0 +1,33 @@
+// lib/cron-auth.js — shared auth for cron/operator endpoints
+import { NextResponse } from 'next/server';
+
+const CRON_SECRET = process.env.CRON_SECRET || ''; // optional; if unset, no auth required
+
+export function unauthorized() {
+  return NextResponse.json({ success: false, error: 'unauthorized' }, { status: 401 });
+}
+
+export async function ensureCronAuth(req) {
+  // Allow Vercel Cron (adds this header automatically)
+  if (req.headers.get('x-vercel-cron')) return true;
+  if (!CRON_SECRET) return true; // open if no secret configured
+  const auth = req.headers.get('authorization') || '';
+  if (auth === `Bearer ${CRON_SECRET}`) return true;
+  const url = new URL(req.url);
+  if (url.searchParams.get('token') === CRON_SECRET) return true; // optional query token
+  return false;
+}
+
+const OPERATOR_SECRET = process.env.OPERATOR_SECRET || CRON_SECRET;
+
+/**
+ * Stricter check for operator controls (cancel/reset/unlock…): a secret must be configured and
+ * presented explicitly — the Vercel Cron header and the "no secret = open" fallback don't count.
+ */
+export async function ensureOperatorAuth(req) {
+  if (!OPERATOR_SECRET) return false;
+  const auth = req.headers.get('authorization') || '';
+  if (auth === `Bearer ${OPERATOR_SECRET}`) return true;
+  const url = new URL(req.url);
+  return url.searchParams.get('token') === OPERATOR_SECRET;
+}
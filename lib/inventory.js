@@ -0,0 +1,69 @@
+// lib/inventory.js — per-location stock for the locations that can actually ship to customers
+import { fetchShopify } from '@/lib/shopify';
+
+/* ----------------- Env ----------------- */
+// Comma-separated Shopify location IDs that count as sellable. Unset = every location counts,
+// and the audit keeps using variant.inventory_quantity (the all-locations sum).
+export const SELLABLE_LOCATION_IDS = String(process.env.SELLABLE_LOCATION_IDS || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+export const locationAware = SELLABLE_LOCATION_IDS.length > 0;
+
+export const isSellableLocation = (locationId) =>
+  !locationAware || SELLABLE_LOCATION_IDS.includes(String(locationId));
+
+/* ----------------- Levels ----------------- */
+/**
+ * inventory_item_ids → { [itemId]: { [locationId]: available } }, sellable locations only.
+ * Every sellable location is present for every item (missing level = 0).
+ */
+export async function fetchSellableLevels(inventoryItemIds) {
+  const ids = [...new Set(inventoryItemIds.map(String).filter(Boolean))];
+  const out = {};
+  for (const id of ids) out[id] = Object.fromEntries(SELLABLE_LOCATION_IDS.map(l => [l, 0]));
+  if (!ids.length || !locationAware) return out;
+
+  // inventory_levels.json caps at 50 ids per filter and 250 rows per page
+  const chunkSize = Math.max(1, Math.min(50, Math.floor(250 / SELLABLE_LOCATION_IDS.length)));
+  const locations = SELLABLE_LOCATION_IDS.slice(0, 50).join(',');
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    const chunk = ids.slice(i, i + chunkSize).join(',');
+    const res = await fetchShopify(`inventory_levels.json?limit=250&inventory_item_ids=${chunk}&location_ids=${locations}`);
+    for (const lvl of res?.inventory_levels || []) {
+      const item = String(lvl.inventory_item_id);
+      const loc = String(lvl.location_id);
+      if (!out[item] || !isSellableLocation(loc)) continue;
+      out[item][loc] = Number(lvl.available ?? 0);
+    }
+  }
+  return out;
+}
+
+export const sumLevels = (byLocation) =>
+  Object.values(byLocation || {}).reduce((a, b) => a + Number(b || 0), 0);
+
+/**
+ * Stamp sellable stock onto REST variant objects in place:
+ *  - sellable_by_location: { [locationId]: available } (location-aware only)
+ *  - sellable_quantity: sum over sellable locations, or inventory_quantity when not location-aware
+ * Variants that already carry per-location stock (bulk catalog snapshot) are left as they are.
+ */
+export async function attachSellableStock(variants) {
+  const list = (variants || []).filter(Boolean);
+  if (!locationAware) {
+    for (const v of list) v.sellable_quantity = Number(v?.inventory_quantity ?? 0);
+    return list;
+  }
+  const missing = list.filter(v => !v.sellable_by_location);
+  const levels = await fetchSellableLevels(missing.map(v => v.inventory_item_id));
+  for (const v of missing) {
+    const byLoc = levels[String(v.inventory_item_id)] || {};
+    v.sellable_by_location = byLoc;
+    v.sellable_quantity = sumLevels(byLoc);
+  }
+  return list;
+}
+
+export const sellableQty = (v) => Number(v?.sellable_quantity ?? v?.inventory_quantity ?? 0);
@@ -0,0 +1,359 @@
+// lib/klaviyo.js — the one Klaviyo client: pinned revision, retries on 429/5xx (Retry-After),
+// structured errors, and the profile / list / event calls the waitlist routes need.
+
+/* ----------------- Env ----------------- */
+const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;
+export const KLAVIYO_REVISION = process.env.KLAVIYO_REVISION || '2024-10-15';
+
+const BASE_URL    = 'https://a.klaviyo.com/api';
+const MAX_RETRIES = Number(process.env.KLAVIYO_MAX_RETRIES || 4);
+
+export function assertKlaviyoEnv(missing = []) {
+  if (!KLAVIYO_API_KEY) missing.push('KLAVIYO_API_KEY');
+  return missing;
+}
+
+/* ----------------- Errors ----------------- */
+/** Non-2xx from Klaviyo: status + the first JSON:API error's code/detail, full body kept */
+export class KlaviyoError extends Error {
+  constructor({ method, path, status, statusText = '', body = '', errors = [] }) {
+    const first = errors[0] || {};
+    super(`Klaviyo ${method} ${path} failed: ${status} ${statusText}${first.detail ? ` — ${first.detail}` : body ? ` :: ${body}` : ''}`);
+    this.name = 'KlaviyoError';
+    this.status = status;
+    this.code = first.code || null;
+    this.detail = first.detail || null;
+    this.errors = errors;
+    this.body = body;
+    this.retryable = status === 429 || status >= 500;
+  }
+}
+
+// Most bulk create endpoints take at most this many profiles/events per request
+export const KLAVIYO_BULK_LIMIT = 1000;
+
+/* ----------------- Core request ----------------- */
+const sleep = (ms) => new Promise(r => setTimeout(r, Math.max(0, ms)));
+
+function retryAfterMs(res, attempt) {
+  const secs = Number(res.headers.get('retry-after'));
+  if (Number.isFinite(secs) && secs > 0) return secs * 1000;
+  return Math.min(1000 * 2 ** attempt, 30000);
+}
+
+/**
+ * Call the Klaviyo API. Resolves { ok, status, data, body } on 2xx; retries 429/5xx up to
+ * KLAVIYO_MAX_RETRIES times (honoring Retry-After) and then throws KlaviyoError.
+ */
+export async function klaviyoRequest(path, { method = 'GET', body = null } = {}) {
+  if (!KLAVIYO_API_KEY) throw new Error('KLAVIYO_API_KEY missing');
+  const url = path.startsWith('http') ? path : `${BASE_URL}/${path.replace(/^\//, '')}`;
+  const opts = {
+    method,
+    headers: {
+      'Authorization': `Klaviyo-API-Key ${KLAVIYO_API_KEY}`,
+      'accept': 'application/json',
+      'revision': KLAVIYO_REVISION,
+      ...(body ? { 'content-type': 'application/json' } : {}),
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, opts);
+    } catch (e) {
+      // network failure: same treatment as a 5xx
+      if (attempt < MAX_RETRIES) { await sleep(Math.min(1000 * 2 ** attempt, 30000)); continue; }
+      throw e;
+    }
+    const text = await res.text();
+    if (res.ok) {
+      let data = null;
+      try { data = text ? JSON.parse(text) : null; } catch {}
+      return { ok: true, status: res.status, data, body: text };
+    }
+
+    let errors = [];
+    try { errors = JSON.parse(text)?.errors || []; } catch {}
+    const err = new KlaviyoError({ method, path: new URL(url).pathname, status: res.status, statusText: res.statusText, body: text, errors });
+    if (!err.retryable || attempt >= MAX_RETRIES) throw err;
+
+    const wait = retryAfterMs(res, attempt);
+    console.warn(`⏳ Klaviyo ${res.status} on ${new URL(url).pathname}; retrying in ${Math.round(wait)}ms`);
+    await sleep(wait);
+  }
+}
+
+/* ----------------- Profiles ----------------- */
+const profileAttrs = ({ email, phoneE164, first_name, last_name, properties }) => ({
+  ...(email ? { email } : {}),
+  ...(phoneE164 ? { phone_number: phoneE164 } : {}),
+  ...(first_name ? { first_name } : {}),
+  ...(last_name ? { last_name } : {}),
+  ...(properties ? { properties } : {}),
+});
+
+/** Profile by email, or null when Klaviyo has none */
+export async function findProfileByEmail(email) {
+  if (!email) throw new Error('email missing');
+  const filter = `equals(email,"${String(email).replace(/"/g, '\\"')}")`;
+  const out = await klaviyoRequest(`profiles/?filter=${encodeURIComponent(filter)}&page[size]=1`);
+  return out.data?.data?.[0] || null;
+}
+
+/** Full profile, including consent (subscriptions are only returned when asked for) */
+export async function getProfile(id) {
+  const out = await klaviyoRequest(`profiles/${encodeURIComponent(id)}/?additional-fields[profile]=subscriptions`);
+  return out.data?.data || null;
+}
+
+/**
+ * Create-or-update a profile (matched on email/phone) and merge in custom properties.
+ * Resolves { ok, status, id, body }.
+ */
+export async function upsertProfile({ email, phoneE164, first_name, last_name, properties }) {
+  if (!email && !phoneE164) throw new Error('email or phone missing');
+  const out = await klaviyoRequest('profile-import/', {
+    method: 'POST',
+    body: { data: { type: 'profile', attributes: profileAttrs({ email, phoneE164, first_name, last_name, properties }) } },
+  });
+  return { ok: true, status: out.status, id: out.data?.data?.id || null, body: out.body };
+}
+
+/** Property-only upsert — what flows read as {{ person.* }} */
+export async function updateProfileProperties({ email, properties }) {
+  if (!email) throw new Error('email missing');
+  return upsertProfile({ email, properties });
+}
+
+/** Many profiles (up to KLAVIYO_BULK_LIMIT — callers chunk) in one async job; resolves { ok, status, jobId } */
+export async function importProfilesBulk(profiles) {
+  const out = await klaviyoRequest('profile-bulk-import-jobs/', {
+    method: 'POST',
+    body: {
+      data: {
+        type: 'profile-bulk-import-job',
+        attributes: { profiles: { data: profiles.map(p => ({ type: 'profile', attributes: profileAttrs(p) })) } },
+      },
+    },
+  });
+  return { ok: true, status: out.status, jobId: out.data?.data?.id || null, body: out.body };
+}
+
+/** { id, status: queued|processing|complete|cancelled, total_count, completed_count, failed_count } */
+export async function getProfileImportJob(jobId) {
+  const out = await klaviyoRequest(`profile-bulk-import-jobs/${encodeURIComponent(jobId)}/`);
+  const d = out.data?.data;
+  return d ? { id: d.id, ...d.attributes } : null;
+}
+
+/**
+ * Per-profile failures of an import job, as indexes into the submitted profiles array
+ * (from the error's source pointer) with Klaviyo's detail.
+ */
+export async function getProfileImportErrors(jobId) {
+  const errors = [];
+  let next = `profile-bulk-import-jobs/${encodeURIComponent(jobId)}/import-errors/`;
+  while (next) {
+    const out = await klaviyoRequest(next);
+    for (const e of out.data?.data || []) {
+      const a = e?.attributes || {};
+      const m = String(a.source?.pointer || '').match(/profiles\/data\/(\d+)/);
+      errors.push({ index: m ? Number(m[1]) : null, email: a.original_payload?.email || null, code: a.code, detail: a.detail || a.title });
+    }
+    next = out.data?.links?.next || null;
+  }
+  return errors;
+}
+
+/** Poll a bulk job (getJob: id → state) until it settles or timeoutMs passes */
+async function waitForJob(getJob, jobId, { timeoutMs = 60000, intervalMs = 2000 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await getJob(jobId);
+    const settled = ['complete', 'cancelled', 'failed'].includes(job?.status);
+    if (settled || Date.now() + intervalMs > until) return { ...job, settled };
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Poll an import job until it settles or timeoutMs passes. Resolves the last job state;
+ * `settled` is false when we stopped waiting.
+ */
+export async function waitForProfileImportJob(jobId, opts) {
+  return waitForJob(getProfileImportJob, jobId, opts);
+}
+
+/* ----------------- Lists & consent ----------------- */
+const subscriptionProfile = ({ email, phoneE164, sms }) => {
+  const subscriptions = { email: { marketing: { consent: 'SUBSCRIBED' } } };
+  if (sms && phoneE164) subscriptions.sms = { marketing: { consent: 'SUBSCRIBED' } };
+  return {
+    type: 'profile',
+    attributes: { email, ...(sms && phoneE164 ? { phone_number: phoneE164 } : {}), subscriptions },
+  };
+};
+
+/**
+ * Subscribe profiles to a list with marketing consent (email, plus SMS when sms && phone).
+ * Klaviyo processes this as a job; resolves { ok, status, body } once it's accepted.
+ */
+export async function subscribeProfilesBulk({ listId, profiles }) {
+  if (!listId) throw new Error('listId missing');
+  if (!profiles?.length) throw new Error('profiles missing');
+  if (profiles.some(p => !p?.email)) throw new Error('email missing');
+  const out = await klaviyoRequest('profile-subscription-bulk-create-jobs/', {
+    method: 'POST',
+    body: {
+      data: {
+        type: 'profile-subscription-bulk-create-job',
+        attributes: { profiles: { data: profiles.map(subscriptionProfile) } },
+        relationships: { list: { data: { type: 'list', id: String(listId) } } },
+      },
+    },
+  });
+  return { ok: true, status: out.status, body: out.body };
+}
+
+export async function subscribeProfilesToList({ listId, email, phoneE164, sms }) {
+  return subscribeProfilesBulk({ listId, profiles: [{ email, phoneE164, sms }] });
+}
+
+/**
+ * Withdraw marketing consent for channels (['email'] / ['sms'] / both), from listId when given.
+ * SMS needs the phone number. Klaviyo processes this as a job; resolves { ok, status, body } once
+ * it's accepted.
+ */
+export async function unsubscribeProfile({ listId, email, phoneE164, channels }) {
+  if (!email && !phoneE164) throw new Error('email or phone missing');
+  if (!channels?.length) throw new Error('channels missing');
+  if (channels.includes('sms') && !phoneE164) throw new Error('phone missing');
+  const subscriptions = Object.fromEntries(channels.map(c => [c, { marketing: { consent: 'UNSUBSCRIBED' } }]));
+  const out = await klaviyoRequest('profile-subscription-bulk-delete-jobs/', {
+    method: 'POST',
+    body: {
+      data: {
+        type: 'profile-subscription-bulk-delete-job',
+        attributes: {
+          profiles: { data: [{ type: 'profile', attributes: { ...profileAttrs({ email, phoneE164 }), subscriptions } }] },
+        },
+        ...(listId ? { relationships: { list: { data: { type: 'list', id: String(listId) } } } } : {}),
+      },
+    },
+  });
+  return { ok: true, status: out.status, body: out.body };
+}
+
+/**
+ * Ask Klaviyo to delete a person's profile and everything attached to it (data-privacy deletion).
+ * Klaviyo takes one identifier per request, so email and phone are sent separately; resolves
+ * { ok, requested } once each is accepted.
+ */
+export async function requestProfileDeletion({ email, phoneE164 }) {
+  if (!email && !phoneE164) throw new Error('email or phone missing');
+  const identifiers = [email && { email }, phoneE164 && { phone_number: phoneE164 }].filter(Boolean);
+  for (const attributes of identifiers) {
+    await klaviyoRequest('data-privacy-deletion-jobs/', {
+      method: 'POST',
+      body: {
+        data: {
+          type: 'data-privacy-deletion-job',
+          attributes: { profile: { data: { type: 'profile', attributes } } },
+        },
+      },
+    });
+  }
+  return { ok: true, requested: identifiers.length };
+}
+
+/** Add existing profiles to a list without touching consent */
+export async function addProfilesToList(listId, profileIds) {
+  const out = await klaviyoRequest(`lists/${encodeURIComponent(listId)}/relationships/profiles/`, {
+    method: 'POST',
+    body: { data: profileIds.map(id => ({ type: 'profile', id })) },
+  });
+  return { ok: true, status: out.status, body: out.body };
+}
+
+/* ----------------- Events ----------------- */
+const eventAttrs = ({ metricName, email, phoneE164, properties, uniqueId, time }) => ({
+  time: time || new Date().toISOString(),
+  properties: properties || {},
+  ...(uniqueId ? { unique_id: uniqueId } : {}),
+  metric: { data: { type: 'metric', attributes: { name: metricName } } },
+  profile: { data: { type: 'profile', attributes: profileAttrs({ email, phoneE164 }) } },
+});
+
+/** Send a metric event; uniqueId lets Klaviyo drop a duplicate of the same event */
+export async function trackEvent({ metricName, email, phoneE164, properties, uniqueId, time }) {
+  if (!metricName) throw new Error('metricName missing');
+  if (!email && !phoneE164) throw new Error('email or phone missing');
+  const out = await klaviyoRequest('events/', {
+    method: 'POST',
+    body: { data: { type: 'event', attributes: eventAttrs({ metricName, email, phoneE164, properties, uniqueId, time }) } },
+  });
+  return { ok: true, status: out.status, body: out.body };
+}
+
+/**
+ * Many events for one metric in a single async job: events = [{ email, phoneE164, properties, uniqueId }].
+ * Resolves once accepted, with the jobId to follow up on (waitForEventBulkJob).
+ */
+export async function trackEventsBulk({ metricName, events }) {
+  if (!metricName) throw new Error('metricName missing');
+  if (!events?.length) throw new Error('events missing');
+  const out = await klaviyoRequest('event-bulk-create-jobs/', {
+    method: 'POST',
+    body: {
+      data: {
+        type: 'event-bulk-create-job',
+        attributes: {
+          'events-bulk-create': {
+            data: events.map(e => {
+              const { profile, ...attributes } = eventAttrs({ metricName, ...e });
+              return {
+                type: 'event-bulk-create',
+                attributes: {
+                  profile,
+                  events: { data: [{ type: 'event', attributes }] },
+                },
+              };
+            }),
+          },
+        },
+      },
+    },
+  });
+  return { ok: true, status: out.status, jobId: out.data?.data?.id || null, body: out.body };
+}
+
+/** { id, status: queued|processing|complete|cancelled|failed, total_count, completed_count, failed_count } */
+export async function getEventBulkJob(jobId) {
+  const out = await klaviyoRequest(`event-bulk-create-jobs/${encodeURIComponent(jobId)}/`);
+  const d = out.data?.data;
+  return d ? { id: d.id, ...d.attributes } : null;
+}
+
+/** Per-event failures of a bulk event job, as indexes into the submitted events array */
+export async function getEventBulkJobErrors(jobId) {
+  const errors = [];
+  let next = `event-bulk-create-jobs/${encodeURIComponent(jobId)}/import-errors/`;
+  while (next) {
+    const out = await klaviyoRequest(next);
+    for (const e of out.data?.data || []) {
+      const a = e?.attributes || {};
+      const m = String(a.source?.pointer || '').match(/data\/(\d+)/);
+      errors.push({ index: m ? Number(m[1]) : null, code: a.code, detail: a.detail || a.title });
+    }
+    next = out.data?.links?.next || null;
+  }
+  return errors;
+}
+
+/** Poll a bulk event job until it settles or timeoutMs passes (same shape as the profile import) */
+export async function waitForEventBulkJob(jobId, opts) {
+  return waitForJob(getEventBulkJob, jobId, opts);
+}
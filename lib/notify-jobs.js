@@ -0,0 +1,283 @@
+// lib/notify-jobs.js — resumable back-in-stock fan-out: one job per product, worked in batches
+// through the outbox (lib/notify-outbox.js) so a big waitlist can span many invocations without
+// losing progress or double-sending.
+import { redis } from '@/lib/redis';
+import { getSubscribersForProduct, entryKey, awaitsNotification } from '@/lib/waitlist';
+import { enqueueMessages, deliverMessages, dueMessages, outboxStats } from '@/lib/notify-outbox';
+import { KLAVIYO_BULK_LIMIT } from '@/lib/klaviyo';
+import { fetchProduct } from '@/lib/shopify';
+import { attachSellableStock, sellableQty } from '@/lib/inventory';
+
+/* ----------------- Tunables ----------------- */
+// Subscribers per outbox batch; each batch is one round of Klaviyo bulk jobs
+const BATCH_SIZE = Number(process.env.NOTIFY_BATCH_SIZE || KLAVIYO_BULK_LIMIT);
+// Optional wave policy: notify at most ceil(available × multiplier) subscribers (oldest first)
+// per wave, and only open another wave after the cooldown if stock is still there. Unset/0 = all.
+const WAVE_MULTIPLIER  = Number(process.env.NOTIFY_WAVE_MULTIPLIER || 0);
+const WAVE_COOLDOWN_MS = Number(process.env.NOTIFY_WAVE_COOLDOWN_MS || 30 * 60 * 1000);
+const LOCK_TTL_SECONDS = 5 * 60;
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/* ----------------- Keys ----------------- */
+const QUEUE_KEY = 'notify:jobs';                       // zset pid → enqueued at (ms)
+const jobKey  = (pid) => `notify:job:${pid}`;          // { jobId, pid, title, handle, isBundle, source, scope, available, wave, counts… }
+const queuedKey = (pid) => `notify:job:${pid}:queued`; // hash entryKey → outbox msgId; the progress cursor
+const openKey = (pid) => `notify:job:${pid}:open`;     // set of msgIds not yet delivered or dead-lettered
+const lockKey = (pid) => `locks:notify:${pid}`;        // one worker per product (webhook, audit or drain)
+
+/* ----------------- Waves ----------------- */
+export const wavesEnabled = WAVE_MULTIPLIER > 0;
+
+/** Subscribers in notification order: first come, first served */
+export const orderForNotify = (subs) =>
+  [...subs].sort((a, b) => (Date.parse(a?.subscribed_at || 0) || 0) - (Date.parse(b?.subscribed_at || 0) || 0));
+
+/** How many subscribers one wave may notify for this much stock (Infinity when waves are off) */
+export const waveSize = (available) =>
+  wavesEnabled ? Math.max(Math.ceil(Math.max(Number(available) || 0, 0) * WAVE_MULTIPLIER), 0) : Infinity;
+
+/** Sellable stock of what the job is about: the whole product, or just its restocked variants */
+async function currentStock(pid, scope) {
+  const product = await fetchProduct(pid);
+  if (!product) return 0;
+  const variants = (product.variants || []).filter(v => !scope || scope.anyVariant || scope.variantIds.includes(String(v.id)));
+  await attachSellableStock(variants);
+  return variants.reduce((acc, v) => acc + sellableQty(v), 0);
+}
+
+/**
+ * Which waitlist entries a job notifies. scope = { anyVariant, variantIds }: product-level
+ * entries go when the product as a whole restocked, variant entries when their variant did.
+ * Jobs queued before variant waitlists carry no scope and notify everyone.
+ */
+export const inScope = (scope, s) =>
+  !scope || (s?.variant_id ? scope.variantIds.includes(String(s.variant_id)) : scope.anyVariant);
+
+const mergeScope = (a, b) => (!a || !b ? null : {
+  anyVariant: a.anyVariant || b.anyVariant,
+  variantIds: [...new Set([...a.variantIds, ...b.variantIds])],
+});
+
+/* ----------------- Queue ----------------- */
+/**
+ * Create (or refresh) the delivery job for a product. A job already in flight keeps its
+ * jobId and progress; only the product details are updated. `available` is the sellable
+ * stock that triggered the restock — with waves on, a refresh opens a new wave sized to it.
+ * `scope` is which entries the restock covers (see inScope); a refresh widens it.
+ */
+export async function enqueueNotifyJob({ pid, title, handle, isBundle, source, available = null, scope = null }) {
+  const now = new Date().toISOString();
+  const prev = await redis.get(jobKey(pid));
+  const job = prev
+    ? {
+        ...prev, title, handle, source: source || prev.source, updatedAt: now, available, restockedAt: now,
+        scope: mergeScope(prev.scope, scope),
+      }
+    : {
+        jobId: `${pid}-${Date.now()}`, pid: String(pid), title, handle, isBundle: !!isBundle, source,
+        scope, available, restockedAt: now, wave: null,
+        createdAt: now, updatedAt: now, batches: 0,
+        notificationsSent: 0, smsNotificationsSent: 0, notificationErrors: 0, profileUpdates: 0,
+      };
+  await redis.set(jobKey(pid), job, { ex: JOB_TTL_SECONDS });
+  if (!prev) await redis.zadd(QUEUE_KEY, { score: Date.now(), member: String(pid) });
+  return job;
+}
+
+export async function getNotifyJob(pid) {
+  return (await redis.get(jobKey(pid))) || null;
+}
+
+/** Oldest first */
+export async function listNotifyJobs(limit = 50) {
+  const pids = (await redis.zrange(QUEUE_KEY, 0, limit - 1)) || [];
+  const jobs = await Promise.all(pids.map(async (pid) => {
+    const job = await getNotifyJob(pid);
+    return job
+      ? { ...job, queuedSoFar: await redis.hlen(queuedKey(pid)), awaitingDelivery: await redis.scard(openKey(pid)) }
+      : { pid: String(pid), missing: true };
+  }));
+  return { queued: await redis.zcard(QUEUE_KEY), outbox: await outboxStats(), jobs };
+}
+
+async function finishJob(pid) {
+  await redis.del(jobKey(pid), queuedKey(pid), openKey(pid));
+  await redis.zrem(QUEUE_KEY, String(pid));
+}
+
+/** Stop a product's job (e.g. the product was deleted); messages already in the outbox still go */
+export async function cancelNotifyJob(pid) {
+  const job = await getNotifyJob(pid);
+  if (!job) return false;
+  await finishJob(pid);
+  console.log(`🛑 Notification job ${job.jobId} cancelled`);
+  return true;
+}
+
+/* ----------------- Worker ----------------- */
+/** Drop settled (sent or dead-lettered) messages from their jobs' open sets */
+async function settle(results) {
+  for (const r of results) {
+    if (r.outcome === 'sent' || r.outcome === 'dead') await redis.srem(openKey(r.pid), r.id);
+  }
+}
+
+function tally(counts, results) {
+  for (const r of results) {
+    if (r.outcome === 'sent') {
+      counts.notificationsSent++;
+      if (r.sms) counts.smsNotificationsSent++;
+      if (r.profileUpdated) counts.profileUpdates++;
+    } else if (r.outcome !== 'pending') {
+      counts.notificationErrors++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * With waves on, how many more subscribers the job may queue right now. Opens a wave on a new
+ * restock; once a wave is queued and settled, waits out the cooldown and then opens the next
+ * one only if the product still has stock. Returns { allowance } or { waitUntil } or { soldOut }.
+ */
+async function waveAllowance(pid, job, openCount) {
+  const wave = job.wave;
+  if (!wave || Date.parse(job.restockedAt || 0) > Date.parse(wave.startedAt)) {
+    if (job.available == null) job.available = await currentStock(pid, job.scope);
+    job.wave = { n: (wave?.n || 0) + 1, size: waveSize(job.available), queued: 0, startedAt: new Date().toISOString(), settledAt: null };
+    console.log(`🌊 Wave ${job.wave.n} for ${job.title}: up to ${job.wave.size} subscriber(s) for ${job.available} unit(s)`);
+    return { allowance: job.wave.size };
+  }
+  if (wave.queued < wave.size) return { allowance: wave.size - wave.queued };
+  if (openCount > 0) return { allowance: 0 };
+
+  wave.settledAt ||= new Date().toISOString();
+  const cooledAt = Date.parse(wave.settledAt) + WAVE_COOLDOWN_MS;
+  if (Date.now() < cooledAt) return { waitUntil: new Date(cooledAt).toISOString() };
+
+  const stock = await currentStock(pid, job.scope);
+  if (stock <= 0) return { soldOut: true };
+  job.available = stock;
+  job.wave = { n: wave.n + 1, size: waveSize(stock), queued: 0, startedAt: new Date().toISOString(), settledAt: null };
+  console.log(`🌊 Wave ${job.wave.n} for ${job.title}: ${stock} unit(s) still available — up to ${job.wave.size} more subscriber(s)`);
+  return { allowance: job.wave.size };
+}
+
+/**
+ * Work a product's job in batches until nobody is left to queue or the deadline (ms epoch)
+ * passes. Each batch is written to the outbox first and then delivered; failures stay in the
+ * outbox for a backed-off retry by the drain worker. The job completes once every message it
+ * queued is delivered or dead-lettered — or, with waves on, once a cooldown finds the product
+ * sold out again (whoever is left stays pending for the next restock). Returns null when
+ * another worker holds the product, else { done, waitUntil?, counts… } for this invocation.
+ */
+export async function runNotifyJob(pid, { deadline = Infinity } = {}) {
+  const got = await redis.set(lockKey(pid), Date.now(), { nx: true, ex: LOCK_TTL_SECONDS });
+  if (!got) {
+    console.log(`⏳ Notification for product ${pid} already in progress — skipping`);
+    return null;
+  }
+
+  const counts = { notificationsSent: 0, smsNotificationsSent: 0, notificationErrors: 0, profileUpdates: 0 };
+  try {
+    const job = await getNotifyJob(pid);
+    if (!job) {
+      await redis.zrem(QUEUE_KEY, String(pid));
+      return { done: true, ...counts };
+    }
+
+    let done = false, waitUntil = null;
+    while (Date.now() < deadline) {
+      const queued = (await redis.hgetall(queuedKey(pid))) || {};
+      const { merged } = await getSubscribersForProduct({ id: pid, handle: job.handle });
+      const pending = orderForNotify(merged.filter(s => awaitsNotification(s) && inScope(job.scope, s) && !queued[entryKey(s)]));
+      const openCount = await redis.scard(openKey(pid));
+      if (!pending.length) {
+        done = openCount === 0;
+        break;
+      }
+
+      let allowance = Infinity;
+      if (wavesEnabled) {
+        const w = await waveAllowance(pid, job, openCount);
+        if (w.soldOut) {
+          console.log(`⛔ ${job.title} sold out after wave ${job.wave.n} — ${pending.length} subscriber(s) stay pending`);
+          done = true;
+          break;
+        }
+        if (w.waitUntil) { waitUntil = w.waitUntil; break; }
+        if (!w.allowance) break; // wave queued; its stragglers are retried by the drain worker
+        allowance = w.allowance;
+      }
+
+      const batch = pending.slice(0, Math.min(BATCH_SIZE, allowance));
+      if (job.batches === 0) {
+        console.log(`🔔 Back in stock — ${job.title} — notifying ${pending.length} pending subscribers (job ${job.jobId})`);
+      }
+      const ids = await enqueueMessages(batch.map(sub => ({
+        jobId: job.jobId, pid: String(pid), title: job.title, handle: job.handle, source: job.source,
+        key: entryKey(sub), sub,
+      })));
+      await redis.hset(queuedKey(pid), Object.fromEntries(batch.map((sub, i) => [entryKey(sub), ids[i]])));
+      await redis.sadd(openKey(pid), ...ids);
+      if (job.wave) job.wave.queued += batch.length;
+
+      const results = await deliverMessages(ids, { deadline });
+      await settle(results);
+      tally(counts, results);
+      job.batches++;
+      await redis.expire(lockKey(pid), LOCK_TTL_SECONDS);
+    }
+
+    const totals = {
+      ...job,
+      updatedAt: new Date().toISOString(),
+      notificationsSent: job.notificationsSent + counts.notificationsSent,
+      smsNotificationsSent: job.smsNotificationsSent + counts.smsNotificationsSent,
+      notificationErrors: job.notificationErrors + counts.notificationErrors,
+      profileUpdates: job.profileUpdates + counts.profileUpdates,
+    };
+    if (done) {
+      await finishJob(pid);
+      console.log(`✅ Notification job ${job.jobId} complete — ${totals.notificationsSent} sent over ${totals.batches} batch(es)`);
+    } else {
+      await redis.set(jobKey(pid), totals, { ex: JOB_TTL_SECONDS });
+    }
+    return { done, ...(waitUntil ? { waitUntil } : {}), ...counts };
+  } finally {
+    try { await redis.del(lockKey(pid)); } catch {}
+  }
+}
+
+/**
+ * Retry due outbox messages first, then work queued jobs oldest-first, until the deadline.
+ * Returns per-product job results plus the outbox retry tally.
+ */
+export async function drainNotifyJobs({ deadline }) {
+  const retries = { notificationsSent: 0, smsNotificationsSent: 0, notificationErrors: 0, profileUpdates: 0 };
+  while (Date.now() < deadline) {
+    const ids = await dueMessages(BATCH_SIZE);
+    if (!ids.length) break;
+    const results = await deliverMessages(ids, { deadline });
+    if (!results.length) break; // everything due is claimed by another worker (or out of time)
+    await settle(results);
+    tally(retries, results);
+  }
+
+  const results = [];
+  const pids = (await redis.zrange(QUEUE_KEY, 0, -1)) || [];
+  for (const pid of pids) {
+    if (Date.now() >= deadline) break;
+    const out = await runNotifyJob(String(pid), { deadline });
+    results.push({ pid: String(pid), ...(out || { skipped: 'locked' }) });
+  }
+  return { results, retries, remaining: await redis.zcard(QUEUE_KEY) };
+}
+
+/** Drop erased outbox messages from their jobs' progress so those jobs can still complete */
+export async function forgetMessages(msgs) {
+  for (const m of msgs) {
+    await redis.hdel(queuedKey(m.pid), m.key);
+    await redis.srem(openKey(m.pid), m.id);
+  }
+}
@@ -0,0 +1,353 @@
+// lib/notify-outbox.js — every back-in-stock notification is written here before it is sent,
+// then delivered with exponential backoff; messages that keep failing land in a dead-letter list.
+import { redis, scanKeys } from '@/lib/redis';
+import {
+  ALERT_LIST_ID, getSubscribersForProduct, updateSubscriber, notificationFor, entryKey,
+} from '@/lib/waitlist';
+import {
+  KLAVIYO_BULK_LIMIT, subscribeProfilesBulk, importProfilesBulk, waitForProfileImportJob,
+  getProfileImportErrors, trackEventsBulk, waitForEventBulkJob, getEventBulkJobErrors,
+} from '@/lib/klaviyo';
+
+/* ----------------- Tunables ----------------- */
+const MAX_ATTEMPTS    = Number(process.env.NOTIFY_MAX_ATTEMPTS || 5);
+const BACKOFF_BASE_MS = Number(process.env.NOTIFY_BACKOFF_BASE_MS || 30 * 1000);
+const BACKOFF_MAX_MS  = 60 * 60 * 1000;
+// How long one delivery waits on each Klaviyo bulk job (profile import, then events); never
+// past the caller's deadline
+const BULK_JOB_TIMEOUT_MS = Number(process.env.NOTIFY_BULK_JOB_TIMEOUT_MS || 60000);
+// Messages whose event job hadn't settled are checked again this much later, and resent once
+// the job has been pending for EVENT_JOB_MAX_AGE_MS
+const EVENT_JOB_RECHECK_MS = Number(process.env.NOTIFY_EVENT_JOB_RECHECK_MS || 30 * 1000);
+const EVENT_JOB_MAX_AGE_MS = 60 * 60 * 1000;
+const CLAIM_TTL_SECONDS = 5 * 60;
+const MSG_TTL_SECONDS   = 30 * 24 * 60 * 60;
+
+/* ----------------- Keys ----------------- */
+const OUTBOX_KEY = 'notify:outbox';                 // zset msgId → next attempt at (ms)
+const DEAD_KEY   = 'notify:dead';                   // list of msgIds, newest first
+const msgKey   = (id) => `notify:msg:${id}`;        // message record (below)
+const claimKey = (id) => `locks:notify:msg:${id}`;  // one deliverer per message
+
+/**
+ * Message for one subscriber of one product's notification job:
+ * { id, jobId, pid, title, handle, source, key, sub, status: queued|dead, attempts, lastError,
+ *   createdAt, nextAttemptAt, deadAt?, eventJob? }
+ * eventJob = { id, index, count, at, sms, profileUpdated } while its event was submitted in a
+ * bulk job that hadn't settled yet (see parkOnEventJob).
+ * The id is deterministic per job + subscriber, so enqueueing twice never sends twice.
+ */
+export const messageId = (jobId, key) => `${jobId}:${key}`;
+
+export async function enqueueMessages(messages) {
+  const now = Date.now();
+  const ids = [];
+  for (const m of messages) {
+    const id = messageId(m.jobId, m.key);
+    const created = await redis.set(msgKey(id), {
+      ...m, id, status: 'queued', attempts: 0, lastError: null,
+      createdAt: new Date(now).toISOString(), nextAttemptAt: new Date(now).toISOString(),
+    }, { nx: true, ex: MSG_TTL_SECONDS });
+    if (created) await redis.zadd(OUTBOX_KEY, { score: now, member: id });
+    ids.push(id);
+  }
+  return ids;
+}
+
+export async function getMessage(id) {
+  return (await redis.get(msgKey(id))) || null;
+}
+
+/** Ids whose next attempt is due, oldest first */
+export async function dueMessages(limit = 25) {
+  return (await redis.zrange(OUTBOX_KEY, '-inf', Date.now(), { byScore: true, offset: 0, count: limit })) || [];
+}
+
+export async function outboxStats() {
+  return {
+    queued: await redis.zcard(OUTBOX_KEY),
+    due: await redis.zcount(OUTBOX_KEY, '-inf', Date.now()),
+    dead: await redis.llen(DEAD_KEY),
+  };
+}
+
+/* ----------------- Delivery ----------------- */
+const backoffMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+/** How long a delivery may still wait on a Klaviyo job: its timeout, capped at the deadline */
+const waitBudget = (deadline) => Math.max(0, Math.min(BULK_JOB_TIMEOUT_MS, deadline - Date.now()));
+const unpark = ({ eventJob, ...msg }) => msg;
+
+/**
+ * Mark delivered subscribers notified on a fresh read of the waitlist.
+ * sentAtByKey: entryKey → ISO; anyone who re-armed after that moment stays pending.
+ */
+async function markNotified(pid, handle, sentAtByKey) {
+  const { merged } = await getSubscribersForProduct({ id: pid, handle });
+  let changed = 0;
+  for (const s of merged) {
+    const at = sentAtByKey[entryKey(s)];
+    if (!at || s.notified) continue;
+    if (Date.parse(s.last_rearmed_at || s.subscribed_at || 0) > Date.parse(at)) continue;
+    if (await updateSubscriber(pid, entryKey(s), { notified: true, notified_at: at })) changed++;
+  }
+  return changed;
+}
+
+async function recordFailure(msg, error, { retryable = true } = {}) {
+  msg = unpark(msg);
+  const base = { id: msg.id, jobId: msg.jobId, pid: msg.pid, key: msg.key };
+  const attempts = msg.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS || !retryable) {
+    await redis.set(msgKey(msg.id), { ...msg, status: 'dead', attempts, lastError: error, deadAt: new Date().toISOString() }, { ex: MSG_TTL_SECONDS });
+    await redis.zrem(OUTBOX_KEY, msg.id);
+    await redis.lpush(DEAD_KEY, msg.id);
+    console.error(`☠️ Notification ${msg.id} dead-lettered after ${attempts} attempt(s): ${error}`);
+    return { ...base, outcome: 'dead', error };
+  }
+  const next = Date.now() + backoffMs(attempts);
+  await redis.set(msgKey(msg.id), { ...msg, attempts, lastError: error, nextAttemptAt: new Date(next).toISOString() }, { ex: MSG_TTL_SECONDS });
+  await redis.zadd(OUTBOX_KEY, { score: next, member: msg.id });
+  console.warn(`↩️ Notification ${msg.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}); retry at ${new Date(next).toISOString()}: ${error}`);
+  return { ...base, outcome: 'retry', error };
+}
+
+async function markSent(m, { sms, profileUpdated }) {
+  await redis.zrem(OUTBOX_KEY, m.id);
+  await redis.del(msgKey(m.id));
+  return {
+    id: m.id, jobId: m.jobId, pid: m.pid, key: m.key, outcome: 'sent',
+    sentAt: new Date().toISOString(), handle: m.handle, sms, profileUpdated,
+  };
+}
+
+/**
+ * Follow a bulk event job for up to timeoutMs: null while it hasn't settled, else Map(index
+ * into the submitted events → reason) of events that weren't created. A job that fails outright
+ * or reports failures we can't pin to an event counts every event as failed (retried; unique_id
+ * dedupes).
+ */
+async function eventJobFailures(jobId, count, timeoutMs) {
+  const all = (reason) => new Map(Array.from({ length: count }, (_, i) => [i, reason]));
+  const job = await waitForEventBulkJob(jobId, { timeoutMs });
+  if (!job.settled) return null;
+  if (job.status !== 'complete') return all(`Klaviyo event job ${jobId} ${job.status}`);
+  if (!job.failed_count) return new Map();
+
+  const failed = new Map();
+  for (const err of await getEventBulkJobErrors(jobId)) {
+    if (err.index != null && err.index < count) failed.set(err.index, `Klaviyo rejected event: ${err.detail || err.code}`);
+  }
+  return failed.size ? failed : all(`Klaviyo event job ${jobId}: ${job.failed_count} event(s) failed`);
+}
+
+/**
+ * The event job outlived the caller's budget: keep each message's place in it and check back
+ * later instead of resending — no attempt is used up. Outcome 'pending'.
+ */
+async function parkOnEventJob(sendable, jobId, profileUpdated) {
+  const at = new Date().toISOString();
+  const next = Date.now() + EVENT_JOB_RECHECK_MS;
+  console.warn(`⏳ Klaviyo event job ${jobId} still pending — ${sendable.length} notification(s) checked again at ${new Date(next).toISOString()}`);
+  return Promise.all(sendable.map(async ([m, p], index) => {
+    const eventJob = { id: jobId, index, count: sendable.length, at, sms: p.sms, profileUpdated };
+    await redis.set(msgKey(m.id), { ...m, eventJob, nextAttemptAt: new Date(next).toISOString() }, { ex: MSG_TTL_SECONDS });
+    await redis.zadd(OUTBOX_KEY, { score: next, member: m.id });
+    return { id: m.id, jobId: m.jobId, pid: m.pid, key: m.key, outcome: 'pending' };
+  }));
+}
+
+/** Settle messages parked on one event job (all claimed by us) from the job's outcome */
+async function settleParked(msgs, { deadline }) {
+  const { id: jobId, count, at } = msgs[0].eventJob;
+  let failed;
+  try {
+    failed = await eventJobFailures(jobId, count, waitBudget(deadline));
+  } catch (e) {
+    return Promise.all(msgs.map(m => recordFailure(m, e?.message || String(e), { retryable: e?.retryable !== false })));
+  }
+  if (!failed) {
+    if (Date.now() - Date.parse(at) < EVENT_JOB_MAX_AGE_MS) {
+      const next = Date.now() + EVENT_JOB_RECHECK_MS;
+      for (const m of msgs) await redis.zadd(OUTBOX_KEY, { score: next, member: m.id });
+      return msgs.map(m => ({ id: m.id, jobId: m.jobId, pid: m.pid, key: m.key, outcome: 'pending' }));
+    }
+    failed = new Map(msgs.map(m => [m.eventJob.index, `Klaviyo event job ${jobId} still pending since ${at}`]));
+  }
+
+  const results = [];
+  for (const m of msgs) {
+    const reason = failed.get(m.eventJob.index);
+    results.push(reason ? await recordFailure(m, reason) : await markSent(m, m.eventJob));
+  }
+  return results;
+}
+
+async function failChunk(msgs, e, opts) {
+  if (e?.retryable === false && msgs.length > 1) {
+    const half = Math.ceil(msgs.length / 2);
+    return [...await deliverChunk(msgs.slice(0, half), opts), ...await deliverChunk(msgs.slice(half), opts)];
+  }
+  const error = e?.message || String(e);
+  return Promise.all(msgs.map(m => recordFailure(m, error, { retryable: e?.retryable !== false })));
+}
+
+/**
+ * One Klaviyo round for up to KLAVIYO_BULK_LIMIT messages:
+ *  1) one subscription job puts everyone on the alert list (consent)
+ *  2) one profile import job stamps last_back_in_stock_* props; we wait for it so profiles
+ *     Klaviyo rejected are known, and those subscribers are dead-lettered with its reason
+ *  3) one bulk event job fires "Back in Stock" for the rest (unique_id per message); we wait
+ *     for it too, and only events it created count as sent — the others go back to the outbox
+ * Neither wait runs past opts.deadline: an event job still pending then is parked for a later
+ * drain to settle (parkOnEventJob). A failed subscription or event request fails the whole chunk
+ * back into the outbox; when Klaviyo rejects it outright (4xx) the chunk is split in half so one
+ * bad subscriber can't dead-letter the rest. Retrying an event is safe: its unique_id makes
+ * Klaviyo drop a duplicate.
+ */
+async function deliverChunk(msgs, opts) {
+  const payloads = msgs.map(m => notificationFor(m.sub, m));
+  const rejected = new Map(); // index → reason
+
+  try {
+    await subscribeProfilesBulk({ listId: String(ALERT_LIST_ID), profiles: payloads });
+  } catch (e) {
+    return failChunk(msgs, e, opts);
+  }
+
+  let propsWritten = false;
+  try {
+    const { jobId } = await importProfilesBulk(payloads.map(p => ({ email: p.email, properties: p.profileProperties })));
+    if (!jobId) throw new Error('Klaviyo returned no import job id');
+    const job = await waitForProfileImportJob(jobId, { timeoutMs: waitBudget(opts.deadline) });
+    if (!job.settled) console.warn(`⚠️ Profile import ${jobId} still ${job.status} — sending events anyway`);
+    if (job.settled && job.failed_count) {
+      for (const err of await getProfileImportErrors(jobId)) {
+        const idx = err.index ?? payloads.findIndex(p => String(p.email).toLowerCase() === String(err.email).toLowerCase());
+        if (msgs[idx]) rejected.set(idx, `Klaviyo rejected profile: ${err.detail || err.code}`);
+      }
+    }
+    propsWritten = job.status === 'complete';
+  } catch (e) {
+    console.warn('⚠️ Profile props import failed, continuing:', e?.message || e);
+  }
+
+  const sendable = msgs.map((m, i) => [m, payloads[i], i]).filter(([, , i]) => !rejected.has(i));
+  const results = await Promise.all([...rejected].map(([i, reason]) => recordFailure(msgs[i], reason, { retryable: false })));
+  if (!sendable.length) return results;
+
+  let failed, jobId; // failed: sendable index → reason
+  try {
+    ({ jobId } = await trackEventsBulk({
+      metricName: 'Back in Stock',
+      events: sendable.map(([m, p]) => ({
+        email: p.email, phoneE164: p.phoneE164, properties: p.eventProperties, uniqueId: `bis:${m.id}`,
+      })),
+    }));
+    if (!jobId) throw new Error('Klaviyo returned no event job id');
+    failed = await eventJobFailures(jobId, sendable.length, waitBudget(opts.deadline));
+  } catch (e) {
+    return results.concat(await failChunk(sendable.map(([m]) => m), e, opts));
+  }
+  if (!failed) return results.concat(await parkOnEventJob(sendable, jobId, propsWritten));
+
+  for (const [i, reason] of failed) results.push(await recordFailure(sendable[i][0], reason));
+  for (const [m, p] of sendable.filter((_, i) => !failed.has(i))) {
+    results.push(await markSent(m, { sms: p.sms, profileUpdated: propsWritten }));
+  }
+  return results;
+}
+
+/**
+ * Attempt the given messages once each, in bulk chunks, until the deadline (ms epoch). Returns
+ * one result per message actually attempted: { id, jobId, pid, key, outcome: 'sent' | 'retry' |
+ * 'dead' | 'pending', sms?, profileUpdated?, error? }. Messages claimed elsewhere, already dead
+ * or gone are skipped; those a passed deadline leaves unattempted stay due in the outbox.
+ */
+export async function deliverMessages(ids, { deadline = Infinity } = {}) {
+  const claimed = [];
+  for (const id of ids) {
+    const got = await redis.set(claimKey(id), Date.now(), { nx: true, ex: CLAIM_TTL_SECONDS });
+    if (!got) continue;
+    const msg = await getMessage(id);
+    if (msg?.status === 'queued') { claimed.push(msg); continue; }
+    await redis.zrem(OUTBOX_KEY, id);
+    await redis.del(claimKey(id));
+  }
+
+  const results = [];
+  try {
+    // Parked messages are settled from their event job instead of being sent again
+    const parked = new Map(); // event job id → messages
+    for (const m of claimed.filter(m => m.eventJob)) parked.set(m.eventJob.id, [...(parked.get(m.eventJob.id) || []), m]);
+    for (const msgs of parked.values()) {
+      if (Date.now() >= deadline) break;
+      results.push(...await settleParked(msgs, { deadline }));
+    }
+    const fresh = claimed.filter(m => !m.eventJob);
+    for (let i = 0; i < fresh.length && Date.now() < deadline; i += KLAVIYO_BULK_LIMIT) {
+      results.push(...await deliverChunk(fresh.slice(i, i + KLAVIYO_BULK_LIMIT), { deadline }));
+    }
+  } finally {
+    await Promise.all(claimed.map(m => redis.del(claimKey(m.id)).catch(() => {})));
+  }
+
+  const sentByProduct = new Map(); // pid → { handle, sentAtByKey }
+  for (const r of results) {
+    if (r.outcome !== 'sent') continue;
+    if (!sentByProduct.has(r.pid)) sentByProduct.set(r.pid, { handle: r.handle, sentAtByKey: {} });
+    sentByProduct.get(r.pid).sentAtByKey[r.key] = r.sentAt;
+  }
+  for (const [pid, { handle, sentAtByKey }] of sentByProduct) {
+    await markNotified(pid, handle, sentAtByKey);
+  }
+  return results;
+}
+
+/* ----------------- Dead letters ----------------- */
+export async function listDeadLetters({ offset = 0, limit = 50 } = {}) {
+  const ids = (await redis.lrange(DEAD_KEY, offset, offset + limit - 1)) || [];
+  const messages = await Promise.all(ids.map(async (id) => (await getMessage(id)) || { id, missing: true }));
+  return { total: await redis.llen(DEAD_KEY), offset, messages };
+}
+
+/** Put a dead letter back in the outbox for immediate delivery with a fresh attempt budget */
+export async function requeueDeadLetter(id) {
+  const msg = await getMessage(id);
+  await redis.lrem(DEAD_KEY, 0, id);
+  if (!msg || msg.status !== 'dead') return false;
+  const now = Date.now();
+  await redis.set(msgKey(id), {
+    ...msg, status: 'queued', attempts: 0, nextAttemptAt: new Date(now).toISOString(),
+    requeuedAt: new Date(now).toISOString(), deadAt: undefined,
+  }, { ex: MSG_TTL_SECONDS });
+  await redis.zadd(OUTBOX_KEY, { score: now, member: id });
+  return true;
+}
+
+export async function discardDeadLetter(id) {
+  const removed = await redis.lrem(DEAD_KEY, 0, id);
+  const msg = await getMessage(id);
+  if (msg?.status === 'dead') await redis.del(msgKey(id));
+  return removed > 0;
+}
+
+/* ----------------- Privacy ----------------- */
+/** Queued, retrying and dead-lettered messages whose subscriber matches (lib/privacy.js) */
+export async function findMessages(match) {
+  const found = [];
+  for (const k of await scanKeys('notify:msg:*')) {
+    const msg = await redis.get(k);
+    if (msg?.sub && match(msg.sub)) found.push(msg);
+  }
+  return found;
+}
+
+/** Delete messages along with their outbox / dead-letter slots; resolves how many */
+export async function eraseMessages(msgs) {
+  for (const m of msgs) {
+    await redis.del(msgKey(m.id));
+    await redis.zrem(OUTBOX_KEY, m.id);
+    await redis.lrem(DEAD_KEY, 0, m.id);
+  }
+  return msgs.length;
+}
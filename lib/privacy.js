@@ -0,0 +1,196 @@
+// lib/privacy.js — Shopify's mandatory privacy webhooks: customers/data_request (collect what we
+// hold on a customer), customers/redact (erase it) and shop/redact (erase everything for the shop).
+// Each request leaves a report of what was found or removed, without the personal data itself.
+import { randomUUID } from 'crypto';
+import { redis, scanKeys } from '@/lib/redis';
+import { toE164, matchesContact, findContactData, eraseContactData } from '@/lib/waitlist';
+import { findMessages, eraseMessages } from '@/lib/notify-outbox';
+import { forgetMessages } from '@/lib/notify-jobs';
+import { getConsentHistory, eraseConsentHistory } from '@/lib/consent-ledger';
+import { getMyshopifyDomain } from '@/lib/shopify';
+import { requestProfileDeletion } from '@/lib/klaviyo';
+
+/* ----------------- Env ----------------- */
+const KLAVIYO_API_KEY = process.env.KLAVIYO_API_KEY;
+// Reports carry no personal data and are the proof a request was honoured; bundles do, so they
+// only stay long enough for the merchant to pass them on.
+const REPORT_TTL_SECONDS = Number(process.env.PRIVACY_REPORT_TTL_DAYS || 365) * 24 * 60 * 60;
+const BUNDLE_TTL_SECONDS = Number(process.env.PRIVACY_BUNDLE_TTL_DAYS || 30) * 24 * 60 * 60;
+
+/* ----------------- Keys ----------------- */
+const REQUESTS_KEY = 'privacy:requests';                  // zset request id → received at (ms)
+const requestKey = (id) => `privacy:request:${id}`;       // report (below)
+const bundleKey  = (id) => `privacy:bundle:${id}`;        // data_request bundle
+// Dry-run audit reports (app/api/audit-bundles): each item's `notify` lists subscriber emails
+const AUDIT_REPORT_ITEMS_PATTERN = 'audit:report:*:items';
+
+// Everything the waitlist feature writes that can hold personal data (shop/redact)
+const SHOP_PATTERNS = [
+  'waitlist:*', 'waitlist_*', 'subscribers*', 'notify:*', 'consent:*', 'ratelimit:waitlist:*', 'privacy:bundle:*',
+  'audit:report:*',
+];
+
+const contactOf = (customer) => ({
+  email: customer?.email ? String(customer.email).trim().toLowerCase() : null,
+  phone: customer?.phone ? toE164(customer.phone) : null,
+});
+
+// The app secret is shared by every shop that installs the app, so only act for our own. Webhooks
+// name the shop by its *.myshopify.com domain, which SHOPIFY_STORE may not be (custom domain), so
+// compare against the resolved one; if it can't be resolved, throw so Shopify retries the request.
+async function isOwnShop(domain) {
+  const own = await getMyshopifyDomain();
+  if (!own) throw new Error('Cannot resolve the shop\'s myshopify domain — check SHOPIFY_STORE');
+  const ours = String(domain || '').toLowerCase() === own;
+  if (!ours) console.error(`🚫 Privacy webhook for ${domain || '?'} ignored — this deployment serves ${own}`);
+  return ours;
+}
+
+/**
+ * Report: { id, topic, shopDomain, customerId, dataRequestId?, receivedAt, completedAt, result }
+ * Resolves the report.
+ */
+async function saveReport(id, fields) {
+  const report = { id, ...fields, completedAt: new Date().toISOString() };
+  await redis.set(requestKey(id), report, { ex: REPORT_TTL_SECONDS });
+  await redis.zadd(REQUESTS_KEY, { score: Date.now(), member: id });
+  return report;
+}
+
+/** Drop the contact from dry-run report lists, keeping each list's expiry; resolves how many entries */
+async function eraseFromAuditReports(match) {
+  let removed = 0;
+  for (const k of await scanKeys(AUDIT_REPORT_ITEMS_PATTERN)) {
+    const items = (await redis.lrange(k, 0, -1)) || [];
+    const hits = items.reduce((a, item) => a + (item?.notify || []).filter(match).length, 0);
+    if (!hits) continue;
+    const ttl = await redis.ttl(k);
+    await redis.del(k);
+    await redis.rpush(k, ...items.map(item => ({ ...item, notify: (item?.notify || []).filter(n => !match(n)) })));
+    if (ttl > 0) await redis.expire(k, ttl);
+    removed += hits;
+  }
+  return removed;
+}
+
+/* ----------------- Handlers ----------------- */
+/** customers/data_request — gather a data-access bundle for the merchant to hand over */
+export async function handleDataRequest(payload, { webhookId } = {}) {
+  const id = String(payload?.data_request?.id || webhookId || randomUUID());
+  const receivedAt = new Date().toISOString();
+  const base = { topic: 'customers/data_request', shopDomain: payload?.shop_domain, customerId: payload?.customer?.id ?? null, dataRequestId: payload?.data_request?.id ?? null, receivedAt };
+  if (!(await isOwnShop(payload?.shop_domain))) return saveReport(id, { ...base, result: { skipped: 'other shop' } });
+
+  const contact = contactOf(payload?.customer);
+  if (!contact.email && !contact.phone) return saveReport(id, { ...base, result: { skipped: 'no email or phone on customer' } });
+
+  const waitlist = await findContactData(contact);
+  const notifications = (await findMessages(matchesContact(contact))).map(m => ({
+    product_id: m.pid, product_title: m.title, status: m.status, attempts: m.attempts,
+    createdAt: m.createdAt, lastError: m.lastError || null,
+  }));
+  const consent = await getConsentHistory(contact);
+
+  await redis.set(bundleKey(id), {
+    customer: { id: base.customerId, ...contact },
+    generatedAt: new Date().toISOString(),
+    waitlist_entries: waitlist.entries,
+    archived_waitlist_entries: waitlist.archived,
+    legacy_waitlist_entries: waitlist.legacy,
+    pending_notifications: notifications,
+    consent_history: consent,
+  }, { ex: BUNDLE_TTL_SECONDS });
+
+  const result = {
+    waitlistEntries: waitlist.entries.length,
+    archivedEntries: waitlist.archived.reduce((a, d) => a + d.subscribers.length, 0),
+    legacyEntries: waitlist.legacy.reduce((a, d) => a + d.subscribers.length, 0),
+    notifications: notifications.length,
+    consentEvents: consent.length,
+    bundleReady: true,
+  };
+  console.log(`📦 Privacy data request ${id} (customer ${base.customerId ?? '?'}) — bundle ready: ${JSON.stringify(result)}`);
+  return saveReport(id, { ...base, result });
+}
+
+/** customers/redact — erase one customer everywhere the waitlist keeps them */
+export async function handleCustomerRedact(payload, { webhookId } = {}) {
+  const id = String(webhookId || randomUUID());
+  const receivedAt = new Date().toISOString();
+  const base = { topic: 'customers/redact', shopDomain: payload?.shop_domain, customerId: payload?.customer?.id ?? null, receivedAt };
+  if (!(await isOwnShop(payload?.shop_domain))) return saveReport(id, { ...base, result: { skipped: 'other shop' } });
+
+  const contact = contactOf(payload?.customer);
+  if (!contact.email && !contact.phone) return saveReport(id, { ...base, result: { skipped: 'no email or phone on customer' } });
+
+  // Messages first, so a drain running meanwhile can't deliver to someone being erased
+  const msgs = await findMessages(matchesContact(contact));
+  const notifications = await eraseMessages(msgs);
+  await forgetMessages(msgs);
+  const waitlist = await eraseContactData(contact);
+  const consentEvents = await eraseConsentHistory(contact);
+  // Data-access bundles still waiting to be handed over are personal data too
+  let dataBundles = 0;
+  for (const k of await scanKeys(bundleKey('*'))) {
+    const bundle = await redis.get(k);
+    if (bundle?.customer && matchesContact(contact)(bundle.customer)) { await redis.del(k); dataBundles++; }
+  }
+  const auditReportEntries = await eraseFromAuditReports(matchesContact(contact));
+
+  // Klaviyo holds the profile the waitlist synced (consent, events), so it's erased there too.
+  // A failure is reported and then thrown so Shopify retries; erasing again is harmless.
+  let klaviyo = 'not configured';
+  if (KLAVIYO_API_KEY) {
+    try {
+      await requestProfileDeletion({ email: contact.email, phoneE164: contact.phone });
+      klaviyo = 'deletion requested';
+    } catch (e) {
+      klaviyo = `failed: ${e?.message || e}`;
+    }
+  }
+
+  const result = { ...waitlist, notifications, consentEvents, dataBundles, auditReportEntries, klaviyo };
+  console.log(`🧽 Privacy redact ${id} (customer ${base.customerId ?? '?'}) — removed ${JSON.stringify(result)}`);
+  const report = await saveReport(id, { ...base, result });
+  if (klaviyo.startsWith('failed')) throw new Error(`Klaviyo profile deletion ${klaviyo}`);
+  return report;
+}
+
+/**
+ * shop/redact — 48h after uninstall: erase every key the waitlist feature writes. Klaviyo is left
+ * alone: that account is the merchant's own, and its profiles are theirs to keep or delete.
+ */
+export async function handleShopRedact(payload, { webhookId } = {}) {
+  const id = String(webhookId || randomUUID());
+  const base = { topic: 'shop/redact', shopDomain: payload?.shop_domain, customerId: null, receivedAt: new Date().toISOString() };
+  if (!(await isOwnShop(payload?.shop_domain))) return saveReport(id, { ...base, result: { skipped: 'other shop' } });
+
+  const result = {};
+  for (const pattern of SHOP_PATTERNS) {
+    const keys = await scanKeys(pattern);
+    for (let i = 0; i < keys.length; i += 500) await redis.del(...keys.slice(i, i + 500));
+    result[pattern] = keys.length;
+  }
+  console.log(`🧨 Privacy shop redact ${id} (${base.shopDomain}) — keys removed ${JSON.stringify(result)}`);
+  return saveReport(id, { ...base, result });
+}
+
+/* ----------------- Reports ----------------- */
+/** Privacy requests, newest first */
+export async function listPrivacyRequests({ offset = 0, limit = 50 } = {}) {
+  const ids = (await redis.zrange(REQUESTS_KEY, offset, offset + limit - 1, { rev: true })) || [];
+  const requests = [];
+  for (const id of ids) {
+    const report = await redis.get(requestKey(id));
+    if (report) requests.push(report); else await redis.zrem(REQUESTS_KEY, String(id)); // expired
+  }
+  return { total: await redis.zcard(REQUESTS_KEY), offset, requests };
+}
+
+/** One report, plus the data bundle for a data request while it's still kept */
+export async function getPrivacyRequest(id) {
+  const report = await redis.get(requestKey(id));
+  if (!report) return null;
+  const bundle = report.topic === 'customers/data_request' ? await redis.get(bundleKey(id)) : null;
+  return { report, bundle: bundle || null };
+}
@@ -0,0 +1,19 @@
+// lib/redis.js — shared Upstash client for lib/* helpers
+import { Redis } from '@upstash/redis';
+
+export const redis = new Redis({
+  url: process.env.KV_REST_API_URL,
+  token: process.env.KV_REST_API_TOKEN,
+});
+
+/** Every key matching a SCAN pattern (walks the cursor to the end) */
+export async function scanKeys(match, { count = 500 } = {}) {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, { match, count });
+    keys.push(...batch);
+    cursor = String(next);
+  } while (cursor !== '0');
+  return keys;
+}
@@ -0,0 +1,92 @@
+// lib/reevaluate.js — products whose real-time evaluation failed after Shopify was already
+// acknowledged (inventory webhook). Shopify won't retry those deliveries, so they're queued here
+// and re-run by /api/notify-jobs with backoff instead of waiting for the next full audit.
+import { redis } from '@/lib/redis';
+import { fetchProduct, resolveInventoryItem } from '@/lib/shopify';
+import { evaluateProduct } from '@/lib/audit';
+import { bundlesForVariant } from '@/lib/bundle-index';
+
+/* ----------------- Tunables ----------------- */
+const RETRY_BASE_MS = Number(process.env.REEVALUATE_RETRY_BASE_MS || 60 * 1000);
+const RETRY_MAX_MS  = 60 * 60 * 1000;
+// After this many failed re-runs the product is left to the nightly audit
+const MAX_ATTEMPTS  = Number(process.env.REEVALUATE_MAX_ATTEMPTS || 6);
+
+/* ----------------- Keys ----------------- */
+// Targets are "product:<id>", or "item:<inventory item id>" when the failure came before the
+// item was resolved to a product
+const QUEUE_KEY    = 'audit:reevaluate';          // zset target → next attempt at (ms)
+const ATTEMPTS_KEY = 'audit:reevaluate:attempts'; // hash target → failed re-runs so far
+
+const targetOf = ({ productId, inventoryItemId }) =>
+  productId ? `product:${productId}` : inventoryItemId ? `item:${inventoryItemId}` : null;
+
+/** Queue a product (or an unresolved inventory item) for re-evaluation; already queued = kept as is */
+export async function queueReevaluation({ productId = null, inventoryItemId = null } = {}) {
+  const target = targetOf({ productId, inventoryItemId });
+  if (!target) return false;
+  await redis.zadd(QUEUE_KEY, { nx: true }, { score: Date.now(), member: target });
+  console.warn(`↩️ Queued ${target} for re-evaluation`);
+  return true;
+}
+
+/** The product and every bundle built from its variants, as the inventory webhook would have */
+async function reevaluate(target) {
+  let productId = target.startsWith('product:') ? target.slice('product:'.length) : null;
+  if (!productId) {
+    const resolved = await resolveInventoryItem(target.slice('item:'.length));
+    if (!resolved?.productId) return { skipped: 'unresolved inventory item' };
+    productId = resolved.productId;
+  }
+
+  const product = await fetchProduct(productId);
+  if (!product) return { productId, skipped: 'product not found' };
+  const out = await evaluateProduct(product, { source: 're-evaluation', notifyInline: false });
+
+  const bundleIds = new Set();
+  for (const v of product.variants || []) {
+    for (const id of await bundlesForVariant(v.id)) if (id !== String(product.id)) bundleIds.add(id);
+  }
+  let notified = !!out.notified;
+  for (const id of bundleIds) {
+    const bundle = await fetchProduct(id);
+    if (bundle) notified = !!(await evaluateProduct(bundle, { source: 're-evaluation (component)', notifyInline: false })).notified || notified;
+  }
+  return { productId, status: out.status, bundles: bundleIds.size, notified };
+}
+
+/**
+ * Re-run due targets until the deadline. Each is claimed by removing it from the queue, so
+ * concurrent drains never evaluate the same one; a failure puts it back with backoff.
+ * Resolves { evaluated, notified, failed, dropped, remaining }.
+ */
+export async function drainReevaluations({ deadline = Infinity, limit = 50 } = {}) {
+  const out = { evaluated: 0, notified: 0, failed: 0, dropped: 0 };
+  const due = (await redis.zrange(QUEUE_KEY, '-inf', Date.now(), { byScore: true, offset: 0, count: limit })) || [];
+
+  for (const target of due) {
+    if (Date.now() >= deadline) break;
+    if (!(await redis.zrem(QUEUE_KEY, target))) continue; // taken by another drain
+
+    try {
+      const r = await reevaluate(target);
+      await redis.hdel(ATTEMPTS_KEY, target);
+      out.evaluated++;
+      if (r.notified) out.notified++;
+      console.log(`🔁 Re-evaluated ${target}: ${JSON.stringify(r)}`);
+    } catch (e) {
+      out.failed++;
+      const attempts = await redis.hincrby(ATTEMPTS_KEY, target, 1);
+      if (attempts >= MAX_ATTEMPTS) {
+        await redis.hdel(ATTEMPTS_KEY, target);
+        out.dropped++;
+        console.error(`❌ Re-evaluation of ${target} gave up after ${attempts} attempt(s) — left to the next audit:`, e?.message || e);
+        continue;
+      }
+      const next = Date.now() + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+      await redis.zadd(QUEUE_KEY, { score: next, member: target });
+      console.warn(`↩️ Re-evaluation of ${target} failed (attempt ${attempts}/${MAX_ATTEMPTS}); retry at ${new Date(next).toISOString()}: ${e?.message || e}`);
+    }
+  }
+  return { ...out, remaining: await redis.zcard(QUEUE_KEY) };
+}
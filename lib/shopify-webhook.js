@@ -0,0 +1,80 @@
+// lib/shopify-webhook.js — verify inbound Shopify webhooks (HMAC over the raw body)
+import { NextResponse } from 'next/server';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/* ----------------- Env ----------------- */
+// Comma-separated list so a rotated secret can sit next to the old one until
+// every subscription has been re-signed. First entry is the current secret.
+const WEBHOOK_SECRETS = String(
+  process.env.SHOPIFY_WEBHOOK_SECRETS || process.env.SHOPIFY_WEBHOOK_SECRET || ''
+)
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+/* ----------------- HMAC ----------------- */
+export function computeShopifyHmac(rawBody, secret) {
+  return createHmac('sha256', secret).update(rawBody, 'utf8').digest('base64');
+}
+
+/** Index of the secret that signed rawBody, or -1 (constant-time compare per secret) */
+export function matchShopifyHmac(rawBody, hmacHeader, secrets = WEBHOOK_SECRETS) {
+  if (!hmacHeader) return -1;
+  const given = Buffer.from(String(hmacHeader).trim(), 'base64');
+  for (let i = 0; i < secrets.length; i++) {
+    const expected = Buffer.from(computeShopifyHmac(rawBody, secrets[i]), 'base64');
+    if (given.length === expected.length && timingSafeEqual(given, expected)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read the raw body and check X-Shopify-Hmac-Sha256 against every configured secret.
+ * Consumes the request body — use the returned `rawBody`/`payload` instead of req.json().
+ */
+export async function verifyShopifyWebhook(req, { secrets = WEBHOOK_SECRETS } = {}) {
+  const rawBody = await req.text();
+  const meta = {
+    topic: req.headers.get('x-shopify-topic') || '',
+    shop: req.headers.get('x-shopify-shop-domain') || '',
+    webhookId: req.headers.get('x-shopify-webhook-id') || '',
+    triggeredAt: req.headers.get('x-shopify-triggered-at') || '',
+    apiVersion: req.headers.get('x-shopify-api-version') || '',
+  };
+
+  const fail = (reason) => {
+    console.warn(
+      `⚠️ Shopify webhook rejected (${reason}) topic=${meta.topic || '?'} shop=${meta.shop || '?'} id=${meta.webhookId || '?'} ip=${
+        req.headers.get('x-real-ip') || req.headers.get('x-forwarded-for') || 'unknown'
+      }`
+    );
+    return { ok: false, reason, rawBody, payload: null, ...meta };
+  };
+
+  if (!secrets.length) return fail('no_secret_configured');
+
+  const hmac = req.headers.get('x-shopify-hmac-sha256');
+  if (!hmac) return fail('missing_hmac');
+
+  const secretIndex = matchShopifyHmac(rawBody, hmac, secrets);
+  if (secretIndex === -1) return fail('hmac_mismatch');
+  if (secretIndex > 0) {
+    console.log(`🔑 Webhook ${meta.webhookId || '?'} (${meta.topic}) verified with rotated secret #${secretIndex}`);
+  }
+
+  let payload = null;
+  try { payload = rawBody ? JSON.parse(rawBody) : {}; } catch { return fail('invalid_json'); }
+
+  return { ok: true, reason: null, rawBody, payload, secretIndex, ...meta };
+}
+
+/** Standard response for a webhook that failed verification */
+export function webhookRejected(result) {
+  if (result?.reason === 'no_secret_configured') {
+    return NextResponse.json({ success: false, error: 'Server misconfigured: missing SHOPIFY_WEBHOOK_SECRET' }, { status: 500 });
+  }
+  if (result?.reason === 'invalid_json') {
+    return NextResponse.json({ success: false, error: 'invalid webhook payload' }, { status: 400 });
+  }
+  return NextResponse.json({ success: false, error: 'invalid webhook signature' }, { status: 401 });
+}
@@ -0,0 +1,240 @@
+// lib/shopify.js — the one Shopify Admin client (REST + GraphQL) every route goes through:
+// a single API version, adaptive throttling off Shopify's own rate-limit signals, Retry-After
+// handling and deprecation logging.
+
+/* ----------------- Env ----------------- */
+const SHOPIFY_STORE   = process.env.SHOPIFY_STORE; // e.g. "yourstore.myshopify.com"
+const ADMIN_API_TOKEN = process.env.SHOPIFY_ADMIN_API_KEY;
+export const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-04';
+
+// Optional floor between REST calls; the adaptive throttle below does the real pacing
+const MIN_DELAY_MS = Number(process.env.SHOPIFY_THROTTLE_MS || 0);
+const MAX_RETRIES  = Number(process.env.SHOPIFY_MAX_RETRIES || 4);
+// Leave this much of either bucket free so other callers (webhooks, cron) aren't starved
+const REST_HEADROOM    = 4;   // calls
+const GRAPHQL_HEADROOM = 100; // cost points
+
+export function assertShopifyEnv(missing = []) {
+  if (!SHOPIFY_STORE)   missing.push('SHOPIFY_STORE');
+  if (!ADMIN_API_TOKEN) missing.push('SHOPIFY_ADMIN_API_KEY');
+  return missing;
+}
+
+export const adminUrl = (endpoint) =>
+  `https://${SHOPIFY_STORE}/admin/api/${API_VERSION}/${String(endpoint).replace(/^\//, '')}`;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, Math.max(0, ms)));
+
+/* ----------------- Adaptive throttling ----------------- */
+// REST leaky bucket as last reported by X-Shopify-Shop-Api-Call-Limit ("used/max"). Shopify
+// leaks max/20 calls per second (40 → 2/s standard, 400 → 20/s Plus).
+const restBucket = { used: 0, max: 40, at: 0 };
+let lastRestCall = 0;
+
+async function waitForRestCapacity() {
+  const now = Date.now();
+  const leakPerMs = restBucket.max / 20 / 1000;
+  const used = Math.max(0, restBucket.used - (now - restBucket.at) * leakPerMs);
+  const over = used - (restBucket.max - REST_HEADROOM);
+  const wait = Math.max(over > 0 ? over / leakPerMs : 0, MIN_DELAY_MS - (now - lastRestCall));
+  if (wait > 0) await sleep(wait);
+  lastRestCall = Date.now();
+}
+
+function noteRestLimit(res) {
+  const m = String(res.headers.get('x-shopify-shop-api-call-limit') || '').match(/^(\d+)\/(\d+)$/);
+  if (!m) return;
+  restBucket.used = Number(m[1]);
+  restBucket.max = Number(m[2]);
+  restBucket.at = Date.now();
+}
+
+// GraphQL cost bucket from extensions.cost.throttleStatus
+const gqlBucket = { available: null, max: 1000, restoreRate: 50, at: 0, lastCost: 50 };
+
+async function waitForGraphQLCapacity() {
+  if (gqlBucket.available == null) return;
+  const available = Math.min(gqlBucket.max, gqlBucket.available + (Date.now() - gqlBucket.at) / 1000 * gqlBucket.restoreRate);
+  const short = gqlBucket.lastCost + GRAPHQL_HEADROOM - available;
+  if (short > 0) await sleep(Math.min(short, gqlBucket.max) / gqlBucket.restoreRate * 1000);
+}
+
+function noteGraphQLCost(cost) {
+  const t = cost?.throttleStatus;
+  if (!t) return;
+  gqlBucket.available = Number(t.currentlyAvailable);
+  gqlBucket.max = Number(t.maximumAvailable) || gqlBucket.max;
+  gqlBucket.restoreRate = Number(t.restoreRate) || gqlBucket.restoreRate;
+  gqlBucket.at = Date.now();
+  gqlBucket.lastCost = Number(cost.requestedQueryCost ?? cost.actualQueryCost ?? gqlBucket.lastCost);
+}
+
+/** Retry-After is seconds (possibly fractional) or an HTTP date */
+function retryAfterMs(res, attempt) {
+  const h = res.headers.get('retry-after');
+  if (h) {
+    const secs = Number(h);
+    if (Number.isFinite(secs)) return secs * 1000;
+    const at = Date.parse(h);
+    if (Number.isFinite(at)) return at - Date.now();
+  }
+  return Math.min(1000 * 2 ** attempt, 16000);
+}
+
+/* ----------------- Deprecation logging ----------------- */
+const warned = new Set();
+function noteDeprecations(res, url) {
+  const path = new URL(url).pathname.replace(/\/\d+(?=[/.])/g, '/:id');
+  const reason = res.headers.get('x-shopify-api-deprecated-reason');
+  if (reason && !warned.has(`dep:${path}`)) {
+    warned.add(`dep:${path}`);
+    console.warn(`⚠️ Shopify deprecation on ${path}: ${reason}`);
+  }
+  const served = res.headers.get('x-shopify-api-version');
+  if (served && served !== API_VERSION && !warned.has(`ver:${served}`)) {
+    warned.add(`ver:${served}`);
+    console.warn(`⚠️ Shopify served API version ${served} instead of ${API_VERSION} (unsupported version?)`);
+  }
+}
+
+/* ----------------- Core fetch ----------------- */
+async function request(url, opts) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForRestCapacity();
+    const res = await fetch(url, opts);
+    noteRestLimit(res);
+    noteDeprecations(res, url);
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      const wait = retryAfterMs(res, attempt);
+      console.warn(`⏳ Shopify 429 on ${new URL(url).pathname}; retrying in ${Math.round(wait)}ms`);
+      await sleep(wait);
+      continue;
+    }
+    return res;
+  }
+}
+
+export async function fetchShopify(endpointOrUrl, method = 'GET', body = null, raw = false) {
+  if (!endpointOrUrl || typeof endpointOrUrl !== 'string') {
+    throw new Error(`fetchShopify called with invalid endpoint: "${endpointOrUrl}"`);
+  }
+
+  const headers = {
+    'X-Shopify-Access-Token': String(ADMIN_API_TOKEN),
+    'Content-Type': 'application/json',
+  };
+
+  const opts = { method, headers, ...(body ? { body: JSON.stringify(body) } : {}) };
+  const url = endpointOrUrl.startsWith('http') ? endpointOrUrl : adminUrl(endpointOrUrl);
+
+  const res = await request(url, opts);
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`Shopify API error: ${res.status} ${res.statusText} - ${t}`);
+  }
+  if (raw) return res;
+  const text = await res.text();
+  return text ? JSON.parse(text) : {};
+}
+
+export async function shopifyGraphQL(query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForGraphQLCapacity();
+    const res = await fetchShopify('graphql.json', 'POST', { query, variables });
+    noteGraphQLCost(res?.extensions?.cost);
+
+    const errors = Array.isArray(res?.errors) ? res.errors : [];
+    const throttled = errors.some(e => e?.extensions?.code === 'THROTTLED');
+    if (throttled && attempt < MAX_RETRIES) {
+      console.warn(`⏳ Shopify GraphQL throttled (cost ${gqlBucket.lastCost}); waiting for the bucket to refill`);
+      await waitForGraphQLCapacity();
+      continue;
+    }
+    if (errors.length) {
+      throw new Error(`Shopify GraphQL error: ${errors.map(e => e?.message || String(e)).join('; ')}`);
+    }
+    return res?.data || {};
+  }
+}
+
+/* ----------------- Catalog ----------------- */
+// REST product (id,title,handle,tags,variants) — the shape evaluateProduct works on
+export async function fetchProduct(productId) {
+  const fields = encodeURIComponent('id,title,handle,tags,variants');
+  const res = await fetchShopify(`products/${productId}.json?fields=${fields}`);
+  return res?.product || null;
+}
+
+export async function getProductMetafields(productId) {
+  const res = await fetchShopify(`products/${productId}/metafields.json`);
+  if (!res || !Array.isArray(res.metafields)) return null;
+  return res.metafields.find((m) => m.namespace === 'custom' && m.key === 'bundle_structure');
+}
+
+/** Tags CSV with any bundle-* status tag replaced by bundle-{status} */
+export function bundleTagsFor(currentTagsCSV, status) {
+  return String(currentTagsCSV || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(tag => tag && !['bundle-ok', 'bundle-understocked', 'bundle-out-of-stock'].includes(tag.toLowerCase()))
+    .concat([`bundle-${status}`])
+    .join(', ');
+}
+
+export async function updateProductTags(productId, currentTagsCSV, status) {
+  await fetchShopify(`products/${productId}.json`, 'PUT', { product: { id: productId, tags: bundleTagsFor(currentTagsCSV, status) } });
+}
+
+// Fallback — when a component variant isn't among the product's own variants
+export async function fetchVariant(variantId) {
+  const res = await fetchShopify(`variants/${variantId}.json`);
+  return res?.variant || null;
+}
+
+/** inventory_item_id (from inventory_levels/* webhooks) → { variantId, productId } as numeric strings */
+export async function resolveInventoryItem(inventoryItemId) {
+  const data = await shopifyGraphQL(
+    `query($id: ID!) { inventoryItem(id: $id) { variant { id product { id } } } }`,
+    { id: `gid://shopify/InventoryItem/${inventoryItemId}` }
+  );
+  const variant = data?.inventoryItem?.variant;
+  if (!variant) return null;
+  return {
+    variantId: String(variant.id).split('/').pop(),
+    productId: String(variant.product?.id || '').split('/').pop(),
+  };
+}
+
+/* ----------------- Inventory & metafield writes ----------------- */
+let primaryLocationId = null;
+export async function getPrimaryLocationId() {
+  if (primaryLocationId) return primaryLocationId;
+  const res = await fetchShopify('shop.json?fields=primary_location_id');
+  primaryLocationId = res?.shop?.primary_location_id ? String(res.shop.primary_location_id) : null;
+  return primaryLocationId;
+}
+
+let myshopifyDomain = null;
+/** The shop's *.myshopify.com domain (how webhooks name it), even when SHOPIFY_STORE is a custom domain */
+export async function getMyshopifyDomain() {
+  if (myshopifyDomain) return myshopifyDomain;
+  if (/\.myshopify\.com$/i.test(SHOPIFY_STORE || '')) return (myshopifyDomain = SHOPIFY_STORE.toLowerCase());
+  const res = await fetchShopify('shop.json?fields=myshopify_domain');
+  myshopifyDomain = res?.shop?.myshopify_domain ? String(res.shop.myshopify_domain).toLowerCase() : null;
+  return myshopifyDomain;
+}
+
+export async function setInventoryLevel(inventoryItemId, locationId, available) {
+  return fetchShopify('inventory_levels/set.json', 'POST', {
+    location_id: Number(locationId),
+    inventory_item_id: Number(inventoryItemId),
+    available: Number(available),
+  });
+}
+
+// REST upserts on namespace+key, so this both creates and updates
+export async function setProductMetafield(productId, { namespace, key, type, value }) {
+  return fetchShopify(`products/${productId}/metafields.json`, 'POST', {
+    metafield: { namespace, key, type, value: String(value) },
+  });
+}
@@ -0,0 +1,222 @@
+// lib/signup-guard.js — abuse protection for the public waitlist signup (POST /api/back-in-stock):
+// client IP, size bounds, honeypot, challenge tokens, sliding-window rate limits, per-email /
+// per-product caps, and a daily tally of what got rejected and why.
+import { createHash, randomUUID } from 'crypto';
+import { redis } from '@/lib/redis';
+import { entryKey, hasEntry, countSubscribers, countSubscriptionsForEmail } from '@/lib/waitlist';
+
+/* ----------------- Tunables ----------------- */
+const num = (v, d) => (v === undefined || v === '' ? d : Number(v));
+
+const MAX_BODY_BYTES = num(process.env.WAITLIST_MAX_BODY_BYTES, 4096);
+// Hidden form field real visitors never fill in
+export const HONEYPOT_FIELD = process.env.WAITLIST_HONEYPOT_FIELD || 'website';
+
+// Sliding windows: "<max requests>/<window seconds>"; 0 requests = that limit is off
+const parseLimit = (v, d) => {
+  const [max, seconds] = String(v || d).split('/').map(Number);
+  return { max: max || 0, seconds: seconds || 60 };
+};
+const LIMITS = {
+  ip:      parseLimit(process.env.WAITLIST_RATE_LIMIT_IP, '10/600'),
+  email:   parseLimit(process.env.WAITLIST_RATE_LIMIT_EMAIL, '5/600'),
+  product: parseLimit(process.env.WAITLIST_RATE_LIMIT_PRODUCT, '300/60'),
+};
+
+// Live entries one email may hold across products, and one product may hold (0 = no cap)
+export const MAX_ENTRIES_PER_EMAIL = num(process.env.WAITLIST_MAX_ENTRIES_PER_EMAIL, 50);
+export const MAX_ENTRIES_PER_PRODUCT = num(process.env.WAITLIST_MAX_ENTRIES_PER_PRODUCT, 20000);
+
+const FIELD_MAX_LENGTH = {
+  email: 254, phone: 32, first_name: 100, last_name: 100, full_name: 200,
+  product_id: 100, product_title: 300, product_handle: 255, variant_id: 100, variant_title: 200, source: 100,
+  consent_text: 1500, consent_version: 50, page_url: 1000,
+};
+
+const METRICS_TTL_SECONDS = 30 * 24 * 60 * 60;
+const metricsKey = (day) => `waitlist_rejections:${day}`;
+const rateKey = (scope, id) => `ratelimit:waitlist:${scope}:${id}`;
+
+/* ----------------- Request shape ----------------- */
+/**
+ * The caller's IP. x-forwarded-for's left end is whatever the client sent, so it's only used as a
+ * last resort and then from the right (the hop our edge appended); platform headers win.
+ */
+export function clientIp(req) {
+  const h = (n) => (req.headers.get(n) || '').trim();
+  const platform = h('x-vercel-forwarded-for').split(',')[0].trim() || h('x-real-ip');
+  if (platform) return platform;
+  const hops = h('x-forwarded-for').split(',').map(s => s.trim()).filter(Boolean);
+  return hops.length ? hops[hops.length - 1] : 'unknown';
+}
+
+/** Parsed JSON body, or { error, status } when it's too large or not JSON */
+export async function readBoundedJson(req) {
+  const declared = Number(req.headers.get('content-length') || 0);
+  if (declared > MAX_BODY_BYTES) return { error: 'Request too large', status: 413 };
+  const raw = await req.text();
+  if (Buffer.byteLength(raw) > MAX_BODY_BYTES) return { error: 'Request too large', status: 413 };
+  try {
+    const body = JSON.parse(raw || '{}');
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Invalid request body', status: 400 };
+    return { body };
+  } catch {
+    return { error: 'Invalid request body', status: 400 };
+  }
+}
+
+/** First field that isn't a plain string/number/boolean or is longer than allowed, else null */
+export function oversizedField(body) {
+  for (const [field, max] of Object.entries(FIELD_MAX_LENGTH)) {
+    const v = body[field];
+    if (v == null) continue;
+    if (!['string', 'number', 'boolean'].includes(typeof v) || String(v).length > max) return field;
+  }
+  return null;
+}
+
+export const honeypotTripped = (body) => !!String(body?.[HONEYPOT_FIELD] ?? '').trim();
+
+/* ----------------- Challenge tokens ----------------- */
+// Provider by env: turnstile | hcaptcha | recaptcha | stub (local only) — unset = no challenge
+const CHALLENGE_PROVIDER = (process.env.WAITLIST_CHALLENGE_PROVIDER || '').toLowerCase();
+const CHALLENGE_SECRET = process.env.WAITLIST_CHALLENGE_SECRET || '';
+const RECAPTCHA_MIN_SCORE = num(process.env.WAITLIST_RECAPTCHA_MIN_SCORE, 0.5);
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+
+async function siteverify(provider, token, ip) {
+  if (!CHALLENGE_SECRET) return { ok: false, reason: 'challenge_misconfigured' };
+  const form = new URLSearchParams({ secret: CHALLENGE_SECRET, response: token });
+  if (ip && ip !== 'unknown') form.set('remoteip', ip);
+  const res = await fetch(SITEVERIFY_URLS[provider], { method: 'POST', body: form, cache: 'no-store' });
+  const out = await res.json().catch(() => ({}));
+  if (!out.success) return { ok: false, reason: 'challenge_failed' };
+  if (provider === 'recaptcha' && out.score != null && out.score < RECAPTCHA_MIN_SCORE) {
+    return { ok: false, reason: 'challenge_low_score' };
+  }
+  return { ok: true };
+}
+
+// Local stand-in: accepts WAITLIST_CHALLENGE_STUB_TOKEN (default "pass"); refused in production
+async function stubVerify(token) {
+  if (process.env.NODE_ENV === 'production') return { ok: false, reason: 'challenge_misconfigured' };
+  return token === (process.env.WAITLIST_CHALLENGE_STUB_TOKEN || 'pass') ? { ok: true } : { ok: false, reason: 'challenge_failed' };
+}
+
+let challengeVerifier = null;
+
+/**
+ * Swap the challenge check, e.g. for a stub in tests: fn(token, { ip }) → { ok, reason? }.
+ * Pass null to go back to the provider configured by env.
+ */
+export function setChallengeVerifier(fn) {
+  challengeVerifier = fn;
+}
+
+export const challengeEnabled = () => !!challengeVerifier || !!CHALLENGE_PROVIDER;
+
+/** { ok: true } when no challenge is configured or the token checks out, else { ok: false, reason } */
+export async function verifyChallenge(token, { ip } = {}) {
+  if (!challengeEnabled()) return { ok: true };
+  if (!token) return { ok: false, reason: 'challenge_missing' };
+  try {
+    if (challengeVerifier) return await challengeVerifier(String(token), { ip });
+    if (CHALLENGE_PROVIDER === 'stub') return await stubVerify(String(token));
+    if (!SITEVERIFY_URLS[CHALLENGE_PROVIDER]) return { ok: false, reason: 'challenge_misconfigured' };
+    return await siteverify(CHALLENGE_PROVIDER, String(token), ip);
+  } catch (e) {
+    console.warn('⚠️ Challenge verification failed:', e?.message || e);
+    return { ok: false, reason: 'challenge_unavailable' };
+  }
+}
+
+/* ----------------- Rate limits ----------------- */
+// Emails never appear in key names
+const hashId = (v) => createHash('sha256').update(String(v).trim().toLowerCase()).digest('hex').slice(0, 32);
+
+/**
+ * Sliding-window log: every attempt (allowed or not) is a zset member scored by time, so a
+ * client that keeps hammering stays limited; the log is trimmed to max + 1 so a flood can't grow
+ * it. Resolves { ok } or { ok: false, retryAfter } (s).
+ */
+async function hitWindow(scope, id) {
+  const { max, seconds } = LIMITS[scope];
+  if (!max) return { ok: true };
+  const key = rateKey(scope, scope === 'email' ? hashId(id) : id);
+  const now = Date.now();
+
+  const tx = redis.multi();
+  tx.zremrangebyscore(key, '-inf', now - seconds * 1000);
+  tx.zadd(key, { score: now, member: `${now}:${randomUUID().slice(0, 8)}` });
+  tx.zremrangebyrank(key, 0, -(max + 2));
+  tx.zcard(key);
+  tx.expire(key, seconds);
+  const [, , , count] = await tx.exec();
+  if (count <= max) return { ok: true };
+
+  // Members start with their timestamp: the window frees up once the oldest one ages out
+  const [oldest] = (await redis.zrange(key, 0, 0)) || [];
+  const oldestMs = Number(String(oldest || '').split(':')[0]) || now;
+  return { ok: false, retryAfter: Math.max(Math.ceil((oldestMs + seconds * 1000 - now) / 1000), 1) };
+}
+
+/** Checks the IP window; null when allowed, else { reason, retryAfter } */
+export async function limitIp(ip) {
+  if (!ip || ip === 'unknown') return null; // one shared bucket would lock everyone out
+  const r = await hitWindow('ip', ip);
+  return r.ok ? null : { reason: 'rate_limited_ip', retryAfter: r.retryAfter };
+}
+
+/** Checks the email and product windows; null when allowed, else { reason, retryAfter } */
+export async function limitSignup({ email, pid }) {
+  const byEmail = await hitWindow('email', email);
+  if (!byEmail.ok) return { reason: 'rate_limited_email', retryAfter: byEmail.retryAfter };
+  const byProduct = await hitWindow('product', pid);
+  if (!byProduct.ok) return { reason: 'rate_limited_product', retryAfter: byProduct.retryAfter };
+  return null;
+}
+
+/* ----------------- Caps ----------------- */
+/**
+ * New entries only — re-arming an existing one is always allowed. Null when within caps, else
+ * { reason } for an email already waiting on too much or a product whose waitlist is full.
+ */
+export async function capExceeded({ pid, email, variantId }) {
+  if (!MAX_ENTRIES_PER_EMAIL && !MAX_ENTRIES_PER_PRODUCT) return null;
+  if (await hasEntry(pid, entryKey({ email, variant_id: variantId || undefined }))) return null;
+  if (MAX_ENTRIES_PER_EMAIL && await countSubscriptionsForEmail(email, { atLeast: MAX_ENTRIES_PER_EMAIL }) >= MAX_ENTRIES_PER_EMAIL) {
+    return { reason: 'cap_email' };
+  }
+  if (MAX_ENTRIES_PER_PRODUCT && await countSubscribers(pid) >= MAX_ENTRIES_PER_PRODUCT) return { reason: 'cap_product' };
+  return null;
+}
+
+/* ----------------- Metrics ----------------- */
+/** Count one rejected request under its reason (best-effort; never blocks the response) */
+export async function recordRejection(reason, { ip } = {}) {
+  console.warn(`🚫 Waitlist signup rejected — ${reason}${ip ? ` (ip ${ip})` : ''}`);
+  try {
+    const key = metricsKey(new Date().toISOString().slice(0, 10));
+    await redis.hincrby(key, reason, 1);
+    await redis.expire(key, METRICS_TTL_SECONDS);
+  } catch (e) {
+    console.warn('⚠️ Rejection metric write failed:', e?.message || e);
+  }
+}
+
+/** Rejections per reason for the last `days` days (UTC), newest first, plus totals */
+export async function getRejectionMetrics(days = 7) {
+  const out = [];
+  const totals = {};
+  for (let i = 0; i < days; i++) {
+    const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const counts = (await redis.hgetall(metricsKey(day))) || {};
+    for (const [reason, n] of Object.entries(counts)) totals[reason] = (totals[reason] || 0) + Number(n);
+    out.push({ day, counts });
+  }
+  return { days: out, totals };
+}
@@ -0,0 +1,70 @@
+// lib/waitlist-token.js — signed, expiring tokens that let a subscriber manage their own waitlists
+// (list, leave, update contact) or confirm a signup from a link in their emails, scoped to the one
+// email they were minted for.
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/* ----------------- Env ----------------- */
+// Comma-separated so a rotated secret can keep verifying links already sent. First entry signs.
+const TOKEN_SECRETS = String(process.env.WAITLIST_TOKEN_SECRETS || process.env.WAITLIST_TOKEN_SECRET || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+const TOKEN_TTL_SECONDS = Number(process.env.WAITLIST_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60;
+// Unconfirmed signups are purged after this long, so their confirm links stop working with them
+export const CONFIRM_WINDOW_SECONDS = Number(process.env.WAITLIST_CONFIRM_WINDOW_HOURS || 48) * 60 * 60;
+
+export const tokensEnabled = TOKEN_SECRETS.length > 0;
+
+/* ----------------- Tokens ----------------- */
+// <base64url(JSON { e: email, x: expires (unix s), p?: purpose })>.<base64url(HMAC-SHA256 of the first part)>
+// Manage tokens carry no purpose; a confirm token ("p": "confirm") can't be used to manage and vice versa.
+const sign = (body, secret) => createHmac('sha256', secret).update(body).digest('base64url');
+
+function signToken(email, purpose, ttlSeconds) {
+  if (!tokensEnabled || !email) return null;
+  const body = Buffer.from(JSON.stringify({
+    e: String(email).trim().toLowerCase(),
+    x: Math.floor(Date.now() / 1000) + ttlSeconds,
+    ...(purpose ? { p: purpose } : {}),
+  })).toString('base64url');
+  return `${body}.${sign(body, TOKEN_SECRETS[0])}`;
+}
+
+function verifyToken(token, purpose) {
+  if (!tokensEnabled) return { ok: false, reason: 'no_secret_configured' };
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return { ok: false, reason: 'malformed' };
+
+  const given = Buffer.from(sig, 'base64url');
+  const signed = TOKEN_SECRETS.some((secret) => {
+    const expected = Buffer.from(sign(body, secret), 'base64url');
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  });
+  if (!signed) return { ok: false, reason: 'bad_signature' };
+
+  let claims;
+  try { claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch { return { ok: false, reason: 'malformed' }; }
+  if (!claims?.e || !Number.isFinite(claims?.x)) return { ok: false, reason: 'malformed' };
+  if ((claims.p || null) !== (purpose || null)) return { ok: false, reason: 'wrong_purpose' };
+  if (claims.x * 1000 < Date.now()) return { ok: false, reason: 'expired' };
+  return { ok: true, email: claims.e, expiresAt: new Date(claims.x * 1000).toISOString() };
+}
+
+/** Token for one email, or null when no secret is configured */
+export function signManageToken(email, { ttlSeconds = TOKEN_TTL_SECONDS } = {}) {
+  return signToken(email, null, ttlSeconds);
+}
+
+/** { ok: true, email, expiresAt } or { ok: false, reason } — constant-time compare per secret */
+export function verifyManageToken(token) {
+  return verifyToken(token, null);
+}
+
+/** Double opt-in link token; valid for as long as the unconfirmed signup is kept */
+export function signConfirmToken(email, { ttlSeconds = CONFIRM_WINDOW_SECONDS } = {}) {
+  return signToken(email, 'confirm', ttlSeconds);
+}
+
+export function verifyConfirmToken(token) {
+  return verifyToken(token, 'confirm');
+}
@@ -0,0 +1,542 @@
+// lib/waitlist.js — back-in-stock waitlist storage + notification fan-out
+import { redis, scanKeys } from '@/lib/redis';
+import { assertKlaviyoEnv } from '@/lib/klaviyo';
+import { signManageToken, signConfirmToken } from '@/lib/waitlist-token';
+
+/* ----------------- Env ----------------- */
+export const ALERT_LIST_ID = process.env.KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID;
+const PUBLIC_STORE_DOMAIN = process.env.PUBLIC_STORE_DOMAIN || 'armadillotough.com';
+// Storefront page that reads ?token= and calls /api/waitlist-manage
+const MANAGE_URL = process.env.WAITLIST_MANAGE_URL || `https://${PUBLIC_STORE_DOMAIN}/pages/waitlist`;
+// Double opt-in: signups wait unconfirmed until the emailed link is followed. The storefront page
+// reads ?token= and POSTs it to /api/waitlist-confirm (a GET link would be "clicked" by mail scanners).
+export const DOUBLE_OPT_IN = ['1', 'true', 'yes'].includes(String(process.env.WAITLIST_DOUBLE_OPT_IN || '').toLowerCase());
+const CONFIRM_URL = process.env.WAITLIST_CONFIRM_URL || `https://${PUBLIC_STORE_DOMAIN}/pages/waitlist-confirm`;
+
+export function assertWaitlistEnv(missing = []) {
+  assertKlaviyoEnv(missing);
+  if (!ALERT_LIST_ID)   missing.push('KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID');
+  return missing;
+}
+
+/* ----------------- Utils ----------------- */
+export function toE164(raw) {
+  if (!raw) return null;
+  let v = String(raw).trim().replace(/[^\d+]/g, '');
+  if (v.startsWith('+')) return /^\+\d{8,15}$/.test(v) ? v : null; // strict E.164
+  if (/^0\d{10}$/.test(v)) return '+234' + v.slice(1);            // NG 0XXXXXXXXXX
+  if (/^(70|80|81|90|91)\d{8}$/.test(v)) return '+234' + v;        // NG 10-digit
+  if (/^\d{10}$/.test(v)) return '+1' + v;                         // US 10-digit
+  return null;
+}
+export const emailKey = (e) => `email:${String(e || '').toLowerCase()}`;
+/**
+ * Identity used to merge/dedupe subscribers: email (every signup has one), else E.164 phone.
+ * Stable across re-signups that add or change a phone number.
+ */
+export const subscriberKey = (s) => (s?.email ? emailKey(s.email) : toE164(s?.phone || '') || emailKey(''));
+/**
+ * Identity of one waitlist entry: a subscriber may wait on several variants of a product, each
+ * its own entry. Entries without a variant_id are product-level and mean "any variant".
+ */
+export const entryKey = (s) => (s?.variant_id ? `${subscriberKey(s)}:variant:${s.variant_id}` : subscriberKey(s));
+/** Numeric variant id from a number, "gid://shopify/ProductVariant/123", etc.; '' when absent */
+export const normalizeVariantId = (raw) => (raw ? (String(raw).match(/(\d+)$/)?.[1] || '') : '');
+export const productUrlFrom = (handle, variantId = '') =>
+  (handle ? `https://${PUBLIC_STORE_DOMAIN}/products/${handle}${variantId ? `?variant=${variantId}` : ''}` : '');
+
+/**
+ * Self-service links for one subscriber's emails: manage_url (all their waitlists) and
+ * unsubscribe_url (pre-selects this product/variant for removal). {} when tokens aren't configured.
+ */
+export function manageLinksFor(email, { productId = '', variantId = '' } = {}) {
+  const token = signManageToken(email);
+  if (!token) return {};
+  const manage = new URL(MANAGE_URL);
+  manage.searchParams.set('token', token);
+  const unsubscribe = new URL(manage);
+  if (productId) unsubscribe.searchParams.set('remove', String(productId));
+  if (variantId) unsubscribe.searchParams.set('variant', String(variantId));
+  return { manage_url: manage.toString(), unsubscribe_url: unsubscribe.toString() };
+}
+
+/** Double opt-in link for one email ('' when tokens aren't configured) */
+export function confirmLinkFor(email) {
+  const token = signConfirmToken(email);
+  if (!token) return '';
+  const url = new URL(CONFIRM_URL);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+/** Still waiting on a restock, and (with double opt-in) confirmed — the only entries we notify */
+export const awaitsNotification = (s) => !s?.notified && !s?.pending_confirmation;
+
+/* ----------------- Storage ----------------- */
+// One record per entry, so signups never rewrite each other and each entry expires on its own:
+//   waitlist:{pid}               zset  entryKey → record expiry (ms); the product's index
+//   waitlist:{pid}:{entryKey}    hash  the subscriber record (own TTL)
+//   waitlist_handle:{handle}     pid   so handle-only callers find the product
+//   waitlist_email:{email}       set   "pid|entryKey" — everything one email is waiting on
+//   waitlist_unconfirmed         zset  "pid|entryKey" → confirmation requested at (ms); purge queue
+export const SUBSCRIBER_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const indexKey  = (pid) => `waitlist:${pid}`;
+const recordKey = (pid, key) => `waitlist:${pid}:${key}`;
+const aliasKey  = (handle) => `waitlist_handle:${handle}`;
+const byEmailKey = (email) => `waitlist_email:${String(email || '').toLowerCase()}`;
+const byEmailMember = (pid, key) => `${pid}|${key}`;
+const UNCONFIRMED_KEY = 'waitlist_unconfirmed';
+
+// Upstash parses hash values as JSON, so numeric-looking strings come back as numbers
+const TEXT_FIELDS = [
+  'email', 'phone', 'first_name', 'last_name', 'product_id', 'product_title', 'product_handle',
+  'product_url', 'variant_id', 'variant_title', 'ip_address', 'last_source',
+];
+function fromRecord(h) {
+  if (!h || !Object.keys(h).length) return null;
+  const s = { ...h };
+  for (const f of TEXT_FIELDS) if (s[f] != null) s[f] = String(s[f]);
+  s.notified = s.notified === true || s.notified === 'true';
+  s.sms_consent = s.sms_consent === true || s.sms_consent === 'true';
+  s.pending_confirmation = s.pending_confirmation === true || s.pending_confirmation === 'true';
+  s.rearm_count = Number(s.rearm_count || 0);
+  return s;
+}
+const defined = (o) => Object.fromEntries(Object.entries(o || {}).filter(([, v]) => v !== undefined && v !== null));
+
+/** Product id for { id, handle }: the id when given, else the handle alias (null if unknown) */
+export async function resolveProductId(prod) {
+  if (prod?.id) return String(prod.id);
+  if (!prod?.handle) return null;
+  const pid = await redis.get(aliasKey(prod.handle));
+  return pid == null ? null : String(pid);
+}
+
+/** Live subscribers of a product (expired entries are pruned from the index on the way) */
+export async function getSubscribersForProduct(prod) {
+  const pid = await resolveProductId(prod);
+  const keysTried = [prod?.id ? indexKey(pid) : aliasKey(prod?.handle || '')];
+  if (!pid) return { merged: [], keysTried };
+  if (!prod?.id) keysTried.push(indexKey(pid));
+
+  await redis.zremrangebyscore(indexKey(pid), '-inf', Date.now());
+  const keys = (await redis.zrange(indexKey(pid), 0, -1)) || [];
+  if (!keys.length) return { merged: [], keysTried };
+
+  const p = redis.pipeline();
+  for (const k of keys) p.hgetall(recordKey(pid, k));
+  const records = await p.exec();
+
+  const merged = [], gone = [];
+  records.forEach((r, i) => {
+    const s = fromRecord(r);
+    if (s) merged.push(s); else gone.push(keys[i]);
+  });
+  if (gone.length) await redis.zrem(indexKey(pid), ...gone);
+  return { merged, keysTried };
+}
+
+export async function countSubscribers(pid) {
+  return redis.zcount(indexKey(pid), Date.now(), '+inf');
+}
+
+/** Whether an entry is already on the product's waitlist (a re-arm rather than a new signup) */
+export async function hasEntry(pid, key) {
+  return !!(await redis.exists(recordKey(pid, key)));
+}
+
+/**
+ * Create or update one entry in place. `fields` overwrite, `defaults` only fill fields the
+ * record doesn't have yet, `increments` are added atomically (e.g. { rearm_count: 1 }). Every
+ * write restarts that entry's expiry, nobody else's. Resolves the stored record.
+ */
+export async function upsertSubscriber(prod, fields, { defaults = {}, increments = {}, ttlSeconds = SUBSCRIBER_TTL_SECONDS } = {}) {
+  const pid = String(prod.id);
+  const key = entryKey(fields);
+  const rk = recordKey(pid, key);
+  const ttl = Math.min(ttlSeconds, SUBSCRIBER_TTL_SECONDS);
+
+  const tx = redis.multi();
+  tx.hset(rk, defined(fields));
+  for (const [f, v] of Object.entries(defined(defaults))) tx.hsetnx(rk, f, v);
+  for (const [f, n] of Object.entries(increments)) tx.hincrby(rk, f, n);
+  tx.expire(rk, ttl);
+  tx.zadd(indexKey(pid), { score: Date.now() + ttl * 1000, member: key });
+  tx.expire(indexKey(pid), SUBSCRIBER_TTL_SECONDS);
+  if (prod.handle) tx.set(aliasKey(prod.handle), pid, { ex: SUBSCRIBER_TTL_SECONDS });
+  if (fields.email) {
+    tx.sadd(byEmailKey(fields.email), byEmailMember(pid, key));
+    tx.expire(byEmailKey(fields.email), SUBSCRIBER_TTL_SECONDS);
+  }
+  if (fields.pending_confirmation) tx.zadd(UNCONFIRMED_KEY, { score: Date.now(), member: byEmailMember(pid, key) });
+  else if (fields.pending_confirmation === false) tx.zrem(UNCONFIRMED_KEY, byEmailMember(pid, key));
+  await tx.exec();
+
+  return fromRecord(await redis.hgetall(rk));
+}
+
+/** Patch an existing entry without touching its expiry; false when it's gone */
+export async function updateSubscriber(pid, key, fields) {
+  const rk = recordKey(pid, key);
+  if (!(await redis.exists(rk))) return false;
+  await redis.hset(rk, defined(fields));
+  return true;
+}
+
+export async function removeSubscriber(pid, key) {
+  const s = fromRecord(await redis.hgetall(recordKey(pid, key)));
+  await redis.del(recordKey(pid, key));
+  await redis.zrem(indexKey(pid), key);
+  await redis.zrem(UNCONFIRMED_KEY, byEmailMember(pid, key));
+  if (s?.email) await redis.srem(byEmailKey(s.email), byEmailMember(pid, key));
+  return !!s;
+}
+
+/**
+ * Bring over one subscriber from the old whole-array keys, keeping notified / rearm_count /
+ * timestamps as they were. An entry already in the new store wins unless the legacy copy was
+ * re-armed later. Resolves 'created' | 'updated' | 'kept'.
+ */
+export async function importLegacySubscriber(prod, sub, { expiresAt }) {
+  const pid = String(prod.id);
+  const key = entryKey(sub);
+  const rk = recordKey(pid, key);
+  const ts = (s) => Date.parse(s?.last_rearmed_at || s?.subscribed_at || 0) || 0;
+
+  const existing = fromRecord(await redis.hgetall(rk));
+  if (existing && ts(existing) >= ts(sub)) return 'kept';
+
+  const ttl = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1);
+  const tx = redis.multi();
+  tx.hset(rk, defined({
+    ...sub,
+    product_id: pid,
+    notified: !!sub.notified,
+    sms_consent: !!sub.sms_consent,
+    rearm_count: Math.max(Number(sub.rearm_count || 0), existing?.rearm_count || 0),
+  }));
+  tx.expire(rk, Math.min(ttl, SUBSCRIBER_TTL_SECONDS));
+  tx.zadd(indexKey(pid), { score: Date.now() + Math.min(ttl, SUBSCRIBER_TTL_SECONDS) * 1000, member: key });
+  tx.expire(indexKey(pid), SUBSCRIBER_TTL_SECONDS);
+  if (prod.handle) tx.set(aliasKey(prod.handle), pid, { ex: SUBSCRIBER_TTL_SECONDS });
+  if (sub.email) {
+    tx.sadd(byEmailKey(sub.email), byEmailMember(pid, key));
+    tx.expire(byEmailKey(sub.email), SUBSCRIBER_TTL_SECONDS);
+  }
+  await tx.exec();
+  return existing ? 'updated' : 'created';
+}
+
+/* ----------------- Per-subscriber view ----------------- */
+/** Every live entry for one email, across products (stale index members are dropped) */
+export async function getSubscriptionsForEmail(email) {
+  const members = (await redis.smembers(byEmailKey(email))) || [];
+  const subs = [], gone = [];
+  for (const m of members) {
+    const [pid, key] = String(m).split('|');
+    const live = await redis.zscore(indexKey(pid), key);
+    const s = live != null && live > Date.now() ? fromRecord(await redis.hgetall(recordKey(pid, key))) : null;
+    if (s) subs.push({ ...s, product_id: pid }); else gone.push(m);
+  }
+  if (gone.length) await redis.srem(byEmailKey(email), ...gone);
+  return subs;
+}
+
+/**
+ * Remove one email's entries: one product (optionally one variant of it) or, with no
+ * productId, everything. Resolves how many entries were removed.
+ */
+export async function removeSubscriptionsForEmail(email, { productId = null, variantId = null } = {}) {
+  let removed = 0;
+  for (const s of await getSubscriptionsForEmail(email)) {
+    if (productId && s.product_id !== String(productId)) continue;
+    if (variantId && String(s.variant_id || '') !== String(variantId)) continue;
+    if (await removeSubscriber(s.product_id, entryKey(s))) removed++;
+  }
+  return removed;
+}
+
+/** Live entries for one email; the index size is an upper bound, so it's only pruned when that's close */
+export async function countSubscriptionsForEmail(email, { atLeast = 0 } = {}) {
+  const upper = await redis.scard(byEmailKey(email));
+  if (upper < atLeast) return upper;
+  return (await getSubscriptionsForEmail(email)).length;
+}
+
+/** True once any live entry for this email has been confirmed (or predates double opt-in) */
+export async function hasConfirmedSignup(email) {
+  return (await getSubscriptionsForEmail(email)).some(s => !s.pending_confirmation);
+}
+
+/**
+ * Confirm every unconfirmed entry for one email (the link proves the inbox, so it covers all of
+ * them). Resolves the entries that were confirmed by this call.
+ */
+export async function confirmSubscriptionsForEmail(email) {
+  const confirmed = [];
+  const confirmed_at = new Date().toISOString();
+  for (const s of await getSubscriptionsForEmail(email)) {
+    if (!s.pending_confirmation) continue;
+    if (await updateSubscriber(s.product_id, entryKey(s), { pending_confirmation: false, confirmed_at })) {
+      confirmed.push({ ...s, pending_confirmation: false, confirmed_at });
+    }
+    await redis.zrem(UNCONFIRMED_KEY, byEmailMember(s.product_id, entryKey(s)));
+  }
+  return confirmed;
+}
+
+/**
+ * Remove entries still unconfirmed `olderThanSeconds` after the link went out, oldest first,
+ * up to `limit` per call. Entries confirmed, re-requested or removed since are just dequeued.
+ */
+export async function purgeUnconfirmed({ olderThanSeconds, limit = 500 }) {
+  const cutoff = Date.now() - olderThanSeconds * 1000;
+  const members = (await redis.zrange(UNCONFIRMED_KEY, 0, cutoff, { byScore: true, offset: 0, count: limit })) || [];
+  let purged = 0;
+  for (const m of members) {
+    const [pid, key] = String(m).split('|');
+    const s = fromRecord(await redis.hgetall(recordKey(pid, key)));
+    const requestedAt = Date.parse(s?.confirm_requested_at || 0) || 0;
+    if (s?.pending_confirmation && requestedAt <= cutoff && await removeSubscriber(pid, key)) purged++;
+    if (!s?.pending_confirmation || requestedAt <= cutoff) await redis.zrem(UNCONFIRMED_KEY, m);
+  }
+  const remaining = await redis.zcount(UNCONFIRMED_KEY, '-inf', cutoff);
+  return { checked: members.length, purged, remaining };
+}
+
+/** Patch contact details (phone, sms_consent, names) on every entry for one email */
+export async function updateContactForEmail(email, fields) {
+  let updated = 0;
+  for (const s of await getSubscriptionsForEmail(email)) {
+    if (await updateSubscriber(s.product_id, entryKey(s), fields)) updated++;
+  }
+  return updated;
+}
+
+/* ----------------- Product lifecycle ----------------- */
+const ARCHIVE_INDEX = 'waitlist_archive';                 // zset pid → archived at (ms)
+const archiveKey = (pid) => `waitlist_archive:${pid}`;   // { pid, title, handle, reason, archivedAt, subscribers }
+
+/**
+ * Bring a product's waitlist in line with the live product (products/update): stamp the current
+ * title / handle (and variant titles) onto its entries, rebuild product_url when the handle
+ * changed, and move the handle alias off old handles that pointed here.
+ */
+export async function syncProductDetails(product) {
+  const pid = String(product.id);
+  const handle = product.handle || '';
+  const { merged } = await getSubscribersForProduct({ id: pid });
+  if (!merged.length) return { pid, subscribers: 0, refreshed: 0, aliasesMoved: [] };
+
+  const variantTitles = new Map((product.variants || []).map(v => [String(v.id), v.title]));
+  const oldHandles = new Set();
+  let refreshed = 0;
+  for (const s of merged) {
+    const patch = {};
+    if (product.title && s.product_title !== product.title) patch.product_title = product.title;
+    if (handle && s.product_handle !== handle) {
+      if (s.product_handle) oldHandles.add(s.product_handle);
+      patch.product_handle = handle;
+      patch.product_url = productUrlFrom(handle, s.variant_id || '');
+    }
+    const variantTitle = s.variant_id ? variantTitles.get(String(s.variant_id)) : null;
+    if (variantTitle && s.variant_title !== variantTitle) patch.variant_title = variantTitle;
+    if (Object.keys(patch).length && await updateSubscriber(pid, entryKey(s), patch)) refreshed++;
+  }
+
+  if (handle) await redis.set(aliasKey(handle), pid, { ex: SUBSCRIBER_TTL_SECONDS });
+  const aliasesMoved = [];
+  for (const old of oldHandles) {
+    if (String(await redis.get(aliasKey(old))) !== pid) continue;
+    await redis.del(aliasKey(old));
+    aliasesMoved.push(old);
+  }
+  if (refreshed || aliasesMoved.length) {
+    console.log(`🏷️ Waitlist ${pid} synced — ${refreshed} entr${refreshed === 1 ? 'y' : 'ies'} refreshed${aliasesMoved.length ? `, alias moved from ${aliasesMoved.join(', ')} to ${handle}` : ''}`);
+  }
+  return { pid, subscribers: merged.length, refreshed, aliasesMoved };
+}
+
+/**
+ * Take a deleted product's waitlist out of service (products/delete): its entries are kept
+ * read-only under the archive for admins, and the live records, index and alias go away.
+ */
+export async function archiveWaitlist(pid, { reason = 'product deleted' } = {}) {
+  pid = String(pid);
+  const { merged } = await getSubscribersForProduct({ id: pid });
+  if (!merged.length) return { pid, archived: 0 };
+
+  const prev = await redis.get(archiveKey(pid));
+  const now = new Date().toISOString();
+  await redis.set(archiveKey(pid), {
+    pid,
+    title: merged[0].product_title || prev?.title || '',
+    handle: merged[0].product_handle || prev?.handle || '',
+    reason,
+    archivedAt: now,
+    subscribers: [...(prev?.subscribers || []), ...merged.map(s => ({ ...s, archived_at: now }))],
+  }, { ex: SUBSCRIBER_TTL_SECONDS });
+  await redis.zadd(ARCHIVE_INDEX, { score: Date.now(), member: pid });
+
+  const handles = new Set(merged.map(s => s.product_handle).filter(Boolean));
+  await redis.del(indexKey(pid), ...merged.map(s => recordKey(pid, entryKey(s))));
+  for (const s of merged) {
+    if (s.email) await redis.srem(byEmailKey(s.email), byEmailMember(pid, entryKey(s)));
+  }
+  for (const h of handles) {
+    if (String(await redis.get(aliasKey(h))) === pid) await redis.del(aliasKey(h));
+  }
+  console.log(`🗄️ Waitlist ${pid} archived (${reason}) — ${merged.length} subscriber(s)`);
+  return { pid, archived: merged.length };
+}
+
+/** Archived waitlists, newest first, without their subscriber lists */
+export async function listArchivedWaitlists({ offset = 0, limit = 50 } = {}) {
+  const pids = (await redis.zrange(ARCHIVE_INDEX, offset, offset + limit - 1, { rev: true })) || [];
+  const waitlists = [];
+  for (const pid of pids) {
+    const doc = await redis.get(archiveKey(pid));
+    if (!doc) { await redis.zrem(ARCHIVE_INDEX, String(pid)); continue; } // expired
+    const { subscribers, ...meta } = doc;
+    waitlists.push({ ...meta, subscribers: subscribers.length });
+  }
+  return { total: await redis.zcard(ARCHIVE_INDEX), offset, waitlists };
+}
+
+export async function getArchivedWaitlist(pid) {
+  return (await redis.get(archiveKey(pid))) || null;
+}
+
+/* ----------------- Privacy ----------------- */
+// For Shopify's customers/data_request and customers/redact (lib/privacy.js). Entries are found by
+// scanning, not through waitlist_email: that index misses phone-only entries and older ones.
+const LEGACY_PATTERN = 'subscribers*'; // pre-migration whole-array keys (app/api/waitlist-migrate)
+
+const readLegacy = (v) => {
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'string') { try { return JSON.parse(v); } catch { return []; } }
+  return [];
+};
+
+/** Predicate for records belonging to a contact: same email (any case) or same E.164 phone */
+export function matchesContact({ email, phone } = {}) {
+  const e = email ? String(email).trim().toLowerCase() : '';
+  const p = phone ? toE164(phone) : null;
+  return (s) => (!!e && String(s?.email || '').trim().toLowerCase() === e) || (!!p && toE164(s?.phone || '') === p);
+}
+
+async function scanEntries(match) {
+  const keys = await scanKeys('waitlist:*:*');
+  const found = [];
+  for (let i = 0; i < keys.length; i += 200) {
+    const chunk = keys.slice(i, i + 200);
+    const p = redis.pipeline();
+    for (const k of chunk) p.hgetall(k);
+    const records = await p.exec();
+    records.forEach((r, j) => {
+      const s = fromRecord(r);
+      if (!s || !match(s)) return;
+      const [, pid, ...rest] = chunk[j].split(':');
+      found.push({ pid, key: rest.join(':'), record: s });
+    });
+  }
+  return found;
+}
+
+/** Everything the waitlist holds on one contact: live entries, archived entries, legacy entries */
+export async function findContactData(contact) {
+  const match = matchesContact(contact);
+  const entries = (await scanEntries(match)).map(({ pid, record }) => ({ ...record, product_id: pid }));
+
+  const archived = [];
+  for (const k of await scanKeys(`${ARCHIVE_INDEX}:*`)) {
+    const doc = await redis.get(k);
+    const subscribers = (doc?.subscribers || []).filter(match);
+    if (subscribers.length) archived.push({ pid: doc.pid, title: doc.title, archivedAt: doc.archivedAt, subscribers });
+  }
+
+  const legacy = [];
+  for (const k of await scanKeys(LEGACY_PATTERN)) {
+    const subscribers = readLegacy(await redis.get(k)).filter(match);
+    if (subscribers.length) legacy.push({ key: k, subscribers });
+  }
+  return { entries, archived, legacy };
+}
+
+/** Erase one contact from live, archived and legacy storage; resolves what was removed */
+export async function eraseContactData(contact) {
+  const match = matchesContact(contact);
+  const removed = { entries: 0, archivedEntries: 0, legacyEntries: 0 };
+
+  for (const { pid, key } of await scanEntries(match)) {
+    if (await removeSubscriber(pid, key)) removed.entries++;
+  }
+  if (contact.email) await redis.del(byEmailKey(contact.email));
+
+  // Rewrite what's left of each document, keeping its remaining TTL
+  const rewrite = async (k, value) => {
+    const ttl = await redis.ttl(k);
+    await redis.set(k, value, ttl > 0 ? { ex: ttl } : undefined);
+  };
+  for (const k of await scanKeys(`${ARCHIVE_INDEX}:*`)) {
+    const doc = await redis.get(k);
+    const keep = (doc?.subscribers || []).filter(s => !match(s));
+    if (!doc || keep.length === doc.subscribers.length) continue;
+    removed.archivedEntries += doc.subscribers.length - keep.length;
+    await rewrite(k, { ...doc, subscribers: keep });
+  }
+  for (const k of await scanKeys(LEGACY_PATTERN)) {
+    const list = readLegacy(await redis.get(k));
+    const keep = list.filter(s => !match(s));
+    if (keep.length === list.length) continue;
+    removed.legacyEntries += list.length - keep.length;
+    if (keep.length) await rewrite(k, keep); else await redis.del(k);
+  }
+  return removed;
+}
+
+/* ----------------- Notification payload ----------------- */
+/**
+ * What a back-in-stock notification carries for one subscriber: who to reach, the
+ * last_back_in_stock_* profile props, and the "Back in Stock" event properties.
+ */
+export function notificationFor(sub, { pid, title, handle, source }) {
+  const phoneE164 = toE164(sub.phone || '');
+  const smsConsent = !!sub.sms_consent && !!phoneE164;
+
+  const stampedTitle  = sub.product_title  || title || 'Unknown Product';
+  const stampedHandle = sub.product_handle || handle || '';
+  const variantId     = sub.variant_id ? String(sub.variant_id) : '';
+  const stampedUrl    = sub.product_url    || productUrlFrom(stampedHandle, variantId) || productUrlFrom(handle, variantId);
+  const related_section_url = stampedUrl ? `${stampedUrl}#after-bis` : '';
+  const links = manageLinksFor(sub.email, { productId: pid, variantId });
+
+  return {
+    email: sub.email,
+    phoneE164,
+    sms: smsConsent,
+    profileProperties: {
+      last_back_in_stock_product_name: stampedTitle,
+      last_back_in_stock_product_url: stampedUrl,
+      last_back_in_stock_related_section_url: related_section_url,
+      last_back_in_stock_product_handle: stampedHandle,
+      last_back_in_stock_product_id: String(pid),
+      last_back_in_stock_variant_id: variantId,
+      last_back_in_stock_variant_title: sub.variant_title || '',
+      last_back_in_stock_notified_at: new Date().toISOString(),
+      ...(links.manage_url ? { waitlist_manage_url: links.manage_url } : {}),
+    },
+    eventProperties: {
+      product_id: String(pid),
+      product_title: stampedTitle,
+      product_handle: stampedHandle,
+      product_url: stampedUrl,
+      related_section_url,
+      ...(variantId ? { variant_id: variantId, variant_title: sub.variant_title || '' } : {}),
+      sms_consent: !!smsConsent,
+      source,
+      ...links,
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// lib/webhook-ledger.js — idempotency ledger for Shopify webhook deliveries
+import { createHash } from 'crypto';
+import { redis } from '@/lib/redis';
+
+/* ----------------- Tunables ----------------- */
+// Shopify retries failed deliveries for up to 48h; keep the ledger a bit longer.
+const LEDGER_TTL_SECONDS = Number(process.env.WEBHOOK_LEDGER_TTL_SECONDS || 72 * 60 * 60);
+// A "processing" claim older than this is treated as a crashed handler and may be re-claimed.
+const PROCESSING_LEASE_MS = Number(process.env.WEBHOOK_PROCESSING_LEASE_MS || 5 * 60 * 1000);
+const LOG_KEY = 'webhooks:log';
+const LOG_MAX = 1000;
+
+/* ----------------- Keys ----------------- */
+const deliveryKey = (webhookId) => `webhooks:delivery:${webhookId}`;
+// Taking over a failed/stale claim: one key per attempt number, so exactly one retry wins it
+const attemptKey = (key, attempt) => `${key}:attempt:${attempt}`;
+
+// Same topic + trigger time + body = same event, even if Shopify re-sent it under a new webhook id
+function fingerprintKey({ topic, triggeredAt, rawBody }) {
+  const hash = createHash('sha256').update(`${topic}|${triggeredAt}|${rawBody || ''}`).digest('hex').slice(0, 32);
+  return `webhooks:event:${hash}`;
+}
+
+async function logDelivery(entry) {
+  try {
+    await redis.lpush(LOG_KEY, { ...entry, at: new Date().toISOString() });
+    await redis.ltrim(LOG_KEY, 0, LOG_MAX - 1);
+  } catch (e) {
+    console.warn('⚠️ Webhook log write failed:', e?.message || e);
+  }
+}
+
+const isStale = (entry) =>
+  entry?.status === 'processing' && Date.now() - Date.parse(entry?.updatedAt || 0) > PROCESSING_LEASE_MS;
+
+/**
+ * Claim a verified delivery for processing.
+ * Returns { duplicate: true } when the same webhook id (or topic+timestamp+body) was already
+ * processed or is in flight; failed and stale claims are re-claimed so Shopify retries still work.
+ * Every claim is a SET NX (the delivery, the fingerprint, or the next attempt number), so two
+ * concurrent deliveries can never both win.
+ */
+export async function claimWebhook({ webhookId, topic, shop, triggeredAt, rawBody }) {
+  const now = new Date().toISOString();
+  const id = webhookId || `anon-${fingerprintKey({ topic, triggeredAt, rawBody }).split(':').pop()}`;
+  const key = deliveryKey(id);
+  const fpKey = fingerprintKey({ topic, triggeredAt, rawBody });
+  const entry = { webhookId: id, topic, shop, triggeredAt, status: 'processing', attempts: 1, receivedAt: now, updatedAt: now };
+  const duplicate = async (previous, duplicateOf) => {
+    await logDelivery({ webhookId: id, topic, outcome: 'duplicate', ...(duplicateOf ? { duplicateOf } : {}) });
+    return { duplicate: true, webhookId: id, previous };
+  };
+
+  // 1) Claim the event itself, unless another webhook id already carries it
+  if (!(await redis.set(fpKey, id, { nx: true, ex: LEDGER_TTL_SECONDS }))) {
+    const fpOwner = await redis.get(fpKey);
+    if (fpOwner && fpOwner !== id) {
+      const owner = await redis.get(deliveryKey(fpOwner));
+      if (owner && owner.status !== 'failed' && !isStale(owner)) return duplicate(owner, fpOwner);
+      // Owner failed or crashed: take the event over from that attempt, once
+      const took = await redis.set(attemptKey(fpKey, `${fpOwner}:${owner?.attempts || 1}`), id, { nx: true, ex: LEDGER_TTL_SECONDS });
+      if (!took) return duplicate(owner, fpOwner);
+      await redis.set(fpKey, id, { ex: LEDGER_TTL_SECONDS });
+    }
+  }
+
+  // 2) Claim by webhook id
+  if (await redis.set(key, entry, { nx: true, ex: LEDGER_TTL_SECONDS })) return { duplicate: false, webhookId: id, topic };
+
+  const prev = await redis.get(key);
+  if (prev && prev.status !== 'failed' && !isStale(prev)) return duplicate(prev);
+  const attempts = (prev?.attempts || 1) + 1;
+  if (!(await redis.set(attemptKey(key, attempts), now, { nx: true, ex: LEDGER_TTL_SECONDS }))) return duplicate(prev);
+  await redis.set(key, { ...entry, attempts, receivedAt: prev?.receivedAt || now }, { ex: LEDGER_TTL_SECONDS });
+
+  return { duplicate: false, webhookId: id, topic };
+}
+
+/** Mark a claimed delivery as processed (result is a small summary object) */
+export async function completeWebhook(claim, result = {}) {
+  const key = deliveryKey(claim.webhookId);
+  const prev = (await redis.get(key)) || {};
+  const now = new Date().toISOString();
+  await redis.set(key, { ...prev, status: 'processed', result, error: null, updatedAt: now }, { ex: LEDGER_TTL_SECONDS });
+  await logDelivery({ webhookId: claim.webhookId, topic: claim.topic, outcome: 'processed' });
+}
+
+/** Mark a claimed delivery as failed so the next Shopify retry may re-claim it */
+export async function failWebhook(claim, error) {
+  const key = deliveryKey(claim.webhookId);
+  const prev = (await redis.get(key)) || {};
+  const message = error?.message || String(error);
+  const now = new Date().toISOString();
+  await redis.set(key, { ...prev, status: 'failed', error: message, updatedAt: now }, { ex: LEDGER_TTL_SECONDS });
+  await logDelivery({ webhookId: claim.webhookId, topic: claim.topic, outcome: 'failed', error: message });
+}
+
+export async function getDelivery(webhookId) {
+  return (await redis.get(deliveryKey(webhookId))) || null;
+}
+
+/** Most recent ledger events, newest first; optionally filtered by outcome and/or topic */
+export async function recentDeliveries({ limit = 100, outcome = '', topic = '' } = {}) {
+  const rows = (await redis.lrange(LOG_KEY, 0, LOG_MAX - 1)) || [];
+  const filtered = rows.filter(r => (!outcome || r?.outcome === outcome) && (!topic || r?.topic === topic));
+  const counts = rows.reduce((acc, r) => {
+    acc[r?.outcome] = (acc[r?.outcome] || 0) + 1;
+    return acc;
+  }, {});
+  return { counts, deliveries: filtered.slice(0, limit) };
+}
+
+/**
+ * Run handler for a delivery already claimed with claimWebhook and record how it went.
+ * Resolves the handler's result; a thrown error marks the delivery failed and is re-thrown.
+ */
+export async function runClaimedWebhook(claim, handler) {
+  try {
+    const result = await handler();
+    await completeWebhook(claim, result || {});
+    return result;
+  } catch (e) {
+    await failWebhook(claim, e);
+    throw e;
+  }
+}
+
+/**
+ * Run handler at most once per delivery. Duplicates resolve to { duplicate: true } without
+ * calling handler; a thrown error marks the delivery failed and is re-thrown.
+ */
+export async function processWebhookOnce(verified, handler) {
+  const claim = await claimWebhook(verified);
+  if (claim.duplicate) {
+    console.log(`⏭️ Duplicate webhook ${claim.webhookId} (${verified.topic}) — skipping`);
+    return { duplicate: true, webhookId: claim.webhookId, result: null };
+  }
+  const result = await runClaimedWebhook(claim, handler);
+  return { duplicate: false, webhookId: claim.webhookId, result };
+}
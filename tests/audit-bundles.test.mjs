@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushRedis } from './helpers/memory-redis.mjs';
+import { runAfter } from './helpers/next-server.mjs';
+
+process.env.OPERATOR_SECRET = 'operator-secret';
+process.env.SHOPIFY_STORE = 'shop.myshopify.com';
+process.env.SHOPIFY_ADMIN_API_KEY = 'shpat_test';
+process.env.KLAVIYO_API_KEY = 'test-key';
+process.env.KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID = 'ALERTS';
+process.env.TIME_BUDGET_MS = '0'; // every slice stops at "export still running"
+const { GET } = await import('@/app/api/audit-bundles/route');
+
+/* ----------------- Shopify double: a catalog export that never finishes ----------------- */
+let requests;
+async function fakeFetch(url, opts = {}) {
+  requests.push(String(url));
+  if (!String(url).endsWith('/graphql.json')) return new Response('', { status: 404 });
+  const { query, variables } = JSON.parse(opts.body);
+  const op = { id: variables?.id || 'gid://shopify/BulkOperation/1', status: 'RUNNING', objectCount: '0' };
+  const data = query.includes('bulkOperationRunQuery')
+    ? { bulkOperationRunQuery: { bulkOperation: op, userErrors: [] } }
+    : { node: op };
+  return new Response(JSON.stringify({ data }), { status: 200 });
+}
+
+const audit = async (query, { operator = false } = {}) => {
+  const headers = operator ? { authorization: 'Bearer operator-secret' } : {};
+  const res = await GET(new Request(`https://app.test/api/audit-bundles?${query}`, { headers }));
+  return { status: res.status, body: await res.json() };
+};
+const runOf = async (runId) => (await audit(`action=run&runId=${runId}`)).body.run;
+const MINUTE = 60 * 1000;
+
+// One clock for the whole file that only moves forward: the Shopify client paces calls off the
+// time of the previous one, so winding back between tests would stall it
+mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+beforeEach(async () => {
+  requests = [];
+  mock.method(globalThis, 'fetch', fakeFetch);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  await runAfter(); // settle anything a previous test left queued
+  flushRedis();
+  mock.timers.tick(60 * MINUTE);
+});
+afterEach(() => mock.restoreAll());
+
+test('a slice takes the lock and records the run before doing any work', async () => {
+  const { status, body } = await audit('runId=run-a');
+  assert.equal(status, 200);
+  assert.equal(body.waitingForExport, true);
+  const state = (await audit('action=status')).body;
+  assert.equal(state.holder, 'run-a');
+  assert.equal(state.stale, false);
+  assert.equal(state.cursor.runId, 'run-a');
+  assert.equal((await runOf('run-a')).status, 'running');
+});
+
+test('the dry-run report lists subscribers, so it needs the operator secret', async () => {
+  await audit('mode=dry-run&runId=dry-a');
+  const res = await GET(new Request('https://app.test/api/audit-bundles?action=report', { headers: { 'x-vercel-cron': '1' } }));
+  assert.equal(res.status, 401);
+  const { status, body } = await audit('action=report', { operator: true });
+  assert.equal(status, 200);
+  assert.equal(body.report.runId, 'dry-a');
+});
+
+test('another run is refused while the holder is alive and takes over once it goes stale', async () => {
+  await audit('runId=run-a');
+  assert.equal((await audit('runId=run-b')).status, 423);
+
+  mock.timers.tick(6 * MINUTE); // past the heartbeat window, inside the lock TTL
+  assert.equal((await audit('action=status')).body.stale, true);
+  assert.equal((await audit('runId=run-b')).status, 200);
+  assert.equal((await audit('action=status')).body.holder, 'run-b');
+  assert.equal((await runOf('run-a')).status, 'abandoned');
+});
+
+test('only one of several slices racing for a stale lock takes it over', async () => {
+  await audit('runId=run-a');
+  mock.timers.tick(6 * MINUTE);
+
+  const [b, c] = await Promise.all([audit('runId=run-b'), audit('runId=run-c')]);
+  assert.deepEqual([b.status, c.status].sort(), [200, 423]);
+  const winner = b.status === 200 ? 'run-b' : 'run-c';
+  assert.equal((await audit('action=status')).body.holder, winner);
+});
+
+test('a chained slice of a run cancelled mid-flight settles the run', async () => {
+  await audit('runId=run-a');
+  const { body } = await audit('action=cancel', { operator: true });
+  assert.equal(body.running, true);
+  assert.equal((await runOf('run-a')).status, 'running');
+
+  assert.equal((await audit('runId=run-a')).body.cancelled, true);
+  assert.equal((await runOf('run-a')).status, 'cancelled');
+  assert.equal((await audit('action=status')).body.holder, null);
+});
+
+test('operator actions need the operator secret, not just cron access', async () => {
+  await audit('runId=run-a');
+  for (const action of ['cancel', 'reset', 'resume', 'force-unlock']) {
+    const res = await GET(new Request(`https://app.test/api/audit-bundles?action=${action}`, { headers: { 'x-vercel-cron': '1' } }));
+    assert.equal(res.status, 401, action);
+  }
+  assert.equal((await audit('action=status')).body.holder, 'run-a');
+});
+
+test('resume is refused while any live holder has the lock, including the cursor\'s own run', async () => {
+  await audit('runId=run-a');
+  const { status, body } = await audit('action=resume', { operator: true });
+  assert.equal(status, 423);
+  assert.equal(body.holder, 'run-a');
+  assert.equal((await audit('action=status')).body.holder, 'run-a');
+});
+
+test('resume takes over from a dead holder and continues the saved cursor', async () => {
+  await audit('runId=run-a');
+  await audit('action=cancel', { operator: true });
+  mock.timers.tick(6 * MINUTE);
+
+  const { status, body } = await audit('action=resume', { operator: true });
+  assert.equal(status, 200);
+  assert.equal(body.runId, 'run-a');
+  const state = (await audit('action=status')).body;
+  assert.equal(state.holder, 'run-a');
+  assert.equal(state.cancelRequested, null);
+  assert.equal(state.cursor.bulkOperationId, 'gid://shopify/BulkOperation/1');
+  assert.equal((await runOf('run-a')).status, 'running');
+
+  // the next slice is chained after the response
+  await runAfter();
+  assert.ok(requests.some(u => u.startsWith('https://app.test/api/audit-bundles?loop=1&runId=run-a')));
+});
+
+test('resume without a saved cursor is a 404', async () => {
+  assert.equal((await audit('action=resume', { operator: true })).status, 404);
+});
+
+test('cancelling a run nothing is executing settles it straight away', async () => {
+  await audit('runId=run-a');
+  await audit('action=force-unlock', { operator: true });
+  assert.equal((await runOf('run-a')).status, 'abandoned');
+  assert.equal((await audit('action=status')).body.holder, null);
+
+  const { body } = await audit('action=cancel&runId=run-a', { operator: true });
+  assert.equal(body.running, false);
+  assert.equal((await runOf('run-a')).status, 'cancelled');
+  assert.equal((await audit('runId=run-a')).body.cancelled, true); // a chained slice stops
+});
+
+test('reset clears the lock and cursor and stops the running run', async () => {
+  await audit('runId=run-a');
+  const { body } = await audit('action=reset', { operator: true });
+  assert.deepEqual(body.stopped, ['run-a']);
+  const state = (await audit('action=status')).body;
+  assert.equal(state.holder, null);
+  assert.equal(state.cursor, null);
+  assert.equal((await runOf('run-a')).status, 'reset');
+});
@@ -0,0 +1,26 @@
+// tests/helpers/hooks.mjs — module hooks for `node --test`: resolve the "@/" alias the way
+// jsconfig/tsconfig does, load the app's .js files as ES modules, and swap the Upstash client
+// and next/server's after() for the in-memory doubles next to this file.
+import { existsSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const ROOT_URL = pathToFileURL(ROOT).href;
+const HELPER = (name) => new URL(`./${name}`, import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@upstash/redis') return { url: HELPER('memory-redis.mjs'), shortCircuit: true };
+  if (specifier === 'next/server') return { url: HELPER('next-server.mjs'), shortCircuit: true };
+  if (specifier.startsWith('@/')) {
+    const path = ROOT + specifier.slice(2);
+    return { url: pathToFileURL(existsSync(`${path}.js`) ? `${path}.js` : path).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(ROOT_URL) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+    return { ...(await nextLoad(url, { ...context, format: 'module' })), format: 'module' };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,211 @@
+// tests/helpers/memory-redis.mjs — in-memory stand-in for @upstash/redis covering the commands
+// lib/* uses. Values round-trip through JSON like the REST client's automatic (de)serialization;
+// expiry is checked lazily. Every client shares one store; flushRedis() empties it between tests.
+const store = new Map();   // key → { type: 'string'|'list'|'set'|'hash'|'zset', value }
+const expiry = new Map();  // key → ms epoch
+
+const enc = (v) => JSON.stringify(v);
+const dec = (v) => (v == null ? null : JSON.parse(v));
+const bound = (x) => (x === '-inf' ? -Infinity : x === '+inf' ? Infinity : Number(x));
+// Redis index ranges: inclusive, negative counts from the end, out-of-range means empty
+const slice = (arr, start, stop) => arr.slice(
+  start < 0 ? Math.max(arr.length + start, 0) : start,
+  Math.max((stop < 0 ? arr.length + stop : stop) + 1, 0),
+);
+const globRe = (match) => new RegExp(`^${match.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+function alive(key) {
+  if (expiry.has(key) && expiry.get(key) <= Date.now()) { store.delete(key); expiry.delete(key); }
+  return store.has(key);
+}
+function entry(key, type, create) {
+  if (alive(key)) {
+    const e = store.get(key);
+    if (e.type !== type) throw new Error(`WRONGTYPE ${key} holds a ${e.type}, not a ${type}`);
+    return e.value;
+  }
+  if (!create) return null;
+  const value = create();
+  store.set(key, { type, value });
+  return value;
+}
+const sortedZ = (key) => [...(entry(key, 'zset') || new Map())].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1));
+
+export function flushRedis() {
+  store.clear();
+  expiry.clear();
+}
+
+export class Redis {
+  /* ---- strings / keys ---- */
+  async ping() { return 'PONG'; }
+  async get(k) { return alive(k) ? dec(entry(k, 'string')) : null; }
+  async set(k, v, { nx, xx, ex, px } = {}) {
+    if ((nx && alive(k)) || (xx && !alive(k))) return null;
+    store.set(k, { type: 'string', value: enc(v) });
+    if (ex || px) expiry.set(k, Date.now() + (px || ex * 1000)); else expiry.delete(k);
+    return 'OK';
+  }
+  async del(...keys) {
+    let n = 0;
+    for (const k of keys.flat()) { if (alive(k)) n++; store.delete(k); expiry.delete(k); }
+    return n;
+  }
+  async exists(...keys) { return keys.flat().filter(alive).length; }
+  async expire(k, seconds) {
+    if (!alive(k)) return 0;
+    expiry.set(k, Date.now() + seconds * 1000);
+    return 1;
+  }
+  async ttl(k) {
+    if (!alive(k)) return -2;
+    return expiry.has(k) ? Math.ceil((expiry.get(k) - Date.now()) / 1000) : -1;
+  }
+  async incrby(k, by) {
+    const n = (alive(k) ? Number(dec(entry(k, 'string'))) : 0) + by;
+    store.set(k, { type: 'string', value: enc(n) });
+    return n;
+  }
+  async incr(k) { return this.incrby(k, 1); }
+  async type(k) { return alive(k) ? store.get(k).type : 'none'; }
+  async scan(cursor, { match = '*' } = {}) {
+    const re = globRe(match);
+    return ['0', [...store.keys()].filter(k => alive(k) && re.test(k))];
+  }
+  async keys(match = '*') { return (await this.scan('0', { match }))[1]; }
+
+  /* ---- lists ---- */
+  async lpush(k, ...vals) { const l = entry(k, 'list', () => []); for (const v of vals) l.unshift(enc(v)); return l.length; }
+  async rpush(k, ...vals) { const l = entry(k, 'list', () => []); for (const v of vals) l.push(enc(v)); return l.length; }
+  async llen(k) { return entry(k, 'list')?.length || 0; }
+  async lrange(k, start, stop) { return slice(entry(k, 'list') || [], start, stop).map(dec); }
+  async ltrim(k, start, stop) {
+    const l = entry(k, 'list');
+    if (l) store.set(k, { type: 'list', value: slice(l, start, stop) });
+    return 'OK';
+  }
+  async lrem(k, _count, v) {
+    const l = entry(k, 'list');
+    if (!l) return 0;
+    const kept = l.filter(x => x !== enc(v));
+    store.set(k, { type: 'list', value: kept });
+    return l.length - kept.length;
+  }
+
+  /* ---- sets ---- */
+  async sadd(k, ...members) {
+    const s = entry(k, 'set', () => new Set());
+    let n = 0;
+    for (const m of members.flat()) if (!s.has(String(m))) { s.add(String(m)); n++; }
+    return n;
+  }
+  async srem(k, ...members) {
+    const s = entry(k, 'set');
+    let n = 0;
+    for (const m of members.flat()) if (s?.delete(String(m))) n++;
+    return n;
+  }
+  async smembers(k) { return [...(entry(k, 'set') || [])]; }
+  async sismember(k, m) { return entry(k, 'set')?.has(String(m)) ? 1 : 0; }
+  async scard(k) { return entry(k, 'set')?.size || 0; }
+
+  /* ---- hashes ---- */
+  async hset(k, fields) {
+    const h = entry(k, 'hash', () => new Map());
+    let n = 0;
+    for (const [f, v] of Object.entries(fields)) { if (!h.has(f)) n++; h.set(f, enc(v)); }
+    return n;
+  }
+  async hsetnx(k, f, v) {
+    const h = entry(k, 'hash', () => new Map());
+    if (h.has(f)) return 0;
+    h.set(f, enc(v));
+    return 1;
+  }
+  async hget(k, f) { return dec(entry(k, 'hash')?.get(f)); }
+  async hmget(k, ...fields) {
+    const h = entry(k, 'hash');
+    if (!h) return null;
+    return Object.fromEntries(fields.flat().map(f => [f, dec(h.get(f))]));
+  }
+  async hgetall(k) {
+    const h = entry(k, 'hash');
+    return h?.size ? Object.fromEntries([...h].map(([f, v]) => [f, dec(v)])) : null;
+  }
+  async hdel(k, ...fields) {
+    const h = entry(k, 'hash');
+    let n = 0;
+    for (const f of fields.flat()) if (h?.delete(f)) n++;
+    return n;
+  }
+  async hlen(k) { return entry(k, 'hash')?.size || 0; }
+  async hkeys(k) { return [...(entry(k, 'hash')?.keys() || [])]; }
+  async hincrby(k, f, by) {
+    const h = entry(k, 'hash', () => new Map());
+    const n = Number(dec(h.get(f)) || 0) + by;
+    h.set(f, enc(n));
+    return n;
+  }
+
+  /* ---- sorted sets ---- */
+  async zadd(k, ...args) {
+    const opts = args[0] && !('member' in args[0]) ? args.shift() : {};
+    const z = entry(k, 'zset', () => new Map());
+    let n = 0;
+    for (const { score, member } of args) {
+      const m = enc(member);
+      if (opts.nx && z.has(m)) continue;
+      if (!z.has(m)) n++;
+      z.set(m, Number(score));
+    }
+    return n;
+  }
+  async zrem(k, ...members) {
+    const z = entry(k, 'zset');
+    let n = 0;
+    for (const m of members.flat()) if (z?.delete(enc(m))) n++;
+    return n;
+  }
+  async zscore(k, m) { return entry(k, 'zset')?.get(enc(m)) ?? null; }
+  async zcard(k) { return entry(k, 'zset')?.size || 0; }
+  async zcount(k, min, max) {
+    return sortedZ(k).filter(([, s]) => s >= bound(min) && s <= bound(max)).length;
+  }
+  async zrange(k, start, stop, { byScore, rev, offset, count, withScores } = {}) {
+    let rows = sortedZ(k);
+    if (byScore) {
+      rows = rows.filter(([, s]) => s >= bound(start) && s <= bound(stop));
+      if (rev) rows.reverse();
+      if (offset != null) rows = rows.slice(offset, offset + count);
+    } else {
+      if (rev) rows.reverse();
+      rows = slice(rows, start, stop);
+    }
+    return withScores ? rows.flatMap(([m, s]) => [dec(m), s]) : rows.map(([m]) => dec(m));
+  }
+  async zremrangebyscore(k, min, max) {
+    const z = entry(k, 'zset');
+    let n = 0;
+    for (const [m, s] of sortedZ(k)) if (s >= bound(min) && s <= bound(max)) { z.delete(m); n++; }
+    return n;
+  }
+  async zremrangebyrank(k, start, stop) {
+    const z = entry(k, 'zset');
+    const doomed = slice(sortedZ(k), start, stop);
+    for (const [m] of doomed) z.delete(m);
+    return doomed.length;
+  }
+
+  /* ---- batches ---- */
+  // Commands queue up and run in order on exec(); nothing else interleaves in a single process.
+  multi() {
+    const ops = [];
+    const tx = new Proxy({}, {
+      get: (_, cmd) => cmd === 'exec'
+        ? async () => { const out = []; for (const [c, a] of ops) out.push(await this[c](...a)); return out; }
+        : (...args) => { ops.push([cmd, args]); return tx; },
+    });
+    return tx;
+  }
+  pipeline() { return this.multi(); }
+}
@@ -0,0 +1,16 @@
+// tests/helpers/next-server.mjs — next/server with after() collected instead of scheduled, so a
+// test can run the deferred work itself (runAfter) outside a request scope.
+export * from 'next/server.js';
+
+const pending = [];
+
+export function after(task) {
+  pending.push(task);
+}
+
+/** Run (and forget) everything after() was handed so far */
+export async function runAfter() {
+  const tasks = pending.splice(0);
+  for (const task of tasks) await (typeof task === 'function' ? task() : task);
+  return tasks.length;
+}
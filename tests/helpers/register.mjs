@@ -0,0 +1,4 @@
+// tests/helpers/register.mjs — `node --import ./tests/helpers/register.mjs --test tests/`
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
@@ -0,0 +1,180 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushRedis } from './helpers/memory-redis.mjs';
+
+process.env.KLAVIYO_API_KEY = 'test-key';
+process.env.KLAVIYO_MAX_RETRIES = '0';
+process.env.KLAVIYO_BACK_IN_STOCK_ALERT_LIST_ID = 'ALERTS';
+process.env.NOTIFY_MAX_ATTEMPTS = '3';
+process.env.NOTIFY_BACKOFF_BASE_MS = '1000';
+const { redis } = await import('@/lib/redis');
+const { entryKey, upsertSubscriber, getSubscribersForProduct } = await import('@/lib/waitlist');
+const {
+  enqueueMessages, dueMessages, getMessage, deliverMessages, outboxStats,
+  listDeadLetters, requeueDeadLetter, discardDeadLetter,
+} = await import('@/lib/notify-outbox');
+
+/* ----------------- Klaviyo double ----------------- */
+// rejectEmails: subscription request 400s when it includes one; failEvents: emails whose event the
+// bulk job reports as failed; eventJobStatus: the job's final status
+let klaviyo;
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+async function fakeKlaviyo(url, opts = {}) {
+  const path = new URL(url).pathname.replace(/^\/api\//, '');
+  const body = opts.body ? JSON.parse(opts.body) : null;
+  if (path === 'profile-subscription-bulk-create-jobs/') {
+    const emails = body.data.attributes.profiles.data.map(p => p.attributes.email);
+    if (emails.some(e => klaviyo.rejectEmails.includes(e))) return json({ errors: [{ code: 'invalid', detail: 'bad email' }] }, 400);
+    return new Response('', { status: 202 });
+  }
+  if (path === 'profile-bulk-import-jobs/') return json({ data: { id: 'import-1' } }, 202);
+  if (path === 'profile-bulk-import-jobs/import-1/') return json({ data: { id: 'import-1', attributes: { status: 'complete', failed_count: 0 } } });
+  if (path === 'event-bulk-create-jobs/') {
+    const events = body.data.attributes['events-bulk-create'].data;
+    klaviyo.lastEvents = events.map(e => e.attributes.profile.data.attributes.email);
+    klaviyo.uniqueIds.push(...events.map(e => e.attributes.events.data[0].attributes.unique_id));
+    return json({ data: { id: 'events-1' } }, 202);
+  }
+  if (path === 'event-bulk-create-jobs/events-1/') {
+    const failed = klaviyo.lastEvents.filter(e => klaviyo.failEvents.includes(e)).length;
+    return json({ data: { id: 'events-1', attributes: { status: klaviyo.eventJobStatus, failed_count: failed } } });
+  }
+  if (path === 'event-bulk-create-jobs/events-1/import-errors/') {
+    const data = klaviyo.lastEvents.flatMap((e, i) => klaviyo.failEvents.includes(e)
+      ? [{ attributes: { code: 'invalid', detail: 'rejected', source: { pointer: `/data/attributes/events-bulk-create/data/${i}` } } }]
+      : []);
+    return json({ data, links: { next: null } });
+  }
+  return json({ errors: [{ detail: `unexpected ${path}` }] }, 404);
+}
+
+/* ----------------- Fixtures ----------------- */
+const PRODUCT = { id: '100', handle: 'tee' };
+const message = (email) => ({ jobId: 'job-1', pid: PRODUCT.id, title: 'Tee', handle: 'tee', source: 'test', key: entryKey({ email }), sub: { email } });
+
+async function queue(...emails) {
+  for (const email of emails) await upsertSubscriber(PRODUCT, { email, notified: false, subscribed_at: new Date().toISOString() });
+  return enqueueMessages(emails.map(message));
+}
+const outcomes = (results) => Object.fromEntries(results.map(r => [r.key.replace('email:', ''), r.outcome]));
+
+beforeEach(() => {
+  flushRedis();
+  klaviyo = { rejectEmails: [], failEvents: [], eventJobStatus: 'complete', lastEvents: [], uniqueIds: [] };
+  mock.method(globalThis, 'fetch', fakeKlaviyo);
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T12:00:00Z') });
+});
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+test('enqueueing the same job and subscriber twice keeps one message', async () => {
+  const [id] = await queue('a@b.co');
+  assert.deepEqual(await enqueueMessages([message('a@b.co')]), [id]);
+  assert.deepEqual(await dueMessages(), [id]);
+  assert.equal((await getMessage(id)).attempts, 0);
+});
+
+test('delivered messages leave the outbox and their subscribers are marked notified', async () => {
+  const ids = await queue('a@b.co', 'c@d.co');
+  assert.deepEqual(outcomes(await deliverMessages(ids)), { 'a@b.co': 'sent', 'c@d.co': 'sent' });
+  assert.deepEqual(await outboxStats(), { queued: 0, due: 0, dead: 0 });
+  assert.equal(await getMessage(ids[0]), null);
+  assert.ok((await getSubscribersForProduct(PRODUCT)).merged.every(s => s.notified));
+  assert.deepEqual(klaviyo.uniqueIds, ids.map(id => `bis:${id}`));
+});
+
+test('an event Klaviyo did not create is retried with backoff; the rest are sent', async () => {
+  klaviyo.failEvents = ['c@d.co'];
+  const ids = await queue('a@b.co', 'c@d.co');
+  assert.deepEqual(outcomes(await deliverMessages(ids)), { 'a@b.co': 'sent', 'c@d.co': 'retry' });
+
+  const retry = await getMessage(ids[1]);
+  assert.equal(retry.attempts, 1);
+  assert.match(retry.lastError, /rejected/);
+  assert.deepEqual(await dueMessages(), []);
+  mock.timers.tick(1000);
+  assert.deepEqual(await dueMessages(), [ids[1]]);
+
+  const subs = (await getSubscribersForProduct(PRODUCT)).merged;
+  assert.deepEqual(subs.filter(s => s.notified).map(s => s.email), ['a@b.co']);
+});
+
+test('an event job still pending at the deadline is settled by a later pass, not resent', async () => {
+  klaviyo.eventJobStatus = 'processing';
+  const ids = await queue('a@b.co');
+  assert.deepEqual(outcomes(await deliverMessages(ids, { deadline: Date.now() + 1 })), { 'a@b.co': 'pending' });
+
+  const parked = await getMessage(ids[0]);
+  assert.equal(parked.attempts, 0);
+  assert.equal(parked.eventJob.id, 'events-1');
+  assert.equal((await getSubscribersForProduct(PRODUCT)).merged[0].notified, false);
+  assert.deepEqual(await dueMessages(), []);
+
+  klaviyo.eventJobStatus = 'complete';
+  mock.timers.tick(30 * 1000);
+  assert.deepEqual(outcomes(await deliverMessages(await dueMessages())), { 'a@b.co': 'sent' });
+  assert.equal(klaviyo.uniqueIds.length, 1); // the event went to Klaviyo once
+  assert.ok((await getSubscribersForProduct(PRODUCT)).merged[0].notified);
+});
+
+test('messages a passed deadline leaves unattempted stay due', async () => {
+  const ids = await queue('a@b.co');
+  assert.deepEqual(await deliverMessages(ids, { deadline: Date.now() }), []);
+  assert.deepEqual(await dueMessages(), ids);
+  assert.equal((await getMessage(ids[0])).attempts, 0);
+});
+
+test('backoff doubles per attempt and the last attempt dead-letters the message', async () => {
+  klaviyo.eventJobStatus = 'failed';
+  const [id] = await queue('a@b.co');
+  await deliverMessages([id]);
+  mock.timers.tick(1000);
+  assert.equal((await deliverMessages(await dueMessages()))[0].outcome, 'retry');
+  mock.timers.tick(1000);
+  assert.deepEqual(await dueMessages(), []); // second retry waits 2s
+  mock.timers.tick(1000);
+  assert.equal((await deliverMessages(await dueMessages()))[0].outcome, 'dead');
+
+  const { total, messages } = await listDeadLetters();
+  assert.equal(total, 1);
+  assert.equal(messages[0].status, 'dead');
+  assert.equal(messages[0].attempts, 3);
+  assert.deepEqual(await outboxStats(), { queued: 0, due: 0, dead: 1 });
+});
+
+test('a subscriber Klaviyo rejects outright is dead-lettered without holding back the rest', async () => {
+  klaviyo.rejectEmails = ['bad@b.co'];
+  const ids = await queue('a@b.co', 'bad@b.co', 'c@d.co');
+  assert.deepEqual(outcomes(await deliverMessages(ids)), { 'a@b.co': 'sent', 'bad@b.co': 'dead', 'c@d.co': 'sent' });
+  assert.equal((await getMessage(ids[1])).attempts, 1);
+});
+
+test('dead letters can be requeued with a fresh budget or discarded', async () => {
+  klaviyo.rejectEmails = ['a@b.co', 'c@d.co'];
+  const ids = await queue('a@b.co', 'c@d.co');
+  await deliverMessages(ids);
+  assert.equal((await listDeadLetters()).total, 2);
+
+  assert.equal(await requeueDeadLetter(ids[0]), true);
+  assert.equal(await requeueDeadLetter(ids[0]), false);
+  const requeued = await getMessage(ids[0]);
+  assert.equal(requeued.status, 'queued');
+  assert.equal(requeued.attempts, 0);
+  assert.deepEqual(await dueMessages(), [ids[0]]);
+
+  assert.equal(await discardDeadLetter(ids[1]), true);
+  assert.equal(await getMessage(ids[1]), null);
+  assert.equal((await listDeadLetters()).total, 0);
+});
+
+test('a message claimed by another deliverer is skipped', async () => {
+  const [id] = await queue('a@b.co');
+  await redis.set(`locks:notify:msg:${id}`, Date.now(), { nx: true, ex: 60 });
+  assert.deepEqual(await deliverMessages([id]), []);
+  assert.deepEqual(await dueMessages(), [id]);
+});
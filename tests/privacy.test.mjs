@@ -0,0 +1,132 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushRedis } from './helpers/memory-redis.mjs';
+
+process.env.SHOPIFY_STORE = 'shop.myshopify.com';
+process.env.KLAVIYO_API_KEY = 'test-key';
+process.env.KLAVIYO_MAX_RETRIES = '0';
+const { redis } = await import('@/lib/redis');
+const { entryKey, upsertSubscriber, getSubscriptionsForEmail, getSubscribersForProduct } = await import('@/lib/waitlist');
+const { appendConsent, getConsentHistory } = await import('@/lib/consent-ledger');
+const { enqueueMessages, outboxStats } = await import('@/lib/notify-outbox');
+const { handleDataRequest, handleCustomerRedact, handleShopRedact, getPrivacyRequest } = await import('@/lib/privacy');
+
+/* ----------------- Klaviyo double ----------------- */
+let deletions, klaviyoStatus;
+async function fakeKlaviyo(url, opts = {}) {
+  if (!String(url).endsWith('/data-privacy-deletion-jobs/')) return new Response('', { status: 404 });
+  deletions.push(JSON.parse(opts.body).data.attributes.profile.data.attributes);
+  return klaviyoStatus === 202
+    ? new Response('', { status: 202 })
+    : new Response(JSON.stringify({ errors: [{ code: 'invalid', detail: 'bad profile' }] }), { status: klaviyoStatus });
+}
+
+/* ----------------- Fixtures ----------------- */
+const SHOP = 'shop.myshopify.com';
+const customer = { id: 7, email: 'Gone@Example.com', phone: '+1 (555) 555-0100' };
+const redact = (overrides = {}) => handleCustomerRedact({ shop_domain: SHOP, customer, ...overrides }, { webhookId: 'wh-redact' });
+
+async function seed() {
+  await upsertSubscriber({ id: '1', handle: 'tee' }, { email: 'gone@example.com', phone: '+15555550100', sms_consent: true });
+  await upsertSubscriber({ id: '1', handle: 'tee' }, { email: 'keep@example.com' });
+  await upsertSubscriber({ id: '2', handle: 'cap' }, { email: 'alias@example.com', phone: '5555550100' });
+  await appendConsent({ action: 'signup', email: 'gone@example.com', phone: '+15555550100', email_consent: true, sms_consent: true, product_id: '1' });
+  await appendConsent({ action: 'signup', email: 'keep@example.com', email_consent: true, product_id: '1' });
+  await enqueueMessages(['gone@example.com', 'keep@example.com'].map(email => ({
+    jobId: 'job-1', pid: '1', title: 'Tee', handle: 'tee', source: 'test', key: entryKey({ email }), sub: { email },
+  })));
+  // A dry-run audit report listing who it would notify
+  await redis.set('audit:report:run-1', { runId: 'run-1', notifications: 2 }, { ex: 600 });
+  await redis.rpush('audit:report:run-1:items', {
+    productId: '1', status: 'ok', tags: null, inventory: [],
+    notify: ['gone@example.com', 'keep@example.com'].map(email => ({ email, variant_id: null, sms: false })),
+  });
+  await redis.expire('audit:report:run-1:items', 600);
+}
+
+beforeEach(async () => {
+  flushRedis();
+  deletions = [];
+  klaviyoStatus = 202;
+  mock.method(globalThis, 'fetch', fakeKlaviyo);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  await seed();
+});
+afterEach(() => mock.restoreAll());
+
+test('customers/redact erases the customer by email and phone and nobody else', async () => {
+  const report = await redact();
+  assert.equal(report.result.entries, 2);
+  assert.equal(report.result.notifications, 1);
+  assert.equal(report.result.klaviyo, 'deletion requested');
+
+  assert.deepEqual(await getSubscriptionsForEmail('gone@example.com'), []);
+  assert.deepEqual((await getSubscribersForProduct({ id: '1' })).merged.map(s => s.email), ['keep@example.com']);
+  assert.deepEqual((await getSubscribersForProduct({ id: '2' })).merged, []);
+  assert.deepEqual(await getConsentHistory({ email: 'gone@example.com', phone: '+15555550100' }), []);
+  assert.equal((await getConsentHistory({ email: 'keep@example.com' })).length, 1);
+  assert.equal((await outboxStats()).queued, 1);
+});
+
+test('nothing personal is left in Redis after a redact, and the report holds none', async () => {
+  await redact();
+  for (const key of await redis.keys('*')) {
+    const type = await redis.type(key);
+    const value = type === 'string' ? await redis.get(key)
+      : type === 'hash' ? await redis.hgetall(key)
+      : type === 'list' ? await redis.lrange(key, 0, -1)
+      : type === 'set' ? await redis.smembers(key)
+      : await redis.zrange(key, 0, -1);
+    assert.doesNotMatch(`${key} ${JSON.stringify(value)}`, /gone@|5555550100/i, key);
+  }
+});
+
+test('the customer is dropped from dry-run audit reports, which keep their expiry', async () => {
+  assert.equal((await redact()).result.auditReportEntries, 1);
+  const [item] = await redis.lrange('audit:report:run-1:items', 0, -1);
+  assert.deepEqual(item.notify.map(n => n.email), ['keep@example.com']);
+  assert.equal(item.productId, '1');
+  assert.equal(await redis.ttl('audit:report:run-1:items'), 600);
+});
+
+test('the Klaviyo profile is deleted by email and by phone', async () => {
+  await redact();
+  assert.deepEqual(deletions, [{ email: 'gone@example.com' }, { phone_number: '+15555550100' }]);
+});
+
+test('a failed Klaviyo deletion is reported and thrown so Shopify retries', async () => {
+  klaviyoStatus = 400;
+  await assert.rejects(redact(), /Klaviyo profile deletion failed/);
+  const { report } = await getPrivacyRequest('wh-redact');
+  assert.match(report.result.klaviyo, /^failed: /);
+  assert.deepEqual(await getSubscriptionsForEmail('gone@example.com'), []); // local erasure still done
+
+  klaviyoStatus = 202;
+  assert.equal((await redact()).result.klaviyo, 'deletion requested');
+});
+
+test('requests for another shop are recorded and ignored', async () => {
+  const report = await redact({ shop_domain: 'other.myshopify.com' });
+  assert.deepEqual(report.result, { skipped: 'other shop' });
+  assert.equal((await getSubscriptionsForEmail('gone@example.com')).length, 1);
+  assert.deepEqual(deletions, []);
+});
+
+test('a pending data-request bundle is erased along with the customer', async () => {
+  await handleDataRequest({ shop_domain: SHOP, customer, data_request: { id: 9001 } }, { webhookId: 'wh-data' });
+  const { bundle } = await getPrivacyRequest('9001');
+  assert.equal(bundle.waitlist_entries.length, 2);
+  assert.equal(bundle.consent_history.length, 1);
+
+  assert.equal((await redact()).result.dataBundles, 1);
+  assert.equal((await getPrivacyRequest('9001')).bundle, null);
+});
+
+test('shop/redact removes every waitlist key but keeps the privacy reports', async () => {
+  await redact();
+  await handleShopRedact({ shop_domain: SHOP }, { webhookId: 'wh-shop' });
+  const left = await redis.keys('*');
+  assert.ok(left.length);
+  assert.ok(left.every(k => k.startsWith('privacy:request')), left.join(', '));
+});
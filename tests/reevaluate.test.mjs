@@ -0,0 +1,78 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushRedis } from './helpers/memory-redis.mjs';
+
+process.env.SHOPIFY_STORE = 'test-shop.myshopify.com';
+process.env.SHOPIFY_ADMIN_API_KEY = 'shpat_test';
+process.env.SHOPIFY_MAX_RETRIES = '0';
+process.env.REEVALUATE_RETRY_BASE_MS = '1000';
+process.env.REEVALUATE_MAX_ATTEMPTS = '2';
+const { redis } = await import('@/lib/redis');
+const { queueReevaluation, drainReevaluations } = await import('@/lib/reevaluate');
+
+/* ----------------- Shopify double ----------------- */
+// Product reads fail (the outage that failed the webhook); inventory items resolve to nothing
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+async function fakeShopify(url) {
+  if (new URL(url).pathname.endsWith('/graphql.json')) return json({ data: { inventoryItem: null } });
+  return json({ errors: 'Not available' }, 404);
+}
+
+// target → due time
+async function queued() {
+  const flat = await redis.zrange('audit:reevaluate', 0, -1, { withScores: true });
+  return Object.fromEntries(flat.flatMap((v, i) => (i % 2 ? [] : [[v, flat[i + 1]]])));
+}
+
+// One forward-only clock for the file: winding Date back would stall the Shopify throttle
+mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+beforeEach(() => {
+  flushRedis();
+  mock.timers.tick(60 * 60 * 1000);
+  mock.method(globalThis, 'fetch', fakeShopify);
+  for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+});
+afterEach(() => mock.restoreAll());
+
+test('queueing keeps the earlier due time; the item is queued when no product was resolved', async () => {
+  const t0 = Date.now();
+  assert.equal(await queueReevaluation({ productId: '100' }), true);
+  mock.timers.tick(5000);
+  await queueReevaluation({ productId: '100' });
+  await queueReevaluation({ inventoryItemId: '555' });
+  assert.equal(await queueReevaluation({}), false);
+
+  assert.deepEqual(await queued(), { 'product:100': t0, 'item:555': t0 + 5000 });
+});
+
+test('a failed re-run backs off, then gives up after the attempt limit', async () => {
+  await queueReevaluation({ productId: '100' });
+
+  let r = await drainReevaluations();
+  assert.deepEqual(r, { evaluated: 0, notified: 0, failed: 1, dropped: 0, remaining: 1 });
+  assert.equal((await queued())['product:100'], Date.now() + 1000);
+
+  // not due yet
+  r = await drainReevaluations();
+  assert.equal(r.failed, 0);
+  assert.equal(r.remaining, 1);
+
+  mock.timers.tick(1000);
+  r = await drainReevaluations();
+  assert.deepEqual(r, { evaluated: 0, notified: 0, failed: 1, dropped: 1, remaining: 0 });
+  assert.equal(await redis.hget('audit:reevaluate:attempts', 'product:100'), null);
+});
+
+test('an inventory item that no longer resolves is dropped without a retry', async () => {
+  await queueReevaluation({ inventoryItemId: '555' });
+  const r = await drainReevaluations();
+  assert.deepEqual(r, { evaluated: 1, notified: 0, failed: 0, dropped: 0, remaining: 0 });
+});
+
+test('the drain stops at its deadline', async () => {
+  await queueReevaluation({ productId: '100' });
+  const r = await drainReevaluations({ deadline: Date.now() });
+  assert.equal(r.failed, 0);
+  assert.equal(r.remaining, 1);
+});
@@ -0,0 +1,59 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SHOPIFY_WEBHOOK_SECRETS = 'new-secret,old-secret';
+const { computeShopifyHmac, matchShopifyHmac, verifyShopifyWebhook, webhookRejected } = await import('@/lib/shopify-webhook');
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+const delivery = (body, hmac, headers = {}) => new Request('https://app.test/api/webhooks', {
+  method: 'POST',
+  body,
+  headers: {
+    ...(hmac ? { 'x-shopify-hmac-sha256': hmac } : {}),
+    'x-shopify-topic': 'products/update',
+    'x-shopify-webhook-id': 'wh-1',
+    'x-shopify-shop-domain': 'shop.myshopify.com',
+    ...headers,
+  },
+});
+
+test('matchShopifyHmac reports which configured secret signed the body', () => {
+  const body = '{"id":1}';
+  assert.equal(matchShopifyHmac(body, computeShopifyHmac(body, 'new-secret')), 0);
+  assert.equal(matchShopifyHmac(body, computeShopifyHmac(body, 'old-secret')), 1);
+  assert.equal(matchShopifyHmac(body, computeShopifyHmac(body, 'other')), -1);
+  assert.equal(matchShopifyHmac(body, computeShopifyHmac('{"id":2}', 'new-secret')), -1);
+  assert.equal(matchShopifyHmac(body, 'not-base64!'), -1);
+  assert.equal(matchShopifyHmac(body, ''), -1);
+});
+
+test('a signed delivery resolves its payload and headers', async () => {
+  const body = '{"inventory_item_id":42}';
+  const out = await verifyShopifyWebhook(delivery(body, computeShopifyHmac(body, 'old-secret')));
+  assert.equal(out.ok, true);
+  assert.equal(out.secretIndex, 1);
+  assert.deepEqual(out.payload, { inventory_item_id: 42 });
+  assert.equal(out.rawBody, body);
+  assert.equal(out.webhookId, 'wh-1');
+  assert.equal(out.topic, 'products/update');
+});
+
+test('unsigned, mis-signed and unparseable deliveries are rejected with their reason', async () => {
+  const body = '{"id":1}';
+  assert.equal((await verifyShopifyWebhook(delivery(body))).reason, 'missing_hmac');
+  assert.equal((await verifyShopifyWebhook(delivery(body, computeShopifyHmac(body, 'other')))).reason, 'hmac_mismatch');
+  assert.equal((await verifyShopifyWebhook(delivery('not json', computeShopifyHmac('not json', 'new-secret')))).reason, 'invalid_json');
+  assert.equal((await verifyShopifyWebhook(delivery(body, 'x'), { secrets: [] })).reason, 'no_secret_configured');
+});
+
+test('webhookRejected maps reasons to status codes', () => {
+  assert.equal(webhookRejected({ reason: 'hmac_mismatch' }).status, 401);
+  assert.equal(webhookRejected({ reason: 'missing_hmac' }).status, 401);
+  assert.equal(webhookRejected({ reason: 'invalid_json' }).status, 400);
+  assert.equal(webhookRejected({ reason: 'no_secret_configured' }).status, 500);
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushRedis } from './helpers/memory-redis.mjs';
+
+process.env.WAITLIST_RATE_LIMIT_IP = '3/60';
+process.env.WAITLIST_RATE_LIMIT_EMAIL = '2/600';
+process.env.WAITLIST_RATE_LIMIT_PRODUCT = '3/60';
+const { redis } = await import('@/lib/redis');
+const { clientIp, limitIp, limitSignup, recordRejection, getRejectionMetrics } = await import('@/lib/signup-guard');
+
+const hit = async (n, fn) => { let last; for (let i = 0; i < n; i++) last = await fn(); return last; };
+
+beforeEach(() => {
+  flushRedis();
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T12:00:00Z') });
+});
+afterEach(() => mock.timers.reset());
+
+test('an IP gets max requests per window, then a retryAfter until the oldest ages out', async () => {
+  assert.equal(await hit(3, () => limitIp('203.0.113.9')), null);
+  assert.deepEqual(await limitIp('203.0.113.9'), { reason: 'rate_limited_ip', retryAfter: 60 });
+  assert.equal(await limitIp('198.51.100.1'), null); // other IPs have their own window
+
+  mock.timers.tick(20 * 1000);
+  assert.equal((await limitIp('203.0.113.9')).retryAfter, 40);
+  mock.timers.tick(41 * 1000);
+  assert.equal(await limitIp('203.0.113.9'), null);
+});
+
+test('requests without a known IP are never pooled into one bucket', async () => {
+  assert.equal(await hit(10, () => limitIp('unknown')), null);
+  assert.equal(await limitIp(''), null);
+});
+
+test('signups are limited per email (case-insensitively) and per product', async () => {
+  await limitSignup({ email: 'A@b.co', pid: '1' });
+  await limitSignup({ email: 'a@b.co ', pid: '1' });
+  assert.equal((await limitSignup({ email: 'a@B.CO', pid: '1' })).reason, 'rate_limited_email');
+
+  assert.equal(await limitSignup({ email: 'c@d.co', pid: '1' }), null);
+  assert.equal((await limitSignup({ email: 'e@f.co', pid: '1' })).reason, 'rate_limited_product');
+  assert.equal(await limitSignup({ email: 'e@f.co', pid: '2' }), null);
+});
+
+test('rate-limit keys never contain the email', async () => {
+  await limitSignup({ email: 'private@b.co', pid: '1' });
+  assert.ok((await redis.keys('ratelimit:*')).length);
+  assert.ok(!(await redis.keys('*')).some(k => k.includes('private')));
+});
+
+test('clientIp prefers platform headers and otherwise the last forwarded hop', () => {
+  const req = (headers) => new Request('https://app.test/', { headers });
+  assert.equal(clientIp(req({ 'x-vercel-forwarded-for': '203.0.113.9, 10.0.0.1', 'x-real-ip': '10.0.0.2' })), '203.0.113.9');
+  assert.equal(clientIp(req({ 'x-real-ip': '203.0.113.9' })), '203.0.113.9');
+  assert.equal(clientIp(req({ 'x-forwarded-for': '6.6.6.6, 203.0.113.9' })), '203.0.113.9');
+  assert.equal(clientIp(req({})), 'unknown');
+});
+
+test('rejections are tallied per reason and day', async () => {
+  mock.method(console, 'warn', () => {});
+  await recordRejection('rate_limited_ip');
+  await recordRejection('rate_limited_ip');
+  await recordRejection('honeypot');
+  const { days, totals } = await getRejectionMetrics(2);
+  assert.deepEqual(totals, { rate_limited_ip: 2, honeypot: 1 });
+  assert.equal(days[0].day, '2026-03-01');
+  assert.deepEqual(days[1].counts, {});
+});
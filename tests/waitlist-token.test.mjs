@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+process.env.WAITLIST_TOKEN_SECRETS = 'current-secret, old-secret';
+const { signManageToken, verifyManageToken, signConfirmToken, verifyConfirmToken } = await import('@/lib/waitlist-token');
+
+// Same claims, signed with another secret
+const resign = (token, secret) => {
+  const [body] = token.split('.');
+  return `${body}.${createHmac('sha256', secret).update(body).digest('base64url')}`;
+};
+
+test('manage token round-trips the normalized email', () => {
+  const out = verifyManageToken(signManageToken('  Shopper@Example.COM '));
+  assert.equal(out.ok, true);
+  assert.equal(out.email, 'shopper@example.com');
+  assert.ok(Date.parse(out.expiresAt) > Date.now());
+});
+
+test('a link signed with a rotated-out secret still verifies; an unknown one does not', () => {
+  const token = signManageToken('a@b.co');
+  assert.equal(verifyManageToken(resign(token, 'old-secret')).ok, true);
+  assert.deepEqual(verifyManageToken(resign(token, 'someone-else')), { ok: false, reason: 'bad_signature' });
+});
+
+test('tampered, malformed and expired tokens are refused', () => {
+  const [body, sig] = signManageToken('a@b.co').split('.');
+  const forged = Buffer.from(JSON.stringify({ e: 'victim@b.co', x: 9999999999 })).toString('base64url');
+  assert.equal(verifyManageToken(`${forged}.${sig}`).reason, 'bad_signature');
+  assert.equal(verifyManageToken(body).reason, 'malformed');
+  assert.equal(verifyManageToken('').reason, 'malformed');
+  assert.equal(verifyManageToken(signManageToken('a@b.co', { ttlSeconds: -1 })).reason, 'expired');
+});
+
+test('confirm and manage tokens are not interchangeable', () => {
+  assert.equal(verifyConfirmToken(signConfirmToken('a@b.co')).ok, true);
+  assert.equal(verifyManageToken(signConfirmToken('a@b.co')).reason, 'wrong_purpose');
+  assert.equal(verifyConfirmToken(signManageToken('a@b.co')).reason, 'wrong_purpose');
+});
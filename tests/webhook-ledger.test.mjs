@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushRedis } from './helpers/memory-redis.mjs';
+
+const { redis } = await import('@/lib/redis');
+const {
+  claimWebhook, completeWebhook, failWebhook, getDelivery, recentDeliveries, processWebhookOnce,
+} = await import('@/lib/webhook-ledger');
+
+const delivery = (webhookId, overrides = {}) => ({
+  webhookId, topic: 'inventory_levels/update', shop: 'shop.myshopify.com',
+  triggeredAt: '2026-01-01T00:00:00Z', rawBody: '{"inventory_item_id":1}', ...overrides,
+});
+const winners = (claims) => claims.filter(c => !c.duplicate).map(c => c.webhookId);
+
+beforeEach(() => {
+  flushRedis();
+  mock.method(console, 'log', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+test('the first claim wins; the same webhook id again is a duplicate', async () => {
+  assert.equal((await claimWebhook(delivery('a'))).duplicate, false);
+  const again = await claimWebhook(delivery('a'));
+  assert.equal(again.duplicate, true);
+  assert.equal(again.previous.status, 'processing');
+  assert.equal((await recentDeliveries({ outcome: 'duplicate' })).deliveries.length, 1);
+});
+
+test('the same event re-sent under a new webhook id is a duplicate', async () => {
+  await claimWebhook(delivery('a'));
+  assert.equal((await claimWebhook(delivery('b'))).duplicate, true);
+  assert.equal((await claimWebhook(delivery('c', { rawBody: '{"inventory_item_id":2}' }))).duplicate, false);
+});
+
+test('a processed delivery stays a duplicate; a failed one can be claimed again', async () => {
+  const claim = await claimWebhook(delivery('a'));
+  await completeWebhook(claim, { ok: 1 });
+  assert.equal((await claimWebhook(delivery('a'))).duplicate, true);
+
+  const other = await claimWebhook(delivery('b', { rawBody: '{}' }));
+  await failWebhook(other, new Error('boom'));
+  assert.equal((await getDelivery('b')).error, 'boom');
+  assert.equal((await claimWebhook(delivery('b', { rawBody: '{}' }))).duplicate, false);
+  assert.equal((await getDelivery('b')).attempts, 2);
+});
+
+test('a processing claim past its lease is taken over', async () => {
+  await claimWebhook(delivery('a'));
+  const prev = await getDelivery('a');
+  await redis.set('webhooks:delivery:a', { ...prev, updatedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+  assert.equal((await claimWebhook(delivery('a'))).duplicate, false);
+  assert.equal((await claimWebhook(delivery('b'))).duplicate, true); // the event is owned again
+});
+
+test('concurrent claims of one delivery have exactly one winner', async () => {
+  assert.deepEqual(winners(await Promise.all([claimWebhook(delivery('a')), claimWebhook(delivery('a'))])), ['a']);
+  // two webhook ids racing for one new event
+  const event = { rawBody: '{"inventory_item_id":2}' };
+  assert.equal(winners(await Promise.all([claimWebhook(delivery('x', event)), claimWebhook(delivery('y', event))])).length, 1);
+});
+
+test('concurrent retries of a failed delivery have exactly one winner', async () => {
+  await failWebhook(await claimWebhook(delivery('a')), new Error('boom'));
+  const retries = await Promise.all([1, 2, 3].map(() => claimWebhook(delivery('a'))));
+  assert.deepEqual(winners(retries), ['a']);
+  assert.equal((await getDelivery('a')).attempts, 2);
+
+  // …and so does a takeover of that event by two new webhook ids
+  await failWebhook({ webhookId: 'a', topic: 'inventory_levels/update' }, new Error('again'));
+  assert.equal(winners(await Promise.all([claimWebhook(delivery('b')), claimWebhook(delivery('c'))])).length, 1);
+});
+
+test('processWebhookOnce runs the handler once and records the outcome', async () => {
+  let runs = 0;
+  const handler = async () => ({ runs: ++runs });
+  assert.deepEqual(await processWebhookOnce(delivery('a'), handler), { duplicate: false, webhookId: 'a', result: { runs: 1 } });
+  assert.equal((await processWebhookOnce(delivery('a'), handler)).duplicate, true);
+  assert.equal(runs, 1);
+  assert.equal((await getDelivery('a')).status, 'processed');
+
+  await assert.rejects(processWebhookOnce(delivery('b', { rawBody: '{}' }), async () => { throw new Error('nope'); }), /nope/);
+  assert.equal((await getDelivery('b')).status, 'failed');
+  assert.equal((await processWebhookOnce(delivery('b', { rawBody: '{}' }), handler)).result.runs, 2);
+});